@@ -3,7 +3,7 @@
 // It creates buttons for each activity and handles switching between them
 
 // Activity definitions - each activity has a name, icon, and description
-// These are the 6 main sections of the game that users can interact with
+// These are the main sections of the game that users can interact with
 const activities = {
     'character-creation': {
         name: 'Create Character',
@@ -34,6 +34,31 @@ const activities = {
         name: 'Makeup',
         icon: '💄',
         description: 'Apply makeup'
+    },
+    'expressions': {
+        name: 'Expressions',
+        icon: '😊',
+        description: 'Show how you feel'
+    },
+    'poses': {
+        name: 'Poses',
+        icon: '🤸🏾‍♀️',
+        description: 'Strike a pose'
+    },
+    'scenes': {
+        name: 'Scenes',
+        icon: '🏞️',
+        description: 'Pick a background'
+    },
+    'surprise-me': {
+        name: 'Surprise Me',
+        icon: '🎲',
+        description: 'Get a random look'
+    },
+    'gallery': {
+        name: 'Gallery',
+        icon: '🖼️',
+        description: 'Save and load characters'
     }
 };
 
@@ -119,6 +144,14 @@ function loadActivityPanel(activityId) {
     // If we can't find the content container, exit early
     if (!content) return;
 
+    // The previous panel is about to be replaced - stop its state subscriptions
+    clearPanelSubscriptions();
+
+    // An unfinished braiding/twisting session ends with its panel (defined in hair-styling.js)
+    if (typeof abandonInteractiveStyling === 'function') {
+        abandonInteractiveStyling();
+    }
+
     // Switch statement to load the appropriate activity module
     // Each case checks if the loading function exists before calling it
     // If not, shows a "Coming soon..." message as a placeholder
@@ -171,5 +204,76 @@ function loadActivityPanel(activityId) {
                 content.innerHTML = '<p>Coming soon...</p>';
             }
             break;
+        case 'expressions':
+            // Check if the expressions module has loaded
+            if (typeof loadExpressions === 'function') {
+                loadExpressions(content);
+            } else {
+                content.innerHTML = '<p>Coming soon...</p>';
+            }
+            break;
+        case 'poses':
+            // Check if the poses module has loaded
+            if (typeof loadPoses === 'function') {
+                loadPoses(content);
+            } else {
+                content.innerHTML = '<p>Coming soon...</p>';
+            }
+            break;
+        case 'scenes':
+            // Check if the scenes module has loaded
+            if (typeof loadScenes === 'function') {
+                loadScenes(content);
+            } else {
+                content.innerHTML = '<p>Coming soon...</p>';
+            }
+            break;
+        case 'surprise-me':
+            // Check if the randomizer module has loaded
+            if (typeof loadRandomizer === 'function') {
+                loadRandomizer(content);
+            } else {
+                content.innerHTML = '<p>Coming soon...</p>';
+            }
+            break;
+        case 'gallery':
+            // Check if the gallery module has loaded
+            if (typeof loadGallery === 'function') {
+                loadGallery(content);
+            } else {
+                content.innerHTML = '<p>Coming soon...</p>';
+            }
+            break;
     }
 }
+
+// Unsubscribe functions for the tool panel that is currently open
+// Cleared every time a new panel loads so old panels stop reacting to state
+let panelSubscriptions = [];
+
+// Subscribe to a state path for as long as the current tool panel is open
+// Works like subscribe() in state.js, but is cleaned up automatically on panel switch
+function subscribePanel(path, callback) {
+    panelSubscriptions.push(subscribe(path, callback));
+}
+
+// Remove every subscription made by the current tool panel
+function clearPanelSubscriptions() {
+    panelSubscriptions.forEach(unsubscribe => unsubscribe());
+    panelSubscriptions = [];
+}
+
+// Keep the 'active' highlight in a grid of option buttons in sync with the state
+// Each button needs a data-value attribute holding the value it selects
+// Example: bindActiveButtons(grid, 'character.nails.color')
+function bindActiveButtons(grid, path) {
+    const markActive = value => {
+        grid.querySelectorAll('[data-value]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.value === value);
+        });
+    };
+
+    // Highlight the current value now, then follow every change (including undo/redo)
+    markActive(getState(path));
+    subscribePanel(path, markActive);
+}
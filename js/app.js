@@ -17,41 +17,99 @@ document.addEventListener('DOMContentLoaded', () => {
         initializeActivityMenu();
     }
 
+    /* Restore the autosaved character from the last visit (if any)
+       This function is defined in storage.js
+       Corrupt or unknown saves are ignored and the defaults are kept */
+    if (typeof restoreSavedCharacter === 'function') {
+        restoreSavedCharacter();
+    }
+
+    /* If the page was opened from a shared character link, load that character
+       This function is defined in share-link.js
+       Must run before the first render so the shared character shows right away */
+    if (typeof applySharedCharacterFromUrl === 'function') {
+        applySharedCharacterFromUrl();
+    }
+
     /* Render the character for the first time
        This function is defined in character-renderer.js
-       Uses the default state from state.js */
+       Uses the shared or restored character, or the default state from state.js */
     if (typeof renderCharacter === 'function') {
         renderCharacter();
     }
 
-    /* Set up the save button click handler */
-    document.getElementById('saveBtn').addEventListener('click', saveCharacter);
+    /* Set up the save button click handler
+       It opens the export dialog (export-dialog.js) to pick the format, size,
+       background, crop and file name - or saves a plain PNG without it */
+    document.getElementById('saveBtn').addEventListener('click', () => {
+        if (typeof openExportDialog === 'function') {
+            openExportDialog();
+        } else {
+            saveCharacter();
+        }
+    });
+
+    /* Set up the undo/redo buttons and keyboard shortcuts
+       This function is defined in history.js */
+    if (typeof initializeHistoryControls === 'function') {
+        initializeHistoryControls();
+    }
+
+    /* Set up the "Export data" and "Import" buttons
+       This function is defined in character-io.js */
+    if (typeof initializeCharacterImportExport === 'function') {
+        initializeCharacterImportExport();
+    }
+
+    /* Set up the "Copy link" button
+       This function is defined in share-link.js */
+    if (typeof initializeShareLinks === 'function') {
+        initializeShareLinks();
+    }
+
+    /* Start drying the hair out while the game is open
+       This function is defined in hair-care.js */
+    if (typeof initializeHairMoisture === 'function') {
+        initializeHairMoisture();
+    }
 });
 
 /* ====================================
    SAVE CHARACTER FUNCTION
    ====================================
 
-   Called when user clicks the "Save My Character" button.
-   Converts the SVG character to a PNG image and downloads it.
+   Called with the choices from the export dialog (see export-dialog.js):
+   {
+       format: 'png' | 'svg',
+       scale: 1 | 2 | 4,            // PNG only - 2 makes an 800x1800 picture
+       crop: 'full' | 'headshot',   // headshot = square around the face
+       transparent: true | false,   // leave out the scene and the white card
+       filename: 'my-character'     // the extension is added for you
+   }
+   Called without options it saves a full-body 1x PNG on white, like it always did.
+   PNGs also carry the character's data so they can be imported again.
 
    HOW SAVING WORKS - Step by step:
 
-   1. SVG SERIALIZATION:
-      - Get the SVG element from the DOM
-      - Use XMLSerializer to convert SVG DOM tree into a string
-      - This string contains all the SVG markup (paths, circles, colors, etc.)
+   1. SVG COPY:
+      - Get the SVG element from the DOM and make a copy to save
+        (createExportSvg in export-dialog.js) - the game's SVG is untouched
+      - The copy's viewBox is cropped to the full body or the headshot, and
+        its width/height are set to the picture size (e.g. 1600x3600 at 4x),
+        so the browser draws the vectors at full detail instead of
+        stretching a small picture
+      - The chosen scene is part of the SVG, so it's saved too - unless a
+        transparent background was picked (see scenes.js)
 
-   2. CANVAS CONVERSION:
-      - Create an invisible canvas element (not added to page)
-      - Canvas is like a bitmap drawing surface - needed because browsers
-        can't directly save SVG as PNG
-      - Set canvas dimensions to match SVG (400x600)
+   2. SVG SERIALIZATION:
+      - Use XMLSerializer to convert the copy into a string
+      - This string contains all the SVG markup (paths, circles, colors, etc.)
 
    3. BLOB CREATION:
       - Create a Blob (Binary Large Object) from the SVG string
       - Think of a Blob as a file-like object in memory
       - Specify MIME type as 'image/svg+xml' so browser knows it's SVG
+      - SVG exports stop here and download this blob as a .svg file
       - Create a temporary URL pointing to this blob using createObjectURL
 
    4. IMAGE LOADING:
@@ -60,9 +118,11 @@ document.addEventListener('DOMContentLoaded', () => {
       - We wait for img.onload before proceeding (asynchronous!)
 
    5. DRAWING TO CANVAS:
-      - Fill canvas with white background (SVG might be transparent)
+      - Create an invisible canvas element (not added to page), the same
+        size as the picture - browsers can't directly save SVG as PNG
       - Draw the rasterized image onto the canvas
-      - Now we have a pixel-based bitmap on the canvas
+      - The white background is already in the SVG copy (left out for
+        transparent exports), so transparent areas aren't black
       - Clean up the blob URL (free memory)
 
    6. PNG EXPORT:
@@ -70,84 +130,140 @@ document.addEventListener('DOMContentLoaded', () => {
       - toBlob is async, so we use a callback function
       - PNG blob is the actual downloadable file
 
-   7. DOWNLOAD TRIGGER:
+   7. CHARACTER METADATA:
+      - The character's data is added to the PNG as a text chunk
+        (see png-metadata.js), so the picture can be imported back later
+      - If that fails for any reason, the plain picture is still downloaded
+
+   8. DOWNLOAD TRIGGER:
       - Create a temporary <a> link element (not added to page)
-      - Set href to a URL pointing to the PNG blob
-      - Set download attribute with timestamped filename
+      - Set href to a URL pointing to the file
+      - Set download attribute with the chosen filename
       - Programmatically click the link to trigger browser download
       - Show success message to user
 */
-function saveCharacter() {
-    // Step 1: Get SVG element and serialize it to string
+function saveCharacter(options = {}) {
+    const settings = {
+        format: 'png',
+        scale: 1,
+        crop: 'full',
+        transparent: typeof isTransparentExport === 'function' && isTransparentExport(),
+        filename: '',
+        ...options
+    };
+
+    // Step 1: Get SVG element and make the copy to save
     const svg = document.getElementById('character');
     if (!svg) return; // Safety check - exit if SVG not found
 
-    // XMLSerializer converts DOM elements to string representation
+    // createExportSvg is defined in export-dialog.js
+    const exportSvg = typeof createExportSvg === 'function'
+        ? createExportSvg(svg, settings)
+        : svg.cloneNode(true);
+    const filename = typeof getExportFilename === 'function'
+        ? getExportFilename(settings.filename, settings.format)
+        : `hairxyou-character-${Date.now()}.${settings.format}`;
+
+    // Step 2: XMLSerializer converts DOM elements to string representation
     // This gives us the raw SVG markup we need
-    const svgData = new XMLSerializer().serializeToString(svg);
+    const svgData = new XMLSerializer().serializeToString(exportSvg);
+
+    // Step 3: Create blob from SVG string
+    const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
 
-    // Step 2: Create an off-screen canvas for conversion
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d'); // Get 2D drawing context
+    // SVG exports are the blob itself - no drawing needed
+    if (settings.format === 'svg') {
+        downloadSavedFile(svgBlob, filename);
+        return;
+    }
 
-    // Match canvas size to SVG dimensions (from viewBox) - updated for full body
-    canvas.width = 400;
-    canvas.height = 900;
+    // Shown when the picture is too big for the browser to draw or encode
+    const showDrawingFailed = () => showSaveMessage('❌ Could not draw the picture - try a smaller size', 'error');
 
-    // Step 3: Create blob from SVG string
     const img = new Image(); // Will hold the rasterized SVG
-    const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
     const url = URL.createObjectURL(svgBlob); // Create temporary URL for blob
 
     // Step 4: Load SVG into image (async operation)
     img.onload = function() {
         // Step 5: Draw to canvas
-        // Fill with white first so transparent areas aren't black
-        ctx.fillStyle = 'white';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        // Off-screen canvas the size of the picture (width/height of the copy)
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d'); // Get 2D drawing context
+        canvas.width = Number(exportSvg.getAttribute('width'));
+        canvas.height = Number(exportSvg.getAttribute('height'));
 
         // Draw the loaded image onto the canvas
         // This converts vector SVG to raster pixels
-        ctx.drawImage(img, 0, 0);
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
 
         // Clean up - revoke the blob URL to free memory
         URL.revokeObjectURL(url);
 
         // Step 6: Convert canvas to PNG blob
         canvas.toBlob(function(blob) {
-            // Step 7: Trigger download
-            // Create temporary link element to trigger download
-            const link = document.createElement('a');
-            link.download = `hairxyou-character-${Date.now()}.png`; // Timestamped filename
-            link.href = URL.createObjectURL(blob); // Point to PNG blob
-            link.click(); // Programmatically click to download
-
-            // Show success message to user
-            showSaveMessage();
-        });
+            // The browser gives up (null) on canvases too big to encode - likely at 4x
+            if (!blob) {
+                showDrawingFailed();
+                return;
+            }
+
+            // Step 7: Hide the character data inside the PNG
+            // embedCharacterInPng is defined in png-metadata.js
+            const withData = typeof embedCharacterInPng === 'function'
+                ? embedCharacterInPng(blob, gameState.character).catch(error => {
+                    console.warn('HairXYou: saving picture without character data', error);
+                    return blob;
+                })
+                : Promise.resolve(blob);
+
+            withData.then(pngBlob => downloadSavedFile(pngBlob, filename));
+        }, 'image/png');
+    };
+
+    // Very large pictures can be more than the browser will draw
+    img.onerror = function() {
+        URL.revokeObjectURL(url);
+        showDrawingFailed();
     };
 
     // Start the loading process by setting image source
     img.src = url;
 }
 
+/* Step 8: Download a saved picture and tell the user */
+function downloadSavedFile(blob, filename) {
+    // Create temporary link element to trigger download
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = URL.createObjectURL(blob); // Point to the file
+    link.click(); // Programmatically click to download
+    // Give the browser a moment to start the download before freeing the blob
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    // Show success message to user
+    showSaveMessage();
+}
+
 /* ====================================
    SHOW SAVE MESSAGE FUNCTION
    ====================================
 
    Displays a temporary success message after saving.
    Message slides down from top, stays for 2 seconds, then fades out.
+   Other features (like the gallery) can pass their own text,
+   and type 'error' shows it in red (e.g. for a failed import).
 */
-function showSaveMessage() {
+function showSaveMessage(text = '✅ Character saved!', type = 'success') {
     // Create message element
     const message = document.createElement('div');
-    message.className = 'save-message';
-    message.textContent = '✅ Character saved!';
+    message.className = type === 'error' ? 'save-message error' : 'save-message';
+    message.textContent = text;
     document.body.appendChild(message);
 
     // Remove message after 2.5 seconds (2s visible + 0.5s fade)
+    // Errors stay up twice as long so there's time to read them
     setTimeout(() => {
         message.classList.add('fade-out'); // Trigger fade animation
         setTimeout(() => message.remove(), 500); // Remove from DOM after fade
-    }, 2000);
+    }, type === 'error' ? 4000 : 2000);
 }
@@ -14,6 +14,18 @@ const skinTones = [
     { name: 'Rich Deep', color: '#2D1B12' }
 ];
 
+// Define available eye colors - the iris gradient is built from these
+const eyeColors = [
+    { name: 'Dark Brown', color: '#4A2511' },
+    { name: 'Brown', color: '#6B3A1E' },
+    { name: 'Black', color: '#1E120C' },
+    { name: 'Hazel', color: '#7A5C2E' },
+    { name: 'Amber', color: '#B0681C' },
+    { name: 'Grey', color: '#7D8A96' },
+    { name: 'Green', color: '#4E7A3A' },
+    { name: 'Blue', color: '#3C6E9E' }
+];
+
 // Define available hair colors - natural and popular dyed colors
 const hairColors = [
     { name: 'Black', color: '#1A1A1A' },
@@ -26,14 +38,37 @@ const hairColors = [
     { name: 'Gray', color: '#808080' }
 ];
 
+// Colored extension hair for braids, twists and locs - braiders' numbers where there is one
+// 1B (off black) with your own black hair, or mixed in with 30 for the classic 1B/30 look
+const extensionColors = [
+    { name: 'No Extensions', color: 'none' },
+    { name: '1B - Off Black', color: '#2B2421' },
+    { name: '30 - Auburn', color: '#8A4B24' },
+    { name: '27 - Honey Blonde', color: '#C68A3E' },
+    { name: '613 - Platinum Blonde', color: '#E8D8A8' },
+    { name: 'Burgundy', color: '#800020' },
+    { name: 'Copper', color: '#B5541C' },
+    { name: 'Pink', color: '#E85A9B' }
+];
+
 /**
  * Main function to load the character creation UI
  * @param {HTMLElement} container - The tool panel container element to populate with UI
  *
- * This function builds the entire character creation interface with three sections:
+ * This function builds the entire character creation interface with these sections:
  * 1. Skin tone selector (color grid)
- * 2. Hair texture selector (option buttons)
- * 3. Hair color selector (color grid)
+ * 2. Skin details (freckle and vitiligo sliders, beauty mark buttons, dimples checkbox)
+ * 3. Face shape selector (option buttons)
+ * 4. Eye color selector (color grid)
+ * 5. Eyebrow shape selector (option buttons)
+ * 6. Lash style selector (option buttons)
+ * 7. Body type selector (option buttons)
+ * 8. Height selector (option buttons)
+ * 9. Hair texture selector (option buttons)
+ * 10. Hair length selector (option buttons)
+ * 11. Hair color selector (color grid)
+ * 12. Hair coloring - solid, ombre, highlights or peekaboo, and the second color (option buttons, color grid)
+ * 13. Extension hair color for braids, twists and locs (color grid)
  */
 function loadCharacterCreation(container) {
     // Clear any existing content in the container
@@ -58,21 +93,216 @@ function loadCharacterCreation(container) {
         btn.style.backgroundColor = tone.color;
         // Use title attribute for accessibility - shows on hover
         btn.title = tone.name;
-        // Click handler updates character state and passes button for active styling
-        btn.onclick = () => selectSkinTone(tone.color, btn);
-
-        // Check if this is the currently selected skin tone
-        // If so, mark it as active (shows selection indicator)
-        if (tone.color === gameState.character.appearance.skinTone) {
-            btn.classList.add('active');
-        }
+        // Value used by bindActiveButtons to show which tone is selected
+        btn.dataset.value = tone.color;
+        // Click handler updates character state
+        btn.onclick = () => selectSkinTone(tone.color);
 
         skinGrid.appendChild(btn);
     });
 
+    // Highlight the current skin tone and keep it in sync with the state
+    // (bindActiveButtons is defined in activities.js)
+    bindActiveButtons(skinGrid, 'character.appearance.skinTone');
+
     skinSection.appendChild(skinGrid);
+    // Any other skin tone (createColorPicker is defined in color-picker.js)
+    skinSection.appendChild(createColorPicker({
+        path: 'character.appearance.skinTone',
+        label: 'skin tone',
+        pick: selectSkinTone
+    }));
     container.appendChild(skinSection);
 
+    // === SKIN DETAILS SECTION ===
+    // Details are drawn by skin-details.js on the face, arms and legs
+    const detailsSection = document.createElement('div');
+    detailsSection.className = 'customization-section';
+    detailsSection.innerHTML = '<h3>Skin Details</h3>';
+
+    detailsSection.appendChild(createSkinDetailSlider('Freckles', 'freckles'));
+    detailsSection.appendChild(createSkinDetailSlider('Vitiligo', 'vitiligo'));
+
+    // Beauty mark spots come from beautyMarkSpots object defined in skin-details.js
+    const markGrid = document.createElement('div');
+    markGrid.className = 'option-grid';
+
+    Object.entries(beautyMarkSpots).forEach(([id, spot]) => {
+        const btn = document.createElement('button');
+        btn.className = 'option-btn';
+        btn.textContent = spot.name;
+        btn.dataset.value = id;
+        btn.onclick = () => selectBeautyMark(id);
+
+        markGrid.appendChild(btn);
+    });
+
+    // Mark currently selected spot as active, and follow later changes
+    bindActiveButtons(markGrid, 'character.skin.beautyMark');
+    detailsSection.appendChild(markGrid);
+
+    detailsSection.appendChild(createDimplesToggle());
+    container.appendChild(detailsSection);
+
+    // === FACE SHAPE SECTION ===
+    // Face shape options come from faceShapes object defined in character-renderer.js
+    const faceSection = document.createElement('div');
+    faceSection.className = 'customization-section';
+    faceSection.innerHTML = '<h3>Face Shape</h3>';
+
+    const faceGrid = document.createElement('div');
+    faceGrid.className = 'option-grid';
+
+    // Loop through face shapes (oval, round, heart, square, long)
+    Object.entries(faceShapes).forEach(([id, shape]) => {
+        const btn = document.createElement('button');
+        btn.className = 'option-btn';
+        btn.textContent = shape.name;
+        btn.dataset.value = id;
+        btn.onclick = () => selectFaceShape(id);
+
+        faceGrid.appendChild(btn);
+    });
+
+    // Mark currently selected face shape as active, and follow later changes
+    bindActiveButtons(faceGrid, 'character.appearance.faceShape');
+
+    faceSection.appendChild(faceGrid);
+    container.appendChild(faceSection);
+
+    // === EYE COLOR SECTION ===
+    const eyeSection = document.createElement('div');
+    eyeSection.className = 'customization-section';
+    eyeSection.innerHTML = '<h3>Eye Color</h3>';
+
+    // Color grid like the skin tones - each button shows the iris color
+    const eyeGrid = document.createElement('div');
+    eyeGrid.className = 'color-grid';
+
+    eyeColors.forEach(eyeColor => {
+        const btn = document.createElement('button');
+        btn.className = 'color-btn';
+        btn.style.backgroundColor = eyeColor.color;
+        btn.title = eyeColor.name;
+        btn.dataset.value = eyeColor.color;
+        btn.onclick = () => selectEyeColor(eyeColor.color);
+
+        eyeGrid.appendChild(btn);
+    });
+
+    // Mark currently selected eye color as active, and follow later changes
+    bindActiveButtons(eyeGrid, 'character.appearance.eyeColor');
+
+    eyeSection.appendChild(eyeGrid);
+    eyeSection.appendChild(createColorPicker({
+        path: 'character.appearance.eyeColor',
+        label: 'eye color',
+        pick: selectEyeColor
+    }));
+    container.appendChild(eyeSection);
+
+    // === EYEBROW SECTION ===
+    // Eyebrow shapes come from browStyles object defined in character-renderer.js
+    const browSection = document.createElement('div');
+    browSection.className = 'customization-section';
+    browSection.innerHTML = '<h3>Eyebrows</h3>';
+
+    const browGrid = document.createElement('div');
+    browGrid.className = 'option-grid';
+
+    Object.entries(browStyles).forEach(([id, brow]) => {
+        const btn = document.createElement('button');
+        btn.className = 'option-btn';
+        btn.textContent = brow.name;
+        btn.dataset.value = id;
+        btn.onclick = () => selectBrowStyle(id);
+
+        browGrid.appendChild(btn);
+    });
+
+    // Mark currently selected eyebrow shape as active, and follow later changes
+    bindActiveButtons(browGrid, 'character.appearance.browStyle');
+
+    browSection.appendChild(browGrid);
+    container.appendChild(browSection);
+
+    // === LASH SECTION ===
+    // Lash styles come from lashStyles object defined in character-renderer.js
+    const lashSection = document.createElement('div');
+    lashSection.className = 'customization-section';
+    lashSection.innerHTML = '<h3>Lashes</h3>';
+
+    const lashGrid = document.createElement('div');
+    lashGrid.className = 'option-grid';
+
+    Object.entries(lashStyles).forEach(([id, lash]) => {
+        const btn = document.createElement('button');
+        btn.className = 'option-btn';
+        btn.textContent = lash.name;
+        btn.dataset.value = id;
+        btn.onclick = () => selectLashStyle(id);
+
+        lashGrid.appendChild(btn);
+    });
+
+    // Mark currently selected lash style as active, and follow later changes
+    bindActiveButtons(lashGrid, 'character.appearance.lashStyle');
+
+    lashSection.appendChild(lashGrid);
+    container.appendChild(lashSection);
+
+    // === BODY TYPE SECTION ===
+    // Body type options come from bodyTypes object defined in character-renderer.js
+    const bodySection = document.createElement('div');
+    bodySection.className = 'customization-section';
+    bodySection.innerHTML = '<h3>Body Type</h3>';
+
+    const bodyGrid = document.createElement('div');
+    bodyGrid.className = 'option-grid';
+
+    // Loop through body types (slim, average, curvy, plus)
+    Object.entries(bodyTypes).forEach(([id, type]) => {
+        const btn = document.createElement('button');
+        btn.className = 'option-btn';
+        btn.textContent = type.name;
+        btn.dataset.value = id;
+        btn.onclick = () => selectBodyType(id);
+
+        bodyGrid.appendChild(btn);
+    });
+
+    // Mark currently selected body type as active, and follow later changes
+    bindActiveButtons(bodyGrid, 'character.appearance.bodyType');
+
+    bodySection.appendChild(bodyGrid);
+    container.appendChild(bodySection);
+
+    // === HEIGHT SECTION ===
+    // Height options come from bodyHeights object defined in character-renderer.js
+    const heightSection = document.createElement('div');
+    heightSection.className = 'customization-section';
+    heightSection.innerHTML = '<h3>Height</h3>';
+
+    const heightGrid = document.createElement('div');
+    heightGrid.className = 'option-grid';
+
+    // Loop through heights (short, average, tall)
+    Object.entries(bodyHeights).forEach(([id, height]) => {
+        const btn = document.createElement('button');
+        btn.className = 'option-btn';
+        btn.textContent = height.name;
+        btn.dataset.value = id;
+        btn.onclick = () => selectHeight(id);
+
+        heightGrid.appendChild(btn);
+    });
+
+    // Mark currently selected height as active, and follow later changes
+    bindActiveButtons(heightGrid, 'character.appearance.height');
+
+    heightSection.appendChild(heightGrid);
+    container.appendChild(heightSection);
+
     // === HAIR TEXTURE SECTION ===
     // Hair texture options come from hairTextures object defined in hair-system.js
     const textureSection = document.createElement('div');
@@ -90,20 +320,44 @@ function loadCharacterCreation(container) {
         btn.className = 'option-btn';
         // Display the friendly name (e.g., "Type 4C")
         btn.textContent = texture.name;
-        // Pass both id and button element, plus grid for removing active class from siblings
-        btn.onclick = () => selectHairTexture(id, btn, textureGrid);
-
-        // Mark currently selected texture as active
-        if (id === gameState.character.hair.texture) {
-            btn.classList.add('active');
-        }
+        btn.dataset.value = id;
+        btn.onclick = () => selectHairTexture(id);
 
         textureGrid.appendChild(btn);
     });
 
+    // Mark currently selected texture as active, and follow later changes
+    bindActiveButtons(textureGrid, 'character.hair.texture');
+
     textureSection.appendChild(textureGrid);
     container.appendChild(textureSection);
 
+    // === HAIR LENGTH SECTION ===
+    // Lengths come from hairLengths in hair-system.js - every style is drawn to this length
+    const lengthSection = document.createElement('div');
+    lengthSection.className = 'customization-section';
+    lengthSection.innerHTML = '<h3>Hair Length</h3>';
+
+    const lengthGrid = document.createElement('div');
+    lengthGrid.className = 'option-grid';
+
+    // Loop through hair lengths (TWA to waist length)
+    Object.entries(hairLengths).forEach(([id, length]) => {
+        const btn = document.createElement('button');
+        btn.className = 'option-btn';
+        btn.textContent = length.name;
+        btn.title = length.description;
+        btn.dataset.value = id;
+        btn.onclick = () => selectHairLength(id);
+
+        lengthGrid.appendChild(btn);
+    });
+
+    bindActiveButtons(lengthGrid, 'character.hair.length');
+
+    lengthSection.appendChild(lengthGrid);
+    container.appendChild(lengthSection);
+
     // === HAIR COLOR SECTION ===
     const colorSection = document.createElement('div');
     colorSection.className = 'customization-section';
@@ -119,74 +373,312 @@ function loadCharacterCreation(container) {
         // Set background to show the actual color
         btn.style.backgroundColor = hairColor.color;
         btn.title = hairColor.name;
-        // Pass grid reference so we can remove active class from siblings
-        btn.onclick = () => selectHairColor(hairColor.color, btn, colorGrid);
-
-        // Mark currently selected hair color as active
-        if (hairColor.color === gameState.character.hair.color) {
-            btn.classList.add('active');
-        }
+        btn.dataset.value = hairColor.color;
+        btn.onclick = () => selectHairColor(hairColor.color);
 
         colorGrid.appendChild(btn);
     });
 
+    // Mark currently selected hair color as active, and follow later changes
+    bindActiveButtons(colorGrid, 'character.hair.color');
+
     colorSection.appendChild(colorGrid);
+    colorSection.appendChild(createColorPicker({
+        path: 'character.hair.color',
+        label: 'hair color',
+        pick: selectHairColor
+    }));
     container.appendChild(colorSection);
+
+    // === HAIR COLORING SECTION ===
+    // Ways of wearing a second color come from hairColorings in hair-system.js
+    const coloringSection = document.createElement('div');
+    coloringSection.className = 'customization-section';
+    coloringSection.innerHTML = '<h3>Hair Coloring</h3>';
+
+    const coloringGrid = document.createElement('div');
+    coloringGrid.className = 'option-grid';
+
+    Object.entries(hairColorings).forEach(([id, coloring]) => {
+        const btn = document.createElement('button');
+        btn.className = 'option-btn';
+        btn.textContent = coloring.name;
+        btn.title = coloring.description;
+        btn.dataset.value = id;
+        btn.onclick = () => selectHairColoring(id);
+
+        coloringGrid.appendChild(btn);
+    });
+
+    bindActiveButtons(coloringGrid, 'character.hair.coloring');
+    coloringSection.appendChild(coloringGrid);
+
+    // The second color - only used once a coloring other than solid is picked
+    const accentOptions = document.createElement('div');
+    accentOptions.className = 'hair-accent-options';
+    accentOptions.innerHTML = '<p class="section-hint">Second color</p>';
+
+    const accentGrid = document.createElement('div');
+    accentGrid.className = 'color-grid';
+
+    hairColors.forEach(hairColor => {
+        const btn = document.createElement('button');
+        btn.className = 'color-btn';
+        btn.style.backgroundColor = hairColor.color;
+        btn.title = hairColor.name;
+        btn.dataset.value = hairColor.color;
+        btn.onclick = () => selectHairAccentColor(hairColor.color);
+
+        accentGrid.appendChild(btn);
+    });
+
+    bindActiveButtons(accentGrid, 'character.hair.accentColor');
+
+    accentOptions.appendChild(accentGrid);
+    accentOptions.appendChild(createColorPicker({
+        path: 'character.hair.accentColor',
+        label: 'second color',
+        pick: selectHairAccentColor
+    }));
+    coloringSection.appendChild(accentOptions);
+
+    // Hide the second color while the hair is one solid color
+    const showAccentOptions = coloring => { accentOptions.hidden = coloring === 'solid'; };
+    showAccentOptions(getState('character.hair.coloring'));
+    subscribePanel('character.hair.coloring', showAccentOptions);
+
+    container.appendChild(coloringSection);
+
+    // === EXTENSION HAIR SECTION ===
+    const extensionSection = document.createElement('div');
+    extensionSection.className = 'customization-section';
+    extensionSection.innerHTML = `
+        <h3>Extension Hair</h3>
+        <p class="section-hint">Mixed into box braids, two strand twists and locs</p>
+    `;
+
+    const extensionGrid = document.createElement('div');
+    extensionGrid.className = 'color-grid';
+
+    extensionColors.forEach(extension => {
+        const btn = document.createElement('button');
+        btn.className = 'color-btn';
+        // 'none' gets the same crossed-out swatch as no lipstick
+        if (extension.color === 'none') {
+            btn.style.background = 'linear-gradient(45deg, white 45%, red 45%, red 55%, white 55%)';
+        } else {
+            btn.style.backgroundColor = extension.color;
+        }
+        btn.title = extension.name;
+        btn.dataset.value = extension.color;
+        btn.onclick = () => selectExtensionColor(extension.color);
+
+        extensionGrid.appendChild(btn);
+    });
+
+    bindActiveButtons(extensionGrid, 'character.hair.extensionColor');
+
+    extensionSection.appendChild(extensionGrid);
+    // While there are no extensions, the picker starts from the first extension color
+    extensionSection.appendChild(createColorPicker({
+        path: 'character.hair.extensionColor',
+        label: 'extension color',
+        fallback: () => extensionColors.find(extension => extension.color !== 'none').color,
+        pick: selectExtensionColor
+    }));
+    container.appendChild(extensionSection);
 }
 
 /**
  * Handle skin tone selection
  * @param {string} color - The hex color value of selected skin tone
- * @param {HTMLElement} button - The button element that was clicked
  *
- * This function:
- * 1. Removes active class from all skin tone buttons
- * 2. Adds active class to clicked button (visual feedback)
- * 3. Updates global game state which triggers character re-render
- */
-function selectSkinTone(color, button) {
-    // Get parent grid to find all sibling buttons
-    const grid = button.parentElement;
-    // Remove active class from all buttons in this grid
-    grid.querySelectorAll('.color-btn').forEach(btn => btn.classList.remove('active'));
-    // Add active class to clicked button
-    button.classList.add('active');
+ * Updates global game state, which re-renders the character and
+ * moves the active highlight (see bindActiveButtons in activities.js)
+ */
+function selectSkinTone(color) {
     // Update state using the global updateState function from state.js
-    // This will automatically trigger renderCharacter() to show changes immediately
+    // Subscribers and the next render pick up the change automatically
     updateState('character.appearance.skinTone', color);
 }
 
+/**
+ * Creates a labeled slider for a skin detail amount (0-100)
+ * @param {string} label - Text shown above the slider
+ * @param {string} key - Property of character.skin (e.g. 'freckles')
+ * @returns {HTMLElement} The label element holding the slider
+ *
+ * The state is updated when the slider is let go, so dragging makes one undo step.
+ * The slider follows the state when it changes elsewhere (undo/redo, imports)
+ */
+function createSkinDetailSlider(label, key) {
+    const path = `character.skin.${key}`;
+
+    const row = document.createElement('label');
+    row.className = 'skin-slider';
+    row.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = 0;
+    input.max = 100;
+    input.value = getState(path);
+    input.addEventListener('change', () => updateState(path, Number(input.value)));
+    subscribePanel(path, value => { input.value = value; });
+
+    row.appendChild(input);
+    return row;
+}
+
+/**
+ * Creates the dimples checkbox
+ * @returns {HTMLElement} The label element holding the checkbox
+ *
+ * Dimples only show while the character smiles
+ */
+function createDimplesToggle() {
+    const label = document.createElement('label');
+    label.className = 'skin-toggle';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = getState('character.skin.dimples');
+    checkbox.onchange = () => updateState('character.skin.dimples', checkbox.checked);
+    subscribePanel('character.skin.dimples', value => { checkbox.checked = value; });
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(' Dimples when smiling'));
+    return label;
+}
+
+/**
+ * Handle beauty mark selection
+ * @param {string} spotId - The beauty mark spot ID (e.g., 'left-cheek', 'none')
+ */
+function selectBeautyMark(spotId) {
+    // Update state - triggers re-render of the face details
+    updateState('character.skin.beautyMark', spotId);
+}
+
+/**
+ * Handle face shape selection
+ * @param {string} shapeId - The face shape ID (e.g., 'oval', 'heart')
+ *
+ * Changes the head outline; the eyes, nose, mouth and hair move to fit it
+ */
+function selectFaceShape(shapeId) {
+    // Update state - triggers re-render of the head, face and hair
+    updateState('character.appearance.faceShape', shapeId);
+}
+
+/**
+ * Handle eye color selection
+ * @param {string} color - The hex color value of selected eye color
+ *
+ * The iris gradient is rebuilt from this color
+ */
+function selectEyeColor(color) {
+    // Update state - triggers re-render of the face
+    updateState('character.appearance.eyeColor', color);
+}
+
+/**
+ * Handle eyebrow shape selection
+ * @param {string} styleId - The eyebrow style ID (e.g., 'natural', 'arched')
+ */
+function selectBrowStyle(styleId) {
+    // Update state - triggers re-render of the face
+    updateState('character.appearance.browStyle', styleId);
+}
+
+/**
+ * Handle lash style selection
+ * @param {string} styleId - The lash style ID (e.g., 'subtle', 'dramatic')
+ */
+function selectLashStyle(styleId) {
+    // Update state - triggers re-render of the face
+    updateState('character.appearance.lashStyle', styleId);
+}
+
+/**
+ * Handle body type selection
+ * @param {string} typeId - The body type ID (e.g., 'slim', 'curvy')
+ *
+ * Changes the torso, arms and legs; clothes, shoes and nails are resized to fit
+ */
+function selectBodyType(typeId) {
+    // Update state - triggers re-render of the body, outfit and nails
+    updateState('character.appearance.bodyType', typeId);
+}
+
+/**
+ * Handle height selection
+ * @param {string} heightId - The height ID ('short', 'average' or 'tall')
+ *
+ * The head stays the same size - the torso, arms and legs get shorter or longer
+ */
+function selectHeight(heightId) {
+    // Update state - triggers re-render of the body, outfit and nails
+    updateState('character.appearance.height', heightId);
+}
+
 /**
  * Handle hair texture selection
  * @param {string} textureId - The texture ID (e.g., '4c', '3b')
- * @param {HTMLElement} button - The button that was clicked
- * @param {HTMLElement} grid - The grid container (to clear other selections)
  *
  * Updates the hair texture which affects how the hair is rendered
  * Different textures have different coil tightness and volume properties
  */
-function selectHairTexture(textureId, button, grid) {
-    // Remove active state from all texture buttons
-    grid.querySelectorAll('.option-btn').forEach(btn => btn.classList.remove('active'));
-    // Mark clicked button as active
-    button.classList.add('active');
+function selectHairTexture(textureId) {
     // Update state - this triggers character re-render with new texture
     updateState('character.hair.texture', textureId);
 }
 
+/**
+ * Handle hair length selection
+ * @param {string} lengthId - The length ID (e.g., 'twa', 'shoulder', 'waist')
+ *
+ * Every hairstyle is drawn to this length - an afro grows bigger,
+ * braids, twists and locs hang further down
+ */
+function selectHairLength(lengthId) {
+    // Update state - triggers re-render of the front and back hair
+    updateState('character.hair.length', lengthId);
+}
+
 /**
  * Handle hair color selection
  * @param {string} color - The hex color value of selected hair color
- * @param {HTMLElement} button - The button that was clicked
- * @param {HTMLElement} grid - The grid container (to clear other selections)
  *
  * Changes the hair color which is applied to all hair rendering functions
  */
-function selectHairColor(color, button, grid) {
-    // Remove active from all color buttons in grid
-    grid.querySelectorAll('.color-btn').forEach(btn => btn.classList.remove('active'));
-    // Mark clicked button as active for visual feedback
-    button.classList.add('active');
-    // Update state - triggers immediate re-render with new hair color
+function selectHairColor(color) {
+    // Update state - triggers re-render with new hair color
     updateState('character.hair.color', color);
 }
+
+/**
+ * Handle hair coloring selection
+ * @param {string} coloringId - The coloring ID (e.g., 'solid', 'ombre', 'peekaboo')
+ *
+ * Every hairstyle colors its strands from this (see getStrandTones in hair-system.js)
+ */
+function selectHairColoring(coloringId) {
+    updateState('character.hair.coloring', coloringId);
+}
+
+/**
+ * Handle second hair color selection
+ * @param {string} color - The hex color for ombre ends, highlights and peekaboo
+ */
+function selectHairAccentColor(color) {
+    updateState('character.hair.accentColor', color);
+}
+
+/**
+ * Handle extension hair color selection
+ * @param {string} color - The hex color of the extension hair, or 'none'
+ */
+function selectExtensionColor(color) {
+    updateState('character.hair.extensionColor', color);
+}
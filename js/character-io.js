@@ -0,0 +1,192 @@
+/* ====================================
+   CHARACTER IMPORT / EXPORT
+   ====================================
+
+   Saves gameState.character to a .hairxyou.json file and loads it back,
+   so characters can move between machines and classrooms.
+
+   FILE FORMAT:
+   {
+       "format": "hairxyou-character",
+       "version": 2,                       // SAVE_SCHEMA_VERSION from storage.js
+       "exportedAt": "2026-01-01T12:00:00.000Z",
+       "character": { ...gameState.character }
+   }
+
+   Imports are upgraded with the same migrations as the autosave, then every
+   field is checked against the game's catalogs before anything changes.
+
+   PNGs from "Save My Character" carry the same JSON inside the picture
+   (see png-metadata.js), so they can be imported too - with the Import
+   button or by dropping them onto the character.
+*/
+
+/* Identifies our files - anything else is rejected with a friendly message */
+const CHARACTER_FILE_FORMAT = 'hairxyou-character';
+
+/* File extension for exported characters */
+const CHARACTER_FILE_EXTENSION = '.hairxyou.json';
+
+/* ====================================
+   EXPORT FUNCTION
+   ====================================
+
+   Called when the user clicks "Export data".
+   Downloads the current character as a .hairxyou.json file.
+*/
+function exportCharacterData() {
+    // Pretty-print so the file is readable if someone opens it
+    const blob = new Blob([JSON.stringify(createCharacterFileData(), null, 2)], { type: 'application/json' });
+
+    // Same download technique as saveCharacter() in app.js
+    const link = document.createElement('a');
+    link.download = `hairxyou-character-${Date.now()}${CHARACTER_FILE_EXTENSION}`;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    // Give the browser a moment to start the download before freeing the blob
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    showSaveMessage('✅ Character data exported!');
+}
+
+/* The export data for a character - also embedded in saved PNGs */
+function createCharacterFileData(character = gameState.character) {
+    return {
+        format: CHARACTER_FILE_FORMAT,
+        version: SAVE_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        character: character
+    };
+}
+
+/* ====================================
+   IMPORT FUNCTIONS
+   ====================================
+
+   importCharacterFile() is called with the File the user picked.
+   It reads, upgrades and validates the data, then replaces the character.
+   Problems are shown to the user instead of half-loading a broken character.
+*/
+function importCharacterFile(file) {
+    // File.text() returns a promise with the file contents as a string
+    // PNGs keep the same text in a chunk inside the picture (png-metadata.js)
+    const readText = isPngFile(file) ? extractCharacterFromPng(file) : file.text();
+
+    return readText.then(text => {
+        const character = parseCharacterFile(text);
+        // Goes through updateState, so the import re-renders, autosaves and can be undone
+        updateState('character', character);
+        showSaveMessage('✅ Character imported!');
+    }).catch(error => {
+        showSaveMessage(`⚠️ ${error.message}`, 'error');
+    });
+}
+
+/* Turns the text of a .hairxyou.json file into a complete character.
+   Throws an Error with a user-facing message if anything is wrong. */
+function parseCharacterFile(text) {
+    let fileData;
+    try {
+        fileData = JSON.parse(text);
+    } catch (error) {
+        throw new Error("That file isn't a HairXYou character (it's not valid JSON).");
+    }
+
+    if (!isPlainObject(fileData) || fileData.format !== CHARACTER_FILE_FORMAT) {
+        throw new Error("That file isn't a HairXYou character.");
+    }
+
+    let character;
+    try {
+        character = migrateSavedCharacter(fileData.version, fileData.character);
+    } catch (error) {
+        throw new Error(`Can't read this character: ${error.message}.`);
+    }
+
+    // Report every problem at once so the file can be fixed in one go
+    const errors = validateCharacterData(character);
+    if (errors.length > 0) {
+        throw new Error(`Can't import this character: ${errors.join('; ')}.`);
+    }
+
+    // Fields the file doesn't have (e.g. from an older export) get their defaults
+    // and values like '#abc' are normalized
+    return sanitizeCharacter(character);
+}
+
+/* ====================================
+   VALIDATION
+   ====================================
+
+   Checks a character against the schema in character-schema.js:
+   - Groups like hair and outfit must be objects ("hair": "x" is rejected)
+   - IDs must exist in hairTextures, hairstyles and outfits
+   - Colors must be hex colors like #1A1A1A ('none' is allowed for makeup)
+   - Moisture must be a number
+
+   Missing fields are allowed (they get defaults), wrong ones are not.
+   Returns a list of error messages - empty when the character is valid.
+*/
+function validateCharacterData(character) {
+    return collectCharacterErrors(character);
+}
+
+/* ====================================
+   UI SETUP
+   ====================================
+
+   Called from app.js once the DOM is ready.
+   Wires up the header "Export data" and "Import" buttons.
+   The import button opens a hidden file input.
+   Files can also be dropped onto the character.
+*/
+function initializeCharacterImportExport() {
+    const exportBtn = document.getElementById('exportDataBtn');
+    const importBtn = document.getElementById('importBtn');
+    const fileInput = document.getElementById('importFileInput');
+
+    if (exportBtn) exportBtn.addEventListener('click', exportCharacterData);
+
+    if (importBtn && fileInput) {
+        importBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            // Reset so picking the same file again still fires 'change'
+            fileInput.value = '';
+            if (file) importCharacterFile(file);
+        });
+    }
+
+    const display = document.getElementById('characterDisplay');
+    if (display) initializeCharacterDrop(display);
+}
+
+/* Lets a saved PNG or .hairxyou.json be dropped onto the character display */
+function initializeCharacterDrop(display) {
+    // Only react to files - dragging text or links around the page is left alone
+    const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+
+    display.addEventListener('dragover', e => {
+        if (!hasFiles(e)) return;
+        // preventDefault marks the display as a drop target (otherwise the browser opens the file)
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        display.classList.add('drop-target');
+    });
+
+    display.addEventListener('dragleave', e => {
+        // dragleave also fires when moving over child elements - ignore those
+        if (!display.contains(e.relatedTarget)) {
+            display.classList.remove('drop-target');
+        }
+    });
+
+    display.addEventListener('drop', e => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        display.classList.remove('drop-target');
+
+        const file = e.dataTransfer.files[0];
+        if (file) importCharacterFile(file);
+    });
+}
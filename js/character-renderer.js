@@ -2,30 +2,166 @@
  * Character Renderer Module
  *
  * This module handles the SVG rendering of the character.
- * It takes the gameState and translates it into visual SVG elements.
+ * It takes a character (usually gameState.character) and translates it into
+ * SVG elements inside any <svg> it is given.
  *
  * The character is rendered in layers from back to front:
- * 1. Body (torso)
- * 2. Neck (connects head to body)
- * 3. Head (face base)
- * 4. Facial Features (eyes, nose, mouth, etc.)
- * 5. Hair (rendered on top, can be styled differently)
- * 6. Outfit (clothing on the body)
+ * 1. Hair behind the head (long styles hang behind the shoulders)
+ * 2. Body (neck, head and torso) and legs
+ * 3. Outfit (clothing on the body)
+ * 4. Arms (on top of the outfit so hands show) and sleeves
+ * 5. Face (eyes, nose, mouth, makeup)
+ * 6. Hair in front (rendered on top, can be styled differently)
  * 7. Nails (small detail on hands)
+ *
+ * Arms, legs and everything worn on them follow the pose skeleton in poses.js,
+ * which is fitted to the body type and height (see getBodyGeometry).
+ *
+ * Layers come from a registry (see registerRenderLayer below), so other
+ * modules can add their own. Each layer is a persistent group that is only
+ * redrawn when its inputs change.
+ */
+
+/**
+ * Render layer registry, kept sorted back to front by zIndex.
+ * Each layer is a persistent <g> in the SVG that is only redrawn when the
+ * parts of the character listed in deps change - so picking a nail color
+ * redraws the nails and nothing else.
+ *
+ * Built-in layers (registered at the bottom of this file):
+ *   10 hair-back   hair that hangs behind the head and shoulders
+ *   20 body        neck, head and torso (sized by body type and height)
+ *   25 legs        legs and feet, posed (see poses.js)
+ *   30 outfit      clothing on the body
+ *   40 arms        on top of the outfit so hands show
+ *   45 sleeves     sleeves of the top, over the arms
+ *   50 face        eyes, nose, mouth, makeup
+ *   60 hair        hair in front of the face (scalp, bangs, face-framing strands)
+ *   70 nails       small detail on hands
+ * Layers registered by other modules:
+ *    0 scene-background   behind everything (scenes.js)
+ *   26 skin-legs          freckles and vitiligo on the legs (skin-details.js)
+ *   41 skin-arms          freckles and vitiligo on the arms (skin-details.js)
+ *   49 skin-face          freckles, vitiligo and beauty mark on the face (skin-details.js)
+ *   90 scene-props        scene props in front of the character (scenes.js)
+ * Leave gaps so new layers can go in between.
+ */
+const renderLayers = [];
+
+/**
+ * Adds a layer to the renderer.
+ * Other modules (accessories, backgrounds...) call this instead of editing renderCharacter().
+ *
+ * Example usage:
+ * registerRenderLayer({
+ *     id: 'glasses',
+ *     zIndex: 55,                      // Above the face, below the front hair
+ *     deps: ['accessories.glasses'],   // Paths inside the character
+ *     render: (layer, state) => layer.appendChild(...)
+ * });
+ *
+ * @param {Object} options
+ * @param {string} options.id - Unique layer name
+ * @param {number} options.zIndex - Higher numbers are drawn on top
+ * @param {string[]} options.deps - Character paths the layer reads; it is redrawn when any of them change
+ * @param {function} options.render - Called with (layer <g>, character) to draw the layer
+ */
+function registerRenderLayer({ id, zIndex, deps = [], render }) {
+    if (renderLayers.some(layer => layer.id === id)) {
+        throw new Error(`Render layer "${id}" is already registered`);
+    }
+    if (typeof zIndex !== 'number' || typeof render !== 'function') {
+        throw new Error(`Render layer "${id}" needs a numeric zIndex and a render function`);
+    }
+
+    renderLayers.push({ id: id, zIndex: zIndex, deps: deps, render: render, enabled: true });
+
+    // Sort is stable, so layers with the same zIndex keep their registration order
+    renderLayers.sort((a, b) => a.zIndex - b.zIndex);
+}
+
+/**
+ * Shows or hides a layer - handy for debugging from the browser console:
+ * setLayerEnabled('hair', false)
+ *
+ * @param {string} id - Layer name (see getRenderLayers())
+ * @param {boolean} enabled - false hides the layer and stops drawing it
+ */
+function setLayerEnabled(id, enabled) {
+    const layer = renderLayers.find(l => l.id === id);
+    if (!layer) {
+        throw new Error(`Unknown render layer "${id}"`);
+    }
+    layer.enabled = Boolean(enabled);
+
+    // scheduleRender is defined in state.js
+    scheduleRender();
+}
+
+/**
+ * Lists the registered layers in draw order, e.g. console.table(getRenderLayers())
+ */
+function getRenderLayers() {
+    return renderLayers.map(layer => ({ id: layer.id, zIndex: layer.zIndex, enabled: layer.enabled }));
+}
+
+/**
+ * What has been drawn into each SVG: { groups: { layerId: <g> }, keys: { layerId: string }, order }
+ * keys hold the deps each layer was last drawn with, order the layer IDs the SVG was built with
  */
+const renderedCharacters = new WeakMap();
 
 /**
  * Main render function - called whenever the character state changes.
- * This clears the SVG and redraws all character components in the correct order.
+ * Only the layers whose inputs changed since the last render are redrawn.
+ *
+ * @param {SVGElement} svg - SVG to draw into (defaults to the main #character SVG)
+ * @param {Object} state - Character to draw (defaults to the current gameState.character)
+ *
+ * The gallery passes its own off-screen SVG and saved character to draw thumbnails.
+ * Any number of SVGs can be rendered on the same page: every gradient, filter
+ * and element ID is scoped to its SVG (see scopedId), so they never share defs.
  */
-function renderCharacter() {
-    const svg = document.getElementById('character');
+function renderCharacter(svg = document.getElementById('character'), state = gameState.character) {
     if (!svg) return;
 
-    // Get current character state from global gameState
-    const state = gameState.character;
+    // First render into this SVG, a layer was registered since the last render,
+    // or the SVG's contents were replaced - build the layers
+    let rendered = renderedCharacters.get(svg);
+    const order = renderLayers.map(layer => layer.id).join(',');
+    if (!rendered || rendered.order !== order
+        || renderLayers.some(layer => rendered.groups[layer.id].parentNode !== svg)) {
+        rendered = setupCharacterSvg(svg);
+        renderedCharacters.set(svg, rendered);
+    }
+
+    renderLayers.forEach(layer => {
+        const group = rendered.groups[layer.id];
 
-    // Clear previous rendering - start fresh each time
+        // Disabled layers are emptied and hidden, and drawn again once re-enabled
+        if (!layer.enabled) {
+            group.innerHTML = '';
+            group.setAttribute('display', 'none');
+            delete rendered.keys[layer.id];
+            return;
+        }
+        group.removeAttribute('display');
+
+        const key = JSON.stringify(layer.deps.map(path => readCharacterPath(state, path)));
+        if (rendered.keys[layer.id] === key) return;  // Nothing this layer uses changed
+
+        rendered.keys[layer.id] = key;
+        group.innerHTML = '';
+        layer.render(group, state);
+    });
+}
+
+/**
+ * Prepares an SVG for rendering: the shared defs (lighting effects, created
+ * once) and an empty group for each layer, in z-order.
+ */
+function setupCharacterSvg(svg) {
+    // Clear anything already in the SVG - start fresh
     svg.innerHTML = '';
 
     // GRAPHICS ENHANCEMENT: Define gradient and filter definitions for enhanced visuals
@@ -35,17 +171,46 @@ function renderCharacter() {
     // Create lighting effects once for the entire character
     createLightingEffects(defs);
 
-    // Render in correct z-order (back to front)
-    // Body parts first, then details on top
-    renderNeck(svg, state);
-    renderHead(svg, state);
-    renderBody(svg, state);
-    renderLegs(svg, state);  // Legs behind outfit
-    renderOutfit(svg, state);  // Outfit covers body
-    renderArms(svg, state);  // Arms on top so hands show
-    renderFacialFeatures(svg, state);
-    renderHair(svg, state);
-    renderNails(svg, state);  // Nails on fingertips
+    const rendered = { groups: {}, keys: {}, order: renderLayers.map(layer => layer.id).join(',') };
+    renderLayers.forEach(layer => {
+        const group = createSVGElement('g', { class: 'character-layer', 'data-layer': layer.id });
+        svg.appendChild(group);
+        rendered.groups[layer.id] = group;
+    });
+    return rendered;
+}
+
+/**
+ * Forces a layer to redraw on the next render even if its inputs haven't changed.
+ * For tools that draw into a layer themselves (like the clickable hair sections
+ * in hair-styling.js) and need the normal drawing back afterwards.
+ *
+ * @param {string} layerId - e.g. 'hair'
+ * @param {SVGElement} svg - Defaults to the main #character SVG
+ */
+function invalidateRenderLayer(layerId, svg = document.getElementById('character')) {
+    const rendered = svg && renderedCharacters.get(svg);
+    if (rendered) {
+        delete rendered.keys[layerId];
+    }
+}
+
+/**
+ * Defs for gradients that belong to one layer (skin, hair, iris...).
+ * They live inside the layer so they are replaced along with it, while the
+ * shared lighting effects stay in the SVG's top-level defs.
+ *
+ * @param {SVGElement} element - A layer group or anything inside one
+ * @returns {SVGDefsElement} The layer's own <defs>
+ */
+function getLayerDefs(element) {
+    const layer = element.closest('.character-layer');
+    let defs = Array.from(layer.children).find(child => child.tagName.toLowerCase() === 'defs');
+    if (!defs) {
+        defs = createSVGElement('defs', {});
+        layer.insertBefore(defs, layer.firstChild);
+    }
+    return defs;
 }
 
 /**
@@ -54,8 +219,11 @@ function renderCharacter() {
  * MONSTER HIGH STYLE: Added bold outlines, glossy effects, sparkle patterns
  */
 function createLightingEffects(defs) {
+    // IDs are scoped to the SVG the defs belong to (see scopedId)
+    const svg = defs.ownerSVGElement;
+
     // Drop shadow filter for depth (used on all major elements)
-    const dropShadow = createSVGElement('filter', { id: 'dropShadow' });
+    const dropShadow = createSVGElement('filter', { id: scopedId(svg, 'dropShadow') });
     const feGaussianBlur = createSVGElement('feGaussianBlur', {
         in: 'SourceAlpha',
         stdDeviation: '3'
@@ -87,7 +255,7 @@ function createLightingEffects(defs) {
     defs.appendChild(dropShadow);
 
     // Inner shadow for subtle depth on skin
-    const innerShadow = createSVGElement('filter', { id: 'innerShadow' });
+    const innerShadow = createSVGElement('filter', { id: scopedId(svg, 'innerShadow') });
     const feGaussianBlur2 = createSVGElement('feGaussianBlur', {
         in: 'SourceAlpha',
         stdDeviation: '2'
@@ -113,7 +281,7 @@ function createLightingEffects(defs) {
     defs.appendChild(innerShadow);
 
     // Soft glow effect for highlights
-    const softGlow = createSVGElement('filter', { id: 'softGlow' });
+    const softGlow = createSVGElement('filter', { id: scopedId(svg, 'softGlow') });
     const feGaussianBlur3 = createSVGElement('feGaussianBlur', {
         stdDeviation: '2',
         result: 'coloredBlur'
@@ -129,7 +297,7 @@ function createLightingEffects(defs) {
 
     // MONSTER HIGH STYLE: Sparkle pattern for hair and clothes
     const sparklePattern = createSVGElement('pattern', {
-        id: 'sparklePattern',
+        id: scopedId(svg, 'sparklePattern'),
         width: '50',
         height: '50',
         patternUnits: 'userSpaceOnUse'
@@ -167,7 +335,7 @@ function createLightingEffects(defs) {
 
     // MONSTER HIGH STYLE: Glossy shine gradient for lips and nails
     const glossGradient = createSVGElement('linearGradient', {
-        id: 'glossGradient',
+        id: scopedId(svg, 'glossGradient'),
         x1: '0%',
         y1: '0%',
         x2: '0%',
@@ -235,42 +403,74 @@ function createSkinGradient(defs, id, baseColor) {
     defs.appendChild(gradient);
 }
 
+/**
+ * Reads a hex color into its red, green and blue parts.
+ * Custom colors are typed in by players, so this accepts more than the
+ * catalogs use: '#1A1A1A', '1a1a1a', '#1aa' (shorthand) and stray spaces.
+ *
+ * @param {string} color - Hex color
+ * @returns {Object|null} { r, g, b } from 0 to 255, or null if it isn't a hex color
+ */
+function parseHexColor(color) {
+    if (typeof color !== 'string') return null;
+    let hex = color.trim().replace(/^#/, '');
+
+    // #abc is shorthand for #aabbcc
+    if (/^[0-9a-f]{3}$/i.test(hex)) {
+        hex = hex.split('').map(c => c + c).join('');
+    }
+    if (!/^[0-9a-f]{6}$/i.test(hex)) return null;
+
+    const num = parseInt(hex, 16);
+    return { r: num >> 16, g: num >> 8 & 0x00FF, b: num & 0x0000FF };
+}
+
+/**
+ * Reads a color for the color helpers below - anything that isn't a hex
+ * color (like 'none') reads as black, so they never produce '#NaN'
+ */
+function readColorChannels(color) {
+    return parseHexColor(color) || { r: 0, g: 0, b: 0 };
+}
+
+/**
+ * Builds a hex color like '#ff69b4' from red, green and blue parts (0-255)
+ */
+function toHexColor(r, g, b) {
+    const clamp = value => Math.max(0, Math.min(255, Math.round(value)));
+    return "#" + (0x1000000 + clamp(r) * 0x10000 + clamp(g) * 0x100 + clamp(b)).toString(16).slice(1);
+}
+
 /**
  * Helper function to lighten a hex color by a percentage
  */
 function lightenColor(color, percent) {
-    const num = parseInt(color.replace("#",""), 16);
+    const { r, g, b } = readColorChannels(color);
     const amt = Math.round(2.55 * percent);
-    const R = Math.min(255, (num >> 16) + amt);
-    const G = Math.min(255, (num >> 8 & 0x00FF) + amt);
-    const B = Math.min(255, (num & 0x0000FF) + amt);
-    return "#" + (0x1000000 + R * 0x10000 + G * 0x100 + B).toString(16).slice(1);
+    return toHexColor(r + amt, g + amt, b + amt);
 }
 
 /**
  * Helper function to darken a hex color by a percentage
  */
 function darkenColor(color, percent) {
-    const num = parseInt(color.replace("#",""), 16);
+    const { r, g, b } = readColorChannels(color);
     const amt = Math.round(2.55 * percent);
-    const R = Math.max(0, (num >> 16) - amt);
-    const G = Math.max(0, (num >> 8 & 0x00FF) - amt);
-    const B = Math.max(0, (num & 0x0000FF) - amt);
-    return "#" + (0x1000000 + R * 0x10000 + G * 0x100 + B).toString(16).slice(1);
+    return toHexColor(r - amt, g - amt, b - amt);
 }
 
 /**
- * MONSTER HIGH STYLE: Helper function to boost color saturation
- * Makes colors more vibrant and vivid for that dress-up game look
+ * Converts a hex color to hue, saturation and lightness
+ *
+ * @param {string} color - Hex color
+ * @returns {Object} { h: 0-360, s: 0-100, l: 0-100 }
  */
-function boostSaturation(color, percent) {
-    // Convert hex to RGB
-    const num = parseInt(color.replace("#",""), 16);
-    let r = (num >> 16) / 255;
-    let g = (num >> 8 & 0x00FF) / 255;
-    let b = (num & 0x0000FF) / 255;
+function hexToHsl(color) {
+    const { r: red, g: green, b: blue } = readColorChannels(color);
+    const r = red / 255;
+    const g = green / 255;
+    const b = blue / 255;
 
-    // Convert to HSL
     const max = Math.max(r, g, b);
     const min = Math.min(r, g, b);
     let h, s, l = (max + min) / 2;
@@ -288,63 +488,175 @@ function boostSaturation(color, percent) {
         }
     }
 
-    // Boost saturation
-    s = Math.min(1, s * (1 + percent / 100));
+    return { h: h * 360, s: s * 100, l: l * 100 };
+}
 
-    // Convert back to RGB
-    let r2, g2, b2;
-    if (s === 0) {
-        r2 = g2 = b2 = l;
-    } else {
-        const hue2rgb = (p, q, t) => {
-            if (t < 0) t += 1;
-            if (t > 1) t -= 1;
-            if (t < 1/6) return p + (q - p) * 6 * t;
-            if (t < 1/2) return q;
-            if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-            return p;
-        };
-
-        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-        const p = 2 * l - q;
-        r2 = hue2rgb(p, q, h + 1/3);
-        g2 = hue2rgb(p, q, h);
-        b2 = hue2rgb(p, q, h - 1/3);
+/**
+ * Converts hue, saturation and lightness to a hex color
+ *
+ * @param {number} h - Hue, 0-360 (wraps around)
+ * @param {number} s - Saturation, 0-100
+ * @param {number} l - Lightness, 0-100
+ * @returns {string} Hex color like '#ff69b4'
+ */
+function hslToHex(h, s, l) {
+    const hue = (((h % 360) + 360) % 360) / 360;
+    const sat = Math.max(0, Math.min(100, s)) / 100;
+    const light = Math.max(0, Math.min(100, l)) / 100;
+
+    if (sat === 0) {
+        return toHexColor(light * 255, light * 255, light * 255);
     }
 
-    // Convert back to hex
-    const R = Math.round(r2 * 255);
-    const G = Math.round(g2 * 255);
-    const B = Math.round(b2 * 255);
-    return "#" + (0x1000000 + R * 0x10000 + G * 0x100 + B).toString(16).slice(1);
+    const hue2rgb = (p, q, t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1/6) return p + (q - p) * 6 * t;
+        if (t < 1/2) return q;
+        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+        return p;
+    };
+
+    const q = light < 0.5 ? light * (1 + sat) : light + sat - light * sat;
+    const p = 2 * light - q;
+    return toHexColor(
+        hue2rgb(p, q, hue + 1/3) * 255,
+        hue2rgb(p, q, hue) * 255,
+        hue2rgb(p, q, hue - 1/3) * 255
+    );
+}
+
+/**
+ * MONSTER HIGH STYLE: Helper function to boost color saturation
+ * Makes colors more vibrant and vivid for that dress-up game look
+ * (a negative percent takes saturation away instead)
+ */
+function boostSaturation(color, percent) {
+    const { h, s, l } = hexToHsl(color);
+    return hslToHex(h, Math.min(100, s * (1 + percent / 100)), l);
+}
+
+/**
+ * Blends two hex colors
+ *
+ * @param {string} from - Color at amount 0
+ * @param {string} to - Color at amount 1
+ * @param {number} amount - How far from one to the other, 0 to 1
+ * @returns {string} Hex color like '#ff69b4'
+ */
+function mixColors(from, to, amount) {
+    const a = readColorChannels(from);
+    const b = readColorChannels(to);
+    const t = Math.max(0, Math.min(1, amount));
+    return toHexColor(a.r + (b.r - a.r) * t, a.g + (b.g - a.g) * t, a.b + (b.b - a.b) * t);
+}
+
+/**
+ * Body types (see appearance.bodyType)
+ * - width: half the width of the torso - the shoulders sit at its sides
+ * - hips: distance of each hip joint from the middle
+ * - limbWidth: thickness of the arms and legs (and the sleeves and pants over them)
+ * - handSize: size of the hands and feet (and the nails and shoes on them)
+ * The average values are the original chibi body.
+ */
+const bodyTypes = {
+    'slim': { name: 'Slim', width: 50, hips: 17, limbWidth: 0.85, handSize: 0.9 },
+    'average': { name: 'Average', width: 60, hips: 20, limbWidth: 1, handSize: 1 },
+    'curvy': { name: 'Curvy', width: 64, hips: 26, limbWidth: 1.1, handSize: 1.05 },
+    'plus': { name: 'Plus Size', width: 74, hips: 27, limbWidth: 1.35, handSize: 1.15 }
+};
+
+/**
+ * Heights (see appearance.height)
+ * The big chibi head stays the same - height comes from the body
+ * - torso: half the height of the torso
+ * - legs / arms: limb length compared to average
+ */
+const bodyHeights = {
+    'short': { name: 'Short', torso: 62, legs: 0.9, arms: 0.9 },
+    'average': { name: 'Average', torso: 70, legs: 1, arms: 1 },
+    'tall': { name: 'Tall', torso: 78, legs: 1.2, arms: 1.1 }
+};
+
+/** Top of the torso (tucked under the chin) - it grows downwards from here */
+const BODY_TOP_Y = 380;
+
+/** Thickness of the arms and legs on the average body (see limbWidth) */
+const ARM_WIDTH = 15;
+const LEG_WIDTH = 22;
+
+/**
+ * Gets the torso size, joint anchors and limb scales for a character's
+ * body type and height. Unknown values fall back to average.
+ * The pose skeleton (poses.js) and everything worn on the body are fitted to this.
+ *
+ * @param {Object} state - Character state
+ * @returns {Object} {
+ *     cx, cy, rx, ry (torso ellipse), waistY (bottom of the torso),
+ *     shoulders / hips: { left: {x, y}, right: {x, y} },
+ *     limbWidth, handSize, legs, arms, hipScale (skirt width compared to average)
+ * }
+ */
+function getBodyGeometry(state) {
+    const type = bodyTypes[state.appearance.bodyType] || bodyTypes['average'];
+    const height = bodyHeights[state.appearance.height] || bodyHeights['average'];
+
+    const cx = FACE_CENTER_X;
+    const cy = BODY_TOP_Y + height.torso;
+    const waistY = cy + height.torso;
+
+    return {
+        cx: cx,
+        cy: cy,
+        rx: type.width,
+        ry: height.torso,
+        waistY: waistY,
+        // Shoulders at the sides of the torso, just below its widest point
+        shoulders: {
+            left: { x: cx - type.width, y: cy + 2 },
+            right: { x: cx + type.width, y: cy + 2 }
+        },
+        // Hips at the bottom of the torso
+        hips: {
+            left: { x: cx - type.hips, y: waistY },
+            right: { x: cx + type.hips, y: waistY }
+        },
+        limbWidth: type.limbWidth,
+        handSize: type.handSize,
+        legs: height.legs,
+        arms: height.arms,
+        hipScale: type.hips / bodyTypes['average'].hips
+    };
 }
 
 /**
  * Renders the body (torso) of the character.
  * CHIBI STYLE: Small, rounded body for cute proportions
  *
- * Position: Center of canvas (x=200, y=450)
- * Size: Smaller body to emphasize big head (chibi style)
+ * Position: Center of canvas, just below the head (see getBodyGeometry)
+ * Size: Smaller body to emphasize big head (chibi style) - wider or
+ * taller depending on body type and height
  */
-function renderBody(svg, state) {
-    const defs = svg.querySelector('defs');
+function renderBody(layer, state) {
+    const defs = getLayerDefs(layer);
+    const body = getBodyGeometry(state);
 
     // Create gradient for body with lighting
-    createSkinGradient(defs, 'bodyGradient', state.appearance.skinTone);
+    createSkinGradient(defs, scopedId(layer, 'bodyGradient'), state.appearance.skinTone);
 
     // CHIBI BODY: Small, round, cute torso
-    const body = createSVGElement('ellipse', {
-        cx: '200',      // Horizontal center
-        cy: '450',      // Below head
-        rx: '60',       // Smaller, rounder body
-        ry: '70',       // Compact torso
-        fill: 'url(#bodyGradient)',
+    const torso = createSVGElement('ellipse', {
+        cx: body.cx,    // Horizontal center
+        cy: body.cy,    // Below head
+        rx: body.rx,    // Smaller, rounder body
+        ry: body.ry,    // Compact torso
+        fill: scopedUrl(layer, 'bodyGradient'),
         stroke: '#000000',
         'stroke-width': '4',
-        filter: 'url(#dropShadow)',
-        id: 'body'
+        filter: scopedUrl(layer, 'dropShadow'),
+        id: scopedId(layer, 'body')
     });
-    svg.appendChild(body);
+    layer.appendChild(torso);
 }
 
 /**
@@ -359,59 +671,55 @@ function renderBody(svg, state) {
  *
  * Arms are positioned at the sides of the body
  */
-function renderArms(svg, state) {
-    const defs = svg.querySelector('defs');
+function renderArms(layer, state) {
+    const defs = getLayerDefs(layer);
 
     // Create gradient for arms using skin tone
-    createSkinGradient(defs, 'armGradient', state.appearance.skinTone);
+    createSkinGradient(defs, scopedId(layer, 'armGradient'), state.appearance.skinTone);
 
-    // CHIBI LEFT ARM - Short, stubby, cute arm
-    const leftArmPath = createSVGElement('path', {
-        d: 'M 135 450 Q 115 490 105 525 L 120 530 Q 125 495 145 455 Z',
-        // Short stubby arm for chibi proportions
-        fill: 'url(#armGradient)',
-        stroke: '#000000',
-        'stroke-width': '3',
-        filter: 'url(#dropShadow)'
-    });
-    svg.appendChild(leftArmPath);
-
-    // CHIBI Left hand - round, chubby hand
-    const leftHand = createSVGElement('ellipse', {
-        cx: '112',      // Center of hand
-        cy: '540',      // Below arm
-        rx: '20',       // Chubby hand width
-        ry: '24',       // Round hand height
-        fill: 'url(#armGradient)',
-        stroke: '#000000',
-        'stroke-width': '3',
-        filter: 'url(#dropShadow)'
-    });
-    svg.appendChild(leftHand);
+    // Arms follow the joints of the current pose (see poses.js)
+    const skeleton = getSkeleton(state);
 
-    // CHIBI RIGHT ARM - Short, stubby, cute arm
-    const rightArmPath = createSVGElement('path', {
-        d: 'M 265 450 Q 285 490 295 525 L 280 530 Q 275 495 255 455 Z',
-        // Short stubby arm for chibi proportions
-        fill: 'url(#armGradient)',
-        stroke: '#000000',
-        'stroke-width': '3',
-        filter: 'url(#dropShadow)'
-    });
-    svg.appendChild(rightArmPath);
-
-    // CHIBI Right hand - round, chubby hand
-    const rightHand = createSVGElement('ellipse', {
-        cx: '288',      // Center of hand
-        cy: '540',      // Below arm
-        rx: '20',       // Chubby hand width
-        ry: '24',       // Round hand height
-        fill: 'url(#armGradient)',
-        stroke: '#000000',
-        'stroke-width': '3',
-        filter: 'url(#dropShadow)'
+    ['left', 'right'].forEach(side => {
+        const joints = skeleton.joints;
+
+        // CHIBI ARM - Short, stubby, cute arm from shoulder through elbow to wrist
+        drawLimb(layer, limbPath(joints[`${side}Shoulder`], joints[`${side}Elbow`], joints[`${side}Wrist`]), {
+            width: ARM_WIDTH * skeleton.body.limbWidth,
+            paint: state.appearance.skinTone,
+            outline: 3,
+            cap: 'butt'     // Flat at the shoulder (the hand covers the wrist end)
+        });
+
+        // CHIBI hand - round, chubby hand at the end of the forearm
+        const hand = getHandGeometry(skeleton, side);
+
+        // Fingers go behind the palm so the palm's outline covers their bases
+        hand.fingers.forEach(finger => {
+            layer.appendChild(createSVGElement('ellipse', {
+                cx: finger.center.x,
+                cy: finger.center.y,
+                rx: 6 * hand.scale,     // Chubby little fingers
+                ry: 11 * hand.scale,
+                transform: `rotate(${finger.rotation} ${finger.center.x} ${finger.center.y})`,
+                fill: scopedUrl(layer, 'armGradient'),
+                stroke: '#000000',
+                'stroke-width': '2'
+            }));
+        });
+
+        layer.appendChild(createSVGElement('ellipse', {
+            cx: hand.center.x,
+            cy: hand.center.y,
+            rx: 20 * hand.scale,    // Chubby hand width
+            ry: 24 * hand.scale,    // Round hand height
+            transform: `rotate(${hand.rotation} ${hand.center.x} ${hand.center.y})`,
+            fill: scopedUrl(layer, 'armGradient'),
+            stroke: '#000000',
+            'stroke-width': '3',
+            filter: scopedUrl(layer, 'dropShadow')
+        }));
     });
-    svg.appendChild(rightHand);
 }
 
 /**
@@ -425,59 +733,40 @@ function renderArms(svg, state) {
  *
  * Legs extend from the bottom of the body
  */
-function renderLegs(svg, state) {
-    const defs = svg.querySelector('defs');
+function renderLegs(layer, state) {
+    const defs = getLayerDefs(layer);
 
     // Create gradient for legs using skin tone
-    createSkinGradient(defs, 'legGradient', state.appearance.skinTone);
-
-    // CHIBI LEFT LEG - Short, stubby, cute leg
-    const leftLegPath = createSVGElement('path', {
-        d: 'M 170 520 L 168 620 L 192 620 L 190 520 Z',
-        // Short stubby leg for chibi proportions
-        fill: 'url(#legGradient)',
-        stroke: '#000000',
-        'stroke-width': '3',
-        filter: 'url(#dropShadow)'
-    });
-    svg.appendChild(leftLegPath);
-
-    // CHIBI Left foot - round, chubby foot
-    const leftFoot = createSVGElement('ellipse', {
-        cx: '180',      // Center of foot
-        cy: '635',      // Below short leg
-        rx: '28',       // Chubby foot length
-        ry: '15',       // Round foot height
-        fill: 'url(#legGradient)',
-        stroke: '#000000',
-        'stroke-width': '3',
-        filter: 'url(#dropShadow)'
-    });
-    svg.appendChild(leftFoot);
+    createSkinGradient(defs, scopedId(layer, 'legGradient'), state.appearance.skinTone);
+
+    // Legs follow the joints of the current pose (see poses.js)
+    const skeleton = getSkeleton(state);
+    const joints = skeleton.joints;
+    const footSize = skeleton.body.handSize;
+
+    ['left', 'right'].forEach(side => {
+        // CHIBI LEG - Short, stubby, cute leg from hip through knee to ankle
+        // Flat ends: the top tucks under the body, the bottom under the foot
+        drawLimb(layer, limbPath(joints[`${side}Hip`], joints[`${side}Knee`], joints[`${side}Ankle`]), {
+            width: LEG_WIDTH * skeleton.body.limbWidth,
+            paint: state.appearance.skinTone,
+            outline: 3,
+            cap: 'butt'
+        });
 
-    // CHIBI RIGHT LEG - Short, stubby, cute leg
-    const rightLegPath = createSVGElement('path', {
-        d: 'M 210 520 L 208 620 L 232 620 L 230 520 Z',
-        // Short stubby leg for chibi proportions
-        fill: 'url(#legGradient)',
-        stroke: '#000000',
-        'stroke-width': '3',
-        filter: 'url(#dropShadow)'
-    });
-    svg.appendChild(rightLegPath);
-
-    // CHIBI Right foot - round, chubby foot
-    const rightFoot = createSVGElement('ellipse', {
-        cx: '220',      // Center of foot
-        cy: '635',      // Below short leg
-        rx: '28',       // Chubby foot length
-        ry: '15',       // Round foot height
-        fill: 'url(#legGradient)',
-        stroke: '#000000',
-        'stroke-width': '3',
-        filter: 'url(#dropShadow)'
+        // CHIBI foot - round, chubby foot just below the ankle
+        const ankle = joints[`${side}Ankle`];
+        layer.appendChild(createSVGElement('ellipse', {
+            cx: ankle.x,    // Center of foot
+            cy: ankle.y + 15 * footSize,
+            rx: 28 * footSize,  // Chubby foot length
+            ry: 15 * footSize,  // Round foot height
+            fill: scopedUrl(layer, 'legGradient'),
+            stroke: '#000000',
+            'stroke-width': '3',
+            filter: scopedUrl(layer, 'dropShadow')
+        }));
     });
-    svg.appendChild(rightFoot);
 }
 
 /**
@@ -486,11 +775,11 @@ function renderLegs(svg, state) {
  *
  * Position: Between head and body
  */
-function renderNeck(svg, state) {
-    const defs = svg.querySelector('defs');
+function renderNeck(layer, state) {
+    const defs = getLayerDefs(layer);
 
     // Create gradient for neck
-    createSkinGradient(defs, 'neckGradient', state.appearance.skinTone);
+    createSkinGradient(defs, scopedId(layer, 'neckGradient'), state.appearance.skinTone);
 
     // CHIBI NECK: Short and cute
     const neck = createSVGElement('rect', {
@@ -498,51 +787,139 @@ function renderNeck(svg, state) {
         y: '410',       // Between head (ends ~450) and body (starts ~380)
         width: '50',    // Wider for chibi proportions
         height: '35',   // Short neck
-        fill: 'url(#neckGradient)',
+        fill: scopedUrl(layer, 'neckGradient'),
         stroke: '#000000',
         'stroke-width': '3',
-        id: 'neck'
+        id: scopedId(layer, 'neck')
     });
-    svg.appendChild(neck);
+    layer.appendChild(neck);
+}
+
+/**
+ * Face shapes (see appearance.faceShape)
+ *
+ * Head outline:
+ * - rx: half the width of the head at its widest
+ * - top / bottom: crown and chin (y)
+ * - widestY: where the head is widest - above the middle for a heart shape
+ * - crown / jaw: roundness of the upper and lower half
+ *   (0.55 follows an ellipse, higher is squarer, lower is more pointed)
+ *
+ * Feature positions (the oval values are the original chibi layout):
+ * - eyeY, eyeSpacing: eye centers, eyeSpacing from the middle of the face
+ * - noseY, mouthY, cheekY: vertical positions of the nose, mouth and blush
+ */
+const faceShapes = {
+    'oval': {
+        name: 'Oval',
+        rx: 110, top: 210, bottom: 450, widestY: 330, crown: 0.55, jaw: 0.55,
+        eyeY: 325, eyeSpacing: 35, noseY: 350, mouthY: 385, cheekY: 362
+    },
+    'round': {
+        name: 'Round',
+        rx: 118, top: 222, bottom: 446, widestY: 336, crown: 0.55, jaw: 0.6,
+        eyeY: 330, eyeSpacing: 38, noseY: 355, mouthY: 388, cheekY: 366
+    },
+    'heart': {
+        name: 'Heart',
+        rx: 114, top: 210, bottom: 452, widestY: 305, crown: 0.7, jaw: 0.3,
+        eyeY: 320, eyeSpacing: 37, noseY: 348, mouthY: 384, cheekY: 356
+    },
+    'square': {
+        name: 'Square',
+        rx: 108, top: 212, bottom: 448, widestY: 330, crown: 0.75, jaw: 0.85,
+        eyeY: 325, eyeSpacing: 36, noseY: 350, mouthY: 386, cheekY: 364
+    },
+    'long': {
+        name: 'Long',
+        rx: 98, top: 195, bottom: 462, widestY: 325, crown: 0.55, jaw: 0.55,
+        eyeY: 318, eyeSpacing: 32, noseY: 348, mouthY: 390, cheekY: 360
+    }
+};
+
+/** Horizontal center of the face */
+const FACE_CENTER_X = 200;
+
+/**
+ * Gets the head outline and feature positions for a character's face shape.
+ * Unknown shapes fall back to oval.
+ *
+ * @param {Object} state - Character state
+ * @returns {Object} The face shape entry from faceShapes
+ */
+function getFaceGeometry(state) {
+    return faceShapes[state.appearance.faceShape] || faceShapes['oval'];
+}
+
+/**
+ * Builds the head outline as four cubic curves (crown to chin and back).
+ * With crown and jaw at 0.55 this is practically an ellipse.
+ *
+ * @param {Object} face - From getFaceGeometry()
+ * @returns {string} Path data for the 'd' attribute
+ */
+function createHeadPath(face) {
+    const cx = FACE_CENTER_X;
+    const { rx, top, bottom, widestY, crown, jaw } = face;
+
+    // Control points for the upper and lower half of each side
+    const upper = side => `C ${cx + side * crown * rx} ${top} ${cx + side * rx} ${widestY - crown * (widestY - top)} ${cx + side * rx} ${widestY}`;
+    const lower = side => `C ${cx + side * rx} ${widestY + jaw * (bottom - widestY)} ${cx + side * jaw * rx} ${bottom} ${cx} ${bottom}`;
+
+    return `M ${cx} ${top} ${upper(1)} ${lower(1)} `
+        + `C ${cx - jaw * rx} ${bottom} ${cx - rx} ${widestY + jaw * (bottom - widestY)} ${cx - rx} ${widestY} `
+        + `C ${cx - rx} ${widestY - crown * (widestY - top)} ${cx - crown * rx} ${top} ${cx} ${top} Z`;
+}
+
+/**
+ * Transform that fits the hair (drawn for the oval head) onto another face shape:
+ * stretched to the head's width and moved to its crown.
+ * Identity for the oval face.
+ *
+ * @param {Object} face - From getFaceGeometry()
+ * @returns {string} Value for the transform attribute
+ */
+function getHairFrameTransform(face) {
+    const oval = faceShapes['oval'];
+    const scaleX = face.rx / oval.rx;
+    return `translate(${FACE_CENTER_X} ${face.top - oval.top}) scale(${scaleX} 1) translate(${-FACE_CENTER_X} 0)`;
 }
 
 /**
  * Renders the head (face base) of the character.
  * CHIBI STYLE: Large head for cute proportions (head is ~40% of body height)
  *
- * Position: Center of canvas (x=200, y=330)
+ * Position: Center of canvas (x=200), shape from the face shape (see faceShapes)
  * Size: Big round head for chibi look
  */
-function renderHead(svg, state) {
-    const defs = svg.querySelector('defs');
+function renderHead(layer, state) {
+    const defs = getLayerDefs(layer);
+    const face = getFaceGeometry(state);
 
     // Create gradient for head with top-down lighting
-    createSkinGradient(defs, 'headGradient', state.appearance.skinTone);
-
-    // CHIBI HEAD: Large, round, prominent head
-    const head = createSVGElement('ellipse', {
-        cx: '200',      // Horizontal center
-        cy: '330',      // Higher up, more prominent
-        rx: '110',      // CHIBI: Much bigger head
-        ry: '120',      // CHIBI: Round and large
-        fill: 'url(#headGradient)',
+    createSkinGradient(defs, scopedId(layer, 'headGradient'), state.appearance.skinTone);
+
+    // CHIBI HEAD: Large, prominent head in the chosen face shape
+    const head = createSVGElement('path', {
+        d: createHeadPath(face),
+        fill: scopedUrl(layer, 'headGradient'),
         stroke: '#000000',
         'stroke-width': '4',
-        filter: 'url(#dropShadow)',
-        id: 'head'
+        filter: scopedUrl(layer, 'dropShadow'),
+        id: scopedId(layer, 'head')
     });
-    svg.appendChild(head);
+    layer.appendChild(head);
 
     // Add subtle rim lighting on the left side of face
     const rimLight = createSVGElement('ellipse', {
-        cx: '130',      // Left side of face
-        cy: '330',
+        cx: FACE_CENTER_X - face.rx + 20,   // Left side of face
+        cy: face.widestY,
         rx: '18',       // Thin vertical strip
-        ry: '90',
+        ry: (face.bottom - face.top) * 0.375,
         fill: 'white',
         opacity: '0.15' // Very subtle highlight
     });
-    svg.appendChild(rimLight);
+    layer.appendChild(rimLight);
 }
 
 /**
@@ -551,320 +928,444 @@ function renderHead(svg, state) {
  *
  * Features rendered:
  * - Eyeshadow (if makeup applied)
- * - Eyes (whites, irises, pupils, highlights)
+ * - Eyes (whites, irises, pupils, highlights) - open as wide as the expression says
  * - Eyelashes (3 per eye)
+ * - Eyebrows (tilted by the expression's brow angle)
  * - Nose
- * - Mouth (color changes with lipstick)
- * - Cheeks (pink blush effect)
+ * - Mouth (shape from the expression, color changes with lipstick)
+ * - Cheeks (pink blush effect, as strong as the expression's blush)
+ *
+ * The expression comes from getExpression() in expressions.js, so short
+ * reactions can show without changing the state.
  */
-function renderFacialFeatures(svg, state) {
+function renderFacialFeatures(layer, state) {
+    const expression = typeof getExpression === 'function' ? getExpression(state) : state.expression;
+    const face = getFaceGeometry(state);
+    const eyes = getFaceEyes(face);
+
+    // How open each eye is (0-1.2) - a winking eye is closed
+    const openness = {
+        left: expression.wink === 'left' ? 0 : expression.eyeOpenness / 100,
+        right: expression.wink === 'right' ? 0 : expression.eyeOpenness / 100
+    };
+
     // EYESHADOW (only if makeup is applied)
     // Positioned above eyes as subtle colored ellipses
     if (state.makeup.eyeshadow && state.makeup.eyeshadow !== 'none') {
-        const leftEyeshadow = createSVGElement('ellipse', {
-            cx: '165', cy: '310',   // Above left eye (adjusted for new head position)
-            rx: '25', ry: '12',     // Larger for chibi eyes
-            fill: state.makeup.eyeshadow,
-            opacity: '0.6'
+        eyes.forEach(eye => {
+            layer.appendChild(createSVGElement('ellipse', {
+                cx: eye.cx,
+                cy: eye.cy - 15 * Math.max(openness[eye.side], 0.5),  // Above the eye
+                rx: '25', ry: '12',     // Larger for chibi eyes
+                fill: state.makeup.eyeshadow,
+                opacity: '0.6'
+            }));
         });
-        svg.appendChild(leftEyeshadow);
-
-        const rightEyeshadow = createSVGElement('ellipse', {
-            cx: '235', cy: '310',   // Above right eye
-            rx: '25', ry: '12',
-            fill: state.makeup.eyeshadow,
-            opacity: '0.6'
-        });
-        svg.appendChild(rightEyeshadow);
     }
 
-    // EYES - Built in layers: white -> iris -> pupil -> highlight
-    // ENHANCED: Added shadows, gradients, and better depth
-    // MONSTER HIGH STYLE: 40% BIGGER eyes with bold outlines and glossy shine
-
-    // CHIBI Left eye shadow - creates depth under the eye
-    const leftEyeShadow = createSVGElement('ellipse', {
-        cx: '165',
-        cy: '327',      // Adjusted for new head position
-        rx: '28',       // CHIBI: Even bigger eyes!
-        ry: '32',
-        fill: 'black',
-        opacity: '0.12'
-    });
-    svg.appendChild(leftEyeShadow);
-
-    // CHIBI Right eye shadow
-    const rightEyeShadow = createSVGElement('ellipse', {
-        cx: '235',
-        cy: '327',      // Adjusted for new head position
-        rx: '28',       // CHIBI: Even bigger eyes!
-        ry: '32',
-        fill: 'black',
-        opacity: '0.12'
-    });
-    svg.appendChild(rightEyeShadow);
-
-    // CHIBI Left eye white - HUGE eyes for cute look
-    const leftEyeWhite = createSVGElement('ellipse', {
-        cx: '165',      // Left side of face
-        cy: '325',      // Lower on face for chibi look
-        rx: '26',       // CHIBI: HUGE eyes!
-        ry: '30',
-        fill: 'white',
-        stroke: '#000000',
-        'stroke-width': '3'
-    });
-    svg.appendChild(leftEyeWhite);
-
-    // CHIBI Right eye white - HUGE eyes
-    const rightEyeWhite = createSVGElement('ellipse', {
-        cx: '235',      // Right side of face (70px apart)
-        cy: '325',      // Same level as left eye
-        rx: '26',       // CHIBI: HUGE eyes!
-        ry: '30',
-        fill: 'white',
-        stroke: '#000000',
-        'stroke-width': '3'
-    });
-    svg.appendChild(rightEyeWhite);
-
     // ENHANCED: Create iris gradients for depth
-    const defs = svg.querySelector('defs');
+    // Built from the eye color - lighter in the middle, darker at the rim
+    const defs = getLayerDefs(layer);
+    const eyeColor = state.appearance.eyeColor;
     const irisGradient = createSVGElement('radialGradient', {
-        id: 'irisGradient',
+        id: scopedId(layer, 'irisGradient'),
         cx: '40%',
         cy: '40%'
     });
     const irisStop1 = createSVGElement('stop', {
         offset: '0%',
-        'stop-color': '#6B3A1E'
+        'stop-color': lightenColor(eyeColor, 12)
     });
     const irisStop2 = createSVGElement('stop', {
         offset: '70%',
-        'stop-color': '#4A2511'
+        'stop-color': eyeColor
     });
     const irisStop3 = createSVGElement('stop', {
         offset: '100%',
-        'stop-color': '#2C1508'
+        'stop-color': darkenColor(eyeColor, 12)
     });
     irisGradient.appendChild(irisStop1);
     irisGradient.appendChild(irisStop2);
     irisGradient.appendChild(irisStop3);
     defs.appendChild(irisGradient);
 
-    // Left iris (colored part of eye - brown with gradient)
-    const leftIris = createSVGElement('circle', {
-        cx: '170',
-        cy: '272',      // Slightly lower than white for positioning
-        r: '14',        // MONSTER HIGH: Bigger iris (10 * 1.4 = 14)
-        fill: 'url(#irisGradient)',  // ENHANCED: Use gradient for depth
-        filter: 'url(#innerShadow)'  // ENHANCED: Add inner shadow
-    });
-    svg.appendChild(leftIris);
-
-    // Right iris
-    const rightIris = createSVGElement('circle', {
-        cx: '235', cy: '327',
-        r: '14',        // MONSTER HIGH: Bigger iris
-        fill: 'url(#irisGradient)',  // ENHANCED: Use gradient
-        filter: 'url(#innerShadow)'
-    });
-    svg.appendChild(rightIris);
-
-    // Left pupil (black center with subtle gradient)
-    const leftPupil = createSVGElement('circle', {
-        cx: '165', cy: '327',
-        r: '7',         // MONSTER HIGH: Bigger pupil (5 * 1.4 = 7)
-        fill: 'black'
-    });
-    svg.appendChild(leftPupil);
-
-    // Right pupil
-    const rightPupil = createSVGElement('circle', {
-        cx: '235', cy: '327',
-        r: '7',         // MONSTER HIGH: Bigger pupil
-        fill: 'black'
-    });
-    svg.appendChild(rightPupil);
-
-    // MONSTER HIGH STYLE: HUGE glossy highlight - the signature anime eye shine!
-    const leftHighlight = createSVGElement('ellipse', {
-        cx: '174',      // Slightly offset from center
-        cy: '266',      // Upper part of eye
-        rx: '8',        // MONSTER HIGH: HUGE oval highlight
-        ry: '12',       // MONSTER HIGH: Tall oval for that anime sparkle
-        fill: 'white',
-        opacity: '0.95',
-        filter: 'url(#softGlow)'  // ENHANCED: Add soft glow
-    });
-    svg.appendChild(leftHighlight);
-
-    const rightHighlight = createSVGElement('ellipse', {
-        cx: '239', cy: '319',
-        rx: '8',        // MONSTER HIGH: HUGE oval highlight
-        ry: '12',       // MONSTER HIGH: Tall oval
-        fill: 'white',
-        opacity: '0.95',
-        filter: 'url(#softGlow)'
-    });
-    svg.appendChild(rightHighlight);
-
-    // MONSTER HIGH STYLE: Add secondary sparkle for extra cuteness
-    const leftHighlight2 = createSVGElement('circle', {
-        cx: '166',
-        cy: '277',
-        r: '3',         // MONSTER HIGH: Bigger secondary highlight
-        fill: 'white',
-        opacity: '0.8'
-    });
-    svg.appendChild(leftHighlight2);
-
-    const rightHighlight2 = createSVGElement('circle', {
-        cx: '226',
-        cy: '277',
-        r: '3',         // MONSTER HIGH: Bigger secondary highlight
-        fill: 'white',
-        opacity: '0.8'
+    // Shadow along the top of the iris, drawn over the iris itself
+    // (innerShadow from createLightingEffects leaves only the shadow, which would hide the eye color)
+    const irisShadow = createSVGElement('filter', { id: scopedId(layer, 'irisShadow') });
+    irisShadow.appendChild(createSVGElement('feGaussianBlur', { in: 'SourceAlpha', stdDeviation: '2' }));
+    irisShadow.appendChild(createSVGElement('feOffset', { dx: '0', dy: '2' }));
+    irisShadow.appendChild(createSVGElement('feComposite', { in2: 'SourceAlpha', operator: 'arithmetic', k2: '-1', k3: '1' }));
+    irisShadow.appendChild(createSVGElement('feColorMatrix', {
+        type: 'matrix',
+        values: '0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0.15 0',
+        result: 'irisShade'
+    }));
+    const irisShadowMerge = createSVGElement('feMerge', {});
+    irisShadowMerge.appendChild(createSVGElement('feMergeNode', { in: 'SourceGraphic' }));
+    irisShadowMerge.appendChild(createSVGElement('feMergeNode', { in: 'irisShade' }));
+    irisShadow.appendChild(irisShadowMerge);
+    defs.appendChild(irisShadow);
+
+    const lash = lashStyles[state.appearance.lashStyle] || lashStyles['natural'];
+    const brow = browStyles[state.appearance.browStyle] || browStyles['natural'];
+
+    eyes.forEach(eye => {
+        if (openness[eye.side] < 0.1) {
+            renderClosedEye(layer, eye, lash);
+        } else {
+            renderOpenEye(layer, eye, openness[eye.side], lash);
+        }
+        renderEyebrow(layer, eye, openness[eye.side], expression.browAngle, state.hair.color, brow);
     });
-    svg.appendChild(rightHighlight2);
-
-    // EYELASHES - Three lines per eye extending upward
-    // MONSTER HIGH STYLE: Thicker, more dramatic lashes
-    // Loop creates 3 lashes per eye, evenly spaced
-    for(let i = 0; i < 3; i++) {
-        // Left eye lashes
-        const leftLash = createSVGElement('line', {
-            x1: 145 + (i * 7),  // Start x (spaced wider for bigger eyes)
-            y1: '305',          // Start y (adjusted for bigger eyes)
-            x2: 153 + (i * 7),  // End x (slightly inward for curve)
-            y2: '298',          // End y (longer lashes)
-            stroke: 'black',
-            'stroke-width': '4',        // MONSTER HIGH: Thicker lashes (was 2)
-            'stroke-linecap': 'round'  // Rounded ends
-        });
-        svg.appendChild(leftLash);
-
-        // Right eye lashes (mirror of left)
-        const rightLash = createSVGElement('line', {
-            x1: 228 + (i * 7),  // Starts further right
-            y1: '305',
-            x2: 236 + (i * 7),
-            y2: '298',
-            stroke: 'black',
-            'stroke-width': '4',        // MONSTER HIGH: Thicker lashes
-            'stroke-linecap': 'round'
-        });
-        svg.appendChild(rightLash);
-    }
 
     // NOSE - ENHANCED: Better rendering with shadow and gradient
     // Create nose shadow for depth
     const noseShadow = createSVGElement('ellipse', {
-        cx: '200',
-        cy: '305',      // Below nose for shadow
+        cx: FACE_CENTER_X,
+        cy: face.noseY + 10,  // Below nose for shadow
         rx: '10',
         ry: '6',
         fill: 'black',
         opacity: '0.08' // Very subtle shadow
     });
-    svg.appendChild(noseShadow);
+    layer.appendChild(noseShadow);
 
     // Nose with gradient for realistic shading
     const nose = createSVGElement('ellipse', {
-        cx: '200',      // Center of face
-        cy: '350',      // Below eyes
+        cx: FACE_CENTER_X,  // Center of face
+        cy: face.noseY,     // Below eyes
         rx: '8',        // Small width
         ry: '12',       // Taller than wide
         fill: darkenColor(state.appearance.skinTone, 8),  // ENHANCED: Slightly darker than skin
         opacity: '0.6'  // Slightly see-through for subtle effect
     });
-    svg.appendChild(nose);
+    layer.appendChild(nose);
 
     // ENHANCED: Add nose highlight for dimension
     const noseHighlight = createSVGElement('ellipse', {
-        cx: '198',
-        cy: '347',
+        cx: FACE_CENTER_X - 2,
+        cy: face.noseY - 3,
         rx: '3',
         ry: '5',
         fill: 'white',
         opacity: '0.3'  // Subtle shine on nose bridge
     });
-    svg.appendChild(noseHighlight);
+    layer.appendChild(noseHighlight);
 
     // MOUTH - ENHANCED: Better rendering with gradients and shadows
     // MONSTER HIGH STYLE: Fuller lips with glossy shine
-    // Color and thickness change if lipstick is applied
-    const mouthColor = (state.makeup.lipstick && state.makeup.lipstick !== 'none')
-        ? boostSaturation(state.makeup.lipstick, 30)  // MONSTER HIGH: Boost saturation
+    renderMouth(layer, expression.mouth, state.makeup.lipstick, face.mouthY);
+
+    // Dimples show when smiling (defined in skin-details.js)
+    if (typeof renderDimples === 'function') {
+        renderDimples(layer, state, expression.mouth, face);
+    }
+
+    // CHEEKS - Pink blush effect on sides of face, below the eyes
+    // Blush 30 gives the original soft look, 100 is a deep blush
+    const blushOpacity = (expression.blush / 100).toFixed(2);
+    eyes.forEach(eye => {
+        layer.appendChild(createSVGElement('ellipse', {
+            cx: eye.cx + (eye.side === 'left' ? -15 : 15),  // Toward the sides of the face
+            cy: face.cheekY, // Cheek level (below eyes, beside the mouth)
+            rx: '18',       // Width
+            ry: '12',       // Height (wider than tall)
+            fill: '#FF69B4', // Hot pink
+            opacity: blushOpacity
+        }));
+    });
+}
+
+/**
+ * Eye positions for a face shape. Left/right are the viewer's left and right.
+ * lashX is where the first of the three lashes starts, relative to the eye center.
+ *
+ * @param {Object} face - From getFaceGeometry()
+ * @returns {Array} { side, cx, cy, lashX } for each eye
+ */
+function getFaceEyes(face) {
+    return [
+        { side: 'left', cx: FACE_CENTER_X - face.eyeSpacing, cy: face.eyeY, lashX: -20 },
+        { side: 'right', cx: FACE_CENTER_X + face.eyeSpacing, cy: face.eyeY, lashX: -7 }
+    ];
+}
+
+/**
+ * Lash styles (see appearance.lashStyle)
+ * - count: lashes along the top of each eye
+ * - spacing: distance between them
+ * - length: how far up each lash reaches
+ * - width: stroke width
+ * Natural is the original three bold lashes.
+ */
+const lashStyles = {
+    'subtle': { name: 'Subtle', count: 2, spacing: 9, length: 5, width: 3 },
+    'natural': { name: 'Natural', count: 3, spacing: 7, length: 7, width: 4 },
+    'long': { name: 'Long', count: 3, spacing: 7, length: 12, width: 4 },
+    'dramatic': { name: 'Dramatic', count: 5, spacing: 5, length: 11, width: 4.5 }
+};
+
+/**
+ * Eyebrow shapes (see appearance.browStyle)
+ * - halfLength: from the middle of the brow to each end
+ * - arch: how high the middle rises above the ends
+ * - width: stroke width
+ * Natural is the original soft arch.
+ */
+const browStyles = {
+    'natural': { name: 'Natural', halfLength: 18, arch: 8, width: 5 },
+    'straight': { name: 'Straight', halfLength: 18, arch: 2, width: 5 },
+    'arched': { name: 'High Arch', halfLength: 19, arch: 14, width: 4.5 },
+    'bold': { name: 'Bold', halfLength: 20, arch: 8, width: 8 },
+    'thin': { name: 'Thin', halfLength: 17, arch: 9, width: 2.5 }
+};
+
+/**
+ * Draws an open eye, squashed vertically by openness
+ * (0.5 is half-lidded, 1 is normal, 1.2 is wide with surprise).
+ * Built in layers: shadow -> white -> iris -> pupil -> highlights -> lashes
+ * MONSTER HIGH STYLE: HUGE eyes with bold outlines and glossy shine
+ */
+function renderOpenEye(layer, eye, openness, lash = lashStyles['natural']) {
+    const cx = eye.cx;
+    const cy = eye.cy;
+
+    // Everything inside the eye is squashed around the eye's center line
+    const eyeGroup = createSVGElement('g', {
+        transform: `translate(0 ${cy}) scale(1 ${openness}) translate(0 ${-cy})`
+    });
+
+    // CHIBI eye shadow - creates depth under the eye
+    eyeGroup.appendChild(createSVGElement('ellipse', {
+        cx: cx,
+        cy: cy + 2,
+        rx: '28',       // CHIBI: Even bigger eyes!
+        ry: '32',
+        fill: 'black',
+        opacity: '0.12'
+    }));
+
+    // CHIBI eye white - HUGE eyes for cute look
+    eyeGroup.appendChild(createSVGElement('ellipse', {
+        cx: cx,
+        cy: cy,
+        rx: '26',       // CHIBI: HUGE eyes!
+        ry: '30',
+        fill: 'white',
+        stroke: '#000000',
+        'stroke-width': '3',
+        'vector-effect': 'non-scaling-stroke'  // Outline stays bold when squashed
+    }));
+
+    // Iris (colored part of eye - brown with gradient)
+    eyeGroup.appendChild(createSVGElement('circle', {
+        cx: cx,
+        cy: cy + 2,     // Slightly lower than white for positioning
+        r: '14',        // MONSTER HIGH: Bigger iris (10 * 1.4 = 14)
+        fill: scopedUrl(layer, 'irisGradient'),  // ENHANCED: Use gradient for depth
+        filter: scopedUrl(layer, 'irisShadow')  // ENHANCED: Add inner shadow
+    }));
+
+    // Pupil (black center)
+    eyeGroup.appendChild(createSVGElement('circle', {
+        cx: cx,
+        cy: cy + 2,
+        r: '7',         // MONSTER HIGH: Bigger pupil (5 * 1.4 = 7)
+        fill: 'black'
+    }));
+
+    // MONSTER HIGH STYLE: HUGE glossy highlight - the signature anime eye shine!
+    eyeGroup.appendChild(createSVGElement('ellipse', {
+        cx: cx + 4,     // Slightly offset from center
+        cy: cy - 6,     // Upper part of eye
+        rx: '8',        // MONSTER HIGH: HUGE oval highlight
+        ry: '12',       // MONSTER HIGH: Tall oval for that anime sparkle
+        fill: 'white',
+        opacity: '0.95',
+        filter: scopedUrl(layer, 'softGlow')  // ENHANCED: Add soft glow
+    }));
+
+    // MONSTER HIGH STYLE: Add secondary sparkle for extra cuteness
+    eyeGroup.appendChild(createSVGElement('circle', {
+        cx: cx - 6,
+        cy: cy + 9,
+        r: '3',         // MONSTER HIGH: Bigger secondary highlight
+        fill: 'white',
+        opacity: '0.8'
+    }));
+
+    layer.appendChild(eyeGroup);
+
+    // EYELASHES - Lines extending upward from the top of the eye (see lashStyles)
+    // Drawn outside the squashed group so they keep their length
+    // MONSTER HIGH STYLE: Thicker, more dramatic lashes
+    const lashY = cy - 20 * openness;
+    for (let i = 0; i < lash.count; i++) {
+        const x = cx + eye.lashX + (i * lash.spacing);
+        layer.appendChild(createSVGElement('line', {
+            x1: x,                          // Start x (spaced wider for bigger eyes)
+            y1: lashY,                      // Start y (near the top of the eye)
+            x2: x + lash.length * 8 / 7,    // End x (slightly inward for curve)
+            y2: lashY - lash.length,        // End y
+            stroke: 'black',
+            'stroke-width': lash.width,     // MONSTER HIGH: Thicker lashes (was 2)
+            'stroke-linecap': 'round'  // Rounded ends
+        }));
+    }
+}
+
+/**
+ * Draws a closed eye - a happy upward arc with two little lashes
+ * Used for blinks, winks and joyful squeezed-shut eyes
+ * The lashes get longer and thicker with the lash style
+ */
+function renderClosedEye(layer, eye, lash = lashStyles['natural']) {
+    const cx = eye.cx;
+    const cy = eye.cy;
+
+    layer.appendChild(createSVGElement('path', {
+        d: `M ${cx - 22} ${cy + 4} Q ${cx} ${cy - 18} ${cx + 22} ${cy + 4}`,
+        stroke: '#000000',
+        'stroke-width': '4',
+        fill: 'none',
+        'stroke-linecap': 'round'
+    }));
+
+    // Lashes at the outer corner
+    const outer = eye.side === 'left' ? -1 : 1;
+    const reach = lash.length / lashStyles['natural'].length;
+    [0, 8].forEach(offset => {
+        layer.appendChild(createSVGElement('line', {
+            x1: cx + outer * (18 - offset),
+            y1: cy - 2 - offset / 2,
+            x2: cx + outer * (18 - offset + 8 * reach),
+            y2: cy - 2 - offset / 2 - (6 + offset / 2) * reach,
+            stroke: 'black',
+            'stroke-width': lash.width - 1,
+            'stroke-linecap': 'round'
+        }));
+    });
+}
+
+/**
+ * Draws an eyebrow above an eye, in a darker shade of the hair color
+ * angle: degrees - positive raises the inner end (surprised, worried),
+ * negative lowers it (determined, proud)
+ * Brows sit higher when the eyes are wide open
+ * brow: shape from browStyles
+ */
+function renderEyebrow(layer, eye, openness, angle, hairColor, brow = browStyles['natural']) {
+    const cx = eye.cx;
+    const browY = eye.cy - 30 * Math.max(openness, 0.6) - 14;
+
+    // The inner end is toward the middle of the face - raising it means
+    // turning the left brow counterclockwise and the right one clockwise
+    const rotation = eye.side === 'left' ? -angle : angle;
+
+    layer.appendChild(createSVGElement('path', {
+        d: `M ${cx - brow.halfLength} ${browY + 2} Q ${cx} ${browY + 2 - brow.arch} ${cx + brow.halfLength} ${browY + 2}`,
+        transform: `rotate(${rotation} ${cx} ${browY})`,
+        stroke: darkenColor(hairColor, 10),
+        'stroke-width': brow.width,
+        fill: 'none',
+        'stroke-linecap': 'round'
+    }));
+}
+
+/**
+ * Path data for each mouth shape (see mouthShapes in expressions.js)
+ * Line shapes are stroked; filled shapes are drawn as an open mouth
+ * Drawn for a mouth centered at MOUTH_BASE_Y - renderMouth moves them into place
+ */
+const MOUTH_BASE_Y = 385;
+
+const MOUTH_PATHS = {
+    'smile': { d: 'M 180 378 Q 200 395 220 378' },
+    'smirk': { d: 'M 182 385 Q 204 392 220 375' },
+    'neutral': { d: 'M 186 385 Q 200 387 214 385' },
+    'grin': { d: 'M 178 376 Q 200 382 222 376 Q 218 404 200 404 Q 182 404 178 376 Z', open: true },
+    'open': { d: 'M 200 376 Q 211 376 211 389 Q 211 402 200 402 Q 189 402 189 389 Q 189 376 200 376 Z', open: true },
+    'pout': { d: 'M 192 386 Q 200 377 208 386 Q 200 394 192 386 Z', filled: true }
+};
+
+/**
+ * Draws the mouth in the given shape, centered at mouthY (see faceShapes)
+ * Color and thickness change if lipstick is applied
+ */
+function renderMouth(layer, shape, lipstick, mouthY = MOUTH_BASE_Y) {
+    const mouthPath = MOUTH_PATHS[shape] || MOUTH_PATHS['smile'];
+    const hasLipstick = lipstick && lipstick !== 'none';
+
+    const mouthColor = hasLipstick
+        ? boostSaturation(lipstick, 30)  // MONSTER HIGH: Boost saturation
         : '#8B4513';             // Default brown/neutral
-    const mouthWidth = (state.makeup.lipstick && state.makeup.lipstick !== 'none')
+    const mouthWidth = hasLipstick
         ? '8'   // MONSTER HIGH: Even thicker for fuller lips
         : '4';  // MONSTER HIGH: Thicker default
 
+    // The shapes are drawn for the oval face - move them to this face's mouth
+    const mouthGroup = createSVGElement('g', { transform: `translate(0 ${mouthY - MOUTH_BASE_Y})` });
+    layer.appendChild(mouthGroup);
+
     // ENHANCED: Add mouth shadow underneath for depth
-    const mouthShadow = createSVGElement('path', {
-        d: 'M 175 382 Q 200 397 220 332',
+    mouthGroup.appendChild(createSVGElement('path', {
+        d: mouthPath.d,
+        transform: 'translate(0 2)',
         stroke: 'black',
         'stroke-width': mouthWidth,
         fill: 'none',
         'stroke-linecap': 'round',
         opacity: '0.15'  // Subtle shadow
-    });
-    svg.appendChild(mouthShadow);
+    }));
 
-    // Main mouth - Path creates a smile curve using quadratic bezier (Q)
+    // Main mouth - open mouths are dark inside with the lips as the outline
     const mouth = createSVGElement('path', {
-        d: 'M 175 380 Q 200 395 220 330',  // Start 180, curve down to 345, end 220
+        d: mouthPath.d,
         stroke: mouthColor,
         'stroke-width': mouthWidth,
-        fill: 'none',              // No fill, just outline
+        fill: mouthPath.open ? '#5C1A1A' : (mouthPath.filled ? mouthColor : 'none'),
         'stroke-linecap': 'round',  // Rounded ends
-        filter: state.makeup.lipstick !== 'none' ? 'url(#softGlow)' : 'none'  // ENHANCED: Glow for lipstick
-    });
-    svg.appendChild(mouth);
-
-    // MONSTER HIGH STYLE: Always add glossy lip shine for that polished look!
-    const lipShine = createSVGElement('ellipse', {
-        cx: '200',
-        cy: '387',      // Center of lower lip
-        rx: '12',       // MONSTER HIGH: Bigger shine spot
-        ry: '4',        // MONSTER HIGH: Taller shine
-        fill: 'url(#glossGradient)',  // MONSTER HIGH: Use gloss gradient
-        opacity: state.makeup.lipstick !== 'none' ? '0.7' : '0.4'  // More shine with lipstick
+        'stroke-linejoin': 'round',
+        filter: hasLipstick ? scopedUrl(layer, 'softGlow') : 'none'  // ENHANCED: Glow for lipstick
     });
-    svg.appendChild(lipShine);
-
-    // CHEEKS - Pink blush effect on sides of face
-    const leftCheek = createSVGElement('ellipse', {
-        cx: '155',      // Left side
-        cy: '305',      // Cheek level (below eyes, above mouth)
-        rx: '18',       // Width
-        ry: '12',       // Height (wider than tall)
-        fill: '#FF69B4', // Hot pink
-        opacity: '0.3'  // Very transparent for blush effect
-    });
-    svg.appendChild(leftCheek);
+    mouthGroup.appendChild(mouth);
+
+    // Big grin shows the top teeth
+    if (shape === 'grin') {
+        mouthGroup.appendChild(createSVGElement('path', {
+            d: 'M 183 379 Q 200 384 217 379 L 215 386 Q 200 390 185 386 Z',
+            fill: 'white'
+        }));
+    }
 
-    const rightCheek = createSVGElement('ellipse', {
-        cx: '245',      // Right side (symmetrical)
-        cy: '305', rx: '18', ry: '12',
-        fill: '#FF69B4',
-        opacity: '0.3'
-    });
-    svg.appendChild(rightCheek);
+    // MONSTER HIGH STYLE: Glossy lip shine for that polished look!
+    // (not on open mouths - it would float over the inside of the mouth)
+    if (!mouthPath.open) {
+        mouthGroup.appendChild(createSVGElement('ellipse', {
+            cx: '200',
+            cy: '389',      // Center of lower lip
+            rx: mouthPath.filled ? '5' : '12',  // MONSTER HIGH: Bigger shine spot
+            ry: mouthPath.filled ? '2' : '4',   // MONSTER HIGH: Taller shine
+            fill: scopedUrl(layer, 'glossGradient'),  // MONSTER HIGH: Use gloss gradient
+            opacity: hasLipstick ? '0.7' : '0.4'  // More shine with lipstick
+        }));
+    }
 }
 
 /**
- * Renders the character's hair.
- * Creates a group for hair elements and calls specialized hair rendering functions.
+ * Renders the character's hair into the hair layer.
+ * Calls the specialized hair rendering functions.
  *
  * Hair is complex and has its own system (hair-system.js) for different textures.
  * If that system exists, it's used. Otherwise, a default afro is rendered.
  */
-function renderHair(svg, state) {
-    // Create a group element to hold all hair elements together
-    const hairGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    hairGroup.setAttribute('id', 'hairGroup');
+function renderHair(layer, state) {
+    // The hair layer itself is the hair group - it stays in place between renders,
+    // so click handlers added by hair care survive a re-render
+    const hairGroup = layer;
+
+    // Fit the hair to the face shape (the styles are drawn for the oval head)
+    hairGroup.setAttribute('transform', getHairFrameTransform(getFaceGeometry(state)));
 
     // Check if advanced hair system exists (added in later task)
     if (typeof renderHairByTexture === 'function') {
@@ -881,8 +1382,30 @@ function renderHair(svg, state) {
         });
         hairGroup.appendChild(defaultHair);
     }
+}
 
-    svg.appendChild(hairGroup);
+/**
+ * Renders the part of the hair that hangs behind the head and body
+ * (only long styles like locs have one - see renderHairBackByStyle in hair-system.js)
+ */
+function renderHairBack(layer, state) {
+    layer.setAttribute('transform', getHairFrameTransform(getFaceGeometry(state)));
+    if (typeof renderHairBackByStyle === 'function') {
+        renderHairBackByStyle(layer, state);
+    }
+}
+
+/**
+ * Finds the hair group of a rendered character.
+ * Hair care and interactive styling use it to make the hair clickable.
+ *
+ * @param {SVGElement} svg - Rendered character (defaults to the main #character SVG)
+ * @param {string} part - 'front' (the hair layer) or 'back' (the hair-back layer)
+ * @returns {SVGGElement|null} The hair group, or null if nothing is rendered yet
+ */
+function getHairGroup(svg = document.getElementById('character'), part = 'front') {
+    const layerId = part === 'back' ? 'hair-back' : 'hair';
+    return svg ? svg.querySelector(`.character-layer[data-layer="${layerId}"]`) : null;
 }
 
 /**
@@ -895,9 +1418,13 @@ function renderHair(svg, state) {
  * - Pants/skirt covering legs
  * - Shoes covering feet
  */
-function renderOutfit(svg, state) {
+function renderOutfit(layer, state) {
     // Get the color and type info for current outfit items
-    const outfitData = getOutfitData(state.outfit.top, state.outfit.bottom, state.outfit.shoes);
+    const outfitData = getWornOutfit(state);
+
+    // Clothes are cut to fit the character's body type, height and pose
+    const skeleton = getSkeleton(state);
+    const body = skeleton.body;
 
     // RENDER TOP (t-shirt or dress body)
     if (outfitData.top) {
@@ -905,46 +1432,30 @@ function renderOutfit(svg, state) {
 
         // CHIBI shirt - covers rounded body
         const top = createSVGElement('ellipse', {
-            cx: '200',      // Center on body
-            cy: '450',      // Match chibi body position
-            rx: '65',       // Match chibi body size
-            ry: '75',       // Cover chibi body
+            cx: body.cx,        // Center on body
+            cy: body.cy,        // Match chibi body position
+            rx: body.rx + 5,    // Match chibi body size
+            ry: body.ry + 5,    // Cover chibi body
             fill: topColor,
             stroke: '#000000',
             'stroke-width': '3',
-            filter: 'url(#dropShadow)'
-        });
-        svg.appendChild(top);
-
-        // CHIBI LEFT SLEEVE - short, cute sleeve
-        const leftSleeve = createSVGElement('path', {
-            d: 'M 135 450 Q 120 480 115 510 L 125 515 Q 128 485 143 455 Z',
-            fill: topColor,
-            stroke: '#000000',
-            'stroke-width': '2'
+            filter: scopedUrl(layer, 'dropShadow')
         });
-        svg.appendChild(leftSleeve);
+        layer.appendChild(top);
 
-        // CHIBI RIGHT SLEEVE - short, cute sleeve
-        const rightSleeve = createSVGElement('path', {
-            d: 'M 265 450 Q 280 480 285 510 L 275 515 Q 272 485 257 455 Z',
-            fill: topColor,
-            stroke: '#000000',
-            'stroke-width': '2'
-        });
-        svg.appendChild(rightSleeve);
+        // Sleeves are drawn over the arms in their own layer (see renderSleeves)
 
         // If wearing a dress, add the dress skirt part
         if (outfitData.top.id.includes('dress')) {
             // CHIBI Dress skirt - cute short skirt
             const dressSkirt = createSVGElement('path', {
-                d: 'M 155 520 L 140 610 L 260 610 L 245 520 Z',
+                d: createSkirtPath(body, 45, 60, 90),
                 // Start at waist, flare to wider bottom
                 fill: topColor,
                 stroke: '#000000',
                 'stroke-width': '3'
             });
-            svg.appendChild(dressSkirt);
+            layer.appendChild(dressSkirt);
         }
     }
 
@@ -954,150 +1465,195 @@ function renderOutfit(svg, state) {
 
         // Check if it's pants or a skirt
         if (outfitData.bottom.id.includes('jeans') || outfitData.bottom.id.includes('shorts')) {
-            // CHIBI PANTS - cover short legs
-            // Left pant leg
-            const leftPantLeg = createSVGElement('path', {
-                d: 'M 170 520 L 168 620 L 192 620 L 190 520 Z',
-                fill: bottomColor,
-                stroke: '#000000',
-                'stroke-width': '3'
-            });
-            svg.appendChild(leftPantLeg);
-
-            // Right pant leg
-            const rightPantLeg = createSVGElement('path', {
-                d: 'M 210 520 L 208 620 L 232 620 L 230 520 Z',
-                fill: bottomColor,
-                stroke: '#000000',
-                'stroke-width': '3'
+            // CHIBI PANTS - cover short legs, following the pose
+            const joints = skeleton.joints;
+            ['left', 'right'].forEach(side => {
+                drawLimb(layer, limbPath(joints[`${side}Hip`], joints[`${side}Knee`], joints[`${side}Ankle`]), {
+                    width: 26 * body.limbWidth,
+                    paint: bottomColor,
+                    outline: 3,
+                    cap: 'butt'
+                });
             });
-            svg.appendChild(rightPantLeg);
         } else {
             // CHIBI SKIRT - cute short skirt
             const skirt = createSVGElement('path', {
-                d: 'M 165 520 L 155 605 L 245 605 L 235 520 Z',
+                d: createSkirtPath(body, 35, 45, 85),
                 fill: bottomColor,
                 stroke: '#000000',
                 'stroke-width': '3',
-                filter: 'url(#dropShadow)'
+                filter: scopedUrl(layer, 'dropShadow')
             });
-            svg.appendChild(skirt);
+            layer.appendChild(skirt);
         }
     }
 
-    // RENDER SHOES - covering chibi feet
+    // RENDER SHOES - covering chibi feet, wherever the pose puts them
     if (outfitData.shoes) {
         const shoeColor = outfitData.shoes.color;
-
-        // CHIBI Left shoe - covers chubby foot
-        const leftShoe = createSVGElement('ellipse', {
-            cx: '180',      // Left foot position
-            cy: '635',      // Chibi foot level
-            rx: '30',       // Chubby shoe length
-            ry: '17',       // Shoe height
-            fill: shoeColor,
-            stroke: '#000000',
-            'stroke-width': '3',
-            filter: 'url(#dropShadow)'
-        });
-        svg.appendChild(leftShoe);
-
-        // Left shoe detail (laces/stripe)
-        const leftShoeDetail = createSVGElement('ellipse', {
-            cx: '180',
-            cy: '635',
-            rx: '20',       // Inner detail
-            ry: '10',
-            fill: lightenColor(shoeColor, 20),
-            stroke: '#000000',
-            'stroke-width': '1'
-        });
-        svg.appendChild(leftShoeDetail);
-
-        // CHIBI Right shoe - covers chubby foot
-        const rightShoe = createSVGElement('ellipse', {
-            cx: '220',      // Right foot position
-            cy: '635',      // Chibi foot level
-            rx: '30',       // Chubby shoe length
-            ry: '17',       // Shoe height
-            fill: shoeColor,
-            stroke: '#000000',
-            'stroke-width': '3',
-            filter: 'url(#dropShadow)'
-        });
-        svg.appendChild(rightShoe);
-
-        // Right shoe detail (laces/stripe)
-        const rightShoeDetail = createSVGElement('ellipse', {
-            cx: '220',
-            cy: '635',
-            rx: '20',       // Inner detail
-            ry: '10',
-            fill: lightenColor(shoeColor, 20),
-            stroke: '#000000',
-            'stroke-width': '1'
+        const joints = skeleton.joints;
+        const footSize = body.handSize;
+
+        ['left', 'right'].forEach(side => {
+            const ankle = joints[`${side}Ankle`];
+            const footY = ankle.y + 15 * footSize;  // Chibi foot level
+
+            // CHIBI shoe - covers chubby foot
+            layer.appendChild(createSVGElement('ellipse', {
+                cx: ankle.x,
+                cy: footY,
+                rx: 30 * footSize,  // Chubby shoe length
+                ry: 17 * footSize,  // Shoe height
+                fill: shoeColor,
+                stroke: '#000000',
+                'stroke-width': '3',
+                filter: scopedUrl(layer, 'dropShadow')
+            }));
+
+            // Shoe detail (laces/stripe)
+            layer.appendChild(createSVGElement('ellipse', {
+                cx: ankle.x,
+                cy: footY,
+                rx: 20 * footSize,  // Inner detail
+                ry: 10 * footSize,
+                fill: lightenColor(shoeColor, 20),
+                stroke: '#000000',
+                'stroke-width': '1'
+            }));
         });
-        svg.appendChild(rightShoeDetail);
     }
 }
 
+/**
+ * Renders the sleeves of the top over the arms.
+ * A separate layer from the outfit because the arms are drawn on top of the
+ * outfit - sleeves drawn with the rest of the top would be hidden under them.
+ * CHIBI: short, cute sleeves from the shoulder to just above the elbow.
+ */
+function renderSleeves(layer, state) {
+    const outfitData = getWornOutfit(state);
+    if (!outfitData.top) return;
+
+    const skeleton = getSkeleton(state);
+    const joints = skeleton.joints;
+    ['left', 'right'].forEach(side => {
+        const shoulder = joints[`${side}Shoulder`];
+        const elbow = joints[`${side}Elbow`];
+
+        // From the shoulder to just above the elbow
+        const sleeveEnd = pointBetween(shoulder, elbow, 0.6);
+
+        drawLimb(layer, limbPath(shoulder, pointBetween(shoulder, sleeveEnd, 0.5), sleeveEnd), {
+            width: 20 * skeleton.body.limbWidth,
+            paint: outfitData.top.color,
+            outline: 2,
+            cap: 'butt'
+        });
+    });
+}
+
 /**
  * Renders the character's nails as colored highlights on hands.
  * MONSTER HIGH STYLE: Glossy nails with shine and bold outlines
  *
  * Shows nail polish as decorative elements on hands
  */
-function renderNails(svg, state) {
+function renderNails(layer, state) {
     // MONSTER HIGH: Boost nail color saturation
     const nailColor = boostSaturation(state.nails.color, 40);
 
-    // CHIBI Left hand nail accents - bottom of chubby hand
-    const leftNails = createSVGElement('ellipse', {
-        cx: '112',
-        cy: '557',      // Bottom of chibi hand
-        rx: '14',       // Wider nail area for chibi
-        ry: '7',        // Taller nail area
-        fill: nailColor,
-        stroke: '#000000',
-        'stroke-width': '2',
-        opacity: '0.9'
-    });
-    svg.appendChild(leftNails);
-
-    // Left nail shine
-    const leftNailShine = createSVGElement('ellipse', {
-        cx: '112',
-        cy: '555',
-        rx: '9',
-        ry: '4',
-        fill: 'white',
-        opacity: '0.6'
+    // Nails sit wherever the hands are in the current pose (see poses.js)
+    const skeleton = getSkeleton(state);
+
+    ['left', 'right'].forEach(side => {
+        const hand = getHandGeometry(skeleton, side);
+        hand.nails.forEach(nail => {
+            // A fist shows one wide nail area at the bottom of the chubby hand,
+            // open hands get a small nail on each fingertip
+            // Sizes follow the hand (see bodyTypes)
+            const fist = nail.size === 'fist';
+            const { x, y } = nail.center;
+            const rotate = `rotate(${nail.rotation} ${x} ${y})`;
+
+            layer.appendChild(createSVGElement('ellipse', {
+                cx: x,
+                cy: y,
+                rx: (fist ? 14 : 5) * hand.scale,
+                ry: (fist ? 7 : 4) * hand.scale,
+                transform: rotate,
+                fill: nailColor,
+                stroke: '#000000',
+                'stroke-width': fist ? '2' : '1',
+                opacity: '0.9'
+            }));
+
+            // Nail shine
+            layer.appendChild(createSVGElement('ellipse', {
+                cx: x,
+                cy: y,
+                rx: (fist ? 9 : 2.5) * hand.scale,
+                ry: (fist ? 4 : 2) * hand.scale,
+                transform: `${rotate} translate(0 -2)`,
+                fill: 'white',
+                opacity: '0.6'
+            }));
+        });
     });
-    svg.appendChild(leftNailShine);
-
-    // CHIBI Right hand nail accents - bottom of chubby hand
-    const rightNails = createSVGElement('ellipse', {
-        cx: '288',
-        cy: '557',      // Bottom of chibi hand
-        rx: '14',       // Wider nail area for chibi
-        ry: '7',        // Taller nail area
-        fill: nailColor,
+}
+
+/**
+ * Builds a skirt (or the skirt of a dress) hanging from the waist.
+ * Sizes are for the average body - the skirt widens with the hips and
+ * gets longer with the legs.
+ *
+ * @param {Object} body - From getBodyGeometry()
+ * @param {number} waist - Half the width at the waist
+ * @param {number} hem - Half the width at the hem
+ * @param {number} length - Waist to hem
+ * @returns {string} Path data for the 'd' attribute
+ */
+function createSkirtPath(body, waist, hem, length) {
+    const top = body.waistY;
+    const bottom = top + length * body.legs;
+    const waistHalf = waist * body.hipScale;
+    const hemHalf = hem * body.hipScale;
+    return `M ${body.cx - waistHalf} ${top} L ${body.cx - hemHalf} ${bottom} ` +
+        `L ${body.cx + hemHalf} ${bottom} L ${body.cx + waistHalf} ${top} Z`;
+}
+
+/**
+ * Draws an arm or leg (or a sleeve or pant leg over one) along a limb path.
+ * A wide black stroke underneath a narrower colored stroke gives the bold
+ * MONSTER HIGH outline on both sides, whatever angle the limb is at.
+ *
+ * @param {SVGElement} layer - Layer to draw into
+ * @param {string} d - Path data, usually from limbPath()
+ * @param {Object} options - width, paint (a plain color - gradients use the path's
+ *                           bounding box, which is empty for a straight limb),
+ *                           outline (px per side),
+ *                           cap ('round' or 'butt')
+ *
+ * No drop shadow: filter regions are measured without the stroke, so a shadow
+ * would clip thin limbs into boxes.
+ */
+function drawLimb(layer, d, { width, paint, outline, cap = 'round' }) {
+    layer.appendChild(createSVGElement('path', {
+        d: d,
+        fill: 'none',
         stroke: '#000000',
-        'stroke-width': '2',
-        opacity: '0.9'
-    });
-    svg.appendChild(rightNails);
-
-    // Right nail shine
-    const rightNailShine = createSVGElement('ellipse', {
-        cx: '288',
-        cy: '555',
-        rx: '9',
-        ry: '4',
-        fill: 'white',
-        opacity: '0.6'
-    });
-    svg.appendChild(rightNailShine);
+        'stroke-width': width + outline * 2,
+        'stroke-linecap': cap,
+        'stroke-linejoin': 'round'
+    }));
+
+    layer.appendChild(createSVGElement('path', {
+        d: d,
+        fill: 'none',
+        stroke: paint,
+        'stroke-width': width,
+        'stroke-linecap': cap,
+        'stroke-linejoin': 'round'
+    }));
 }
 
 /**
@@ -1140,6 +1696,62 @@ function getOutfitData(topId, bottomId, shoesId) {
     };
 }
 
+/**
+ * The outfit the character is wearing, with any custom colors picked in Dress Up.
+ * Custom colors (outfit.topColor, bottomColor, shoesColor) are used exactly as
+ * picked - only the catalog colors get the saturation boost.
+ *
+ * @param {Object} state - Character state
+ * @returns {Object} { top, bottom, shoes } like getOutfitData
+ */
+function getWornOutfit(state) {
+    const outfitData = getOutfitData(state.outfit.top, state.outfit.bottom, state.outfit.shoes);
+
+    ['top', 'bottom', 'shoes'].forEach(slot => {
+        const customColor = state.outfit[`${slot}Color`];
+        if (outfitData[slot] && parseHexColor(customColor)) {
+            outfitData[slot] = { ...outfitData[slot], color: customColor };
+        }
+    });
+    return outfitData;
+}
+
+/**
+ * Per-SVG scope names for def IDs - a WeakMap so removed SVGs are forgotten
+ */
+const renderScopes = new WeakMap();
+let nextRenderScope = 1;
+
+/**
+ * Turns a def name like 'dropShadow' into an ID that is unique to one SVG.
+ * IDs are global to the whole page, so two characters both defining
+ * id="dropShadow" would use whichever came first. Each SVG gets its own
+ * prefix the first time it is rendered, e.g. 'hx1-dropShadow'.
+ *
+ * @param {SVGElement} element - The <svg> being rendered into, or any element inside it
+ * @param {string} name - Def name, e.g. 'afroGradient'
+ * @returns {string} The scoped ID
+ */
+function scopedId(element, name) {
+    // Layers pass themselves - scope by the <svg> they belong to
+    const svg = element.tagName.toLowerCase() === 'svg' ? element : element.ownerSVGElement;
+    if (!renderScopes.has(svg)) {
+        renderScopes.set(svg, `hx${nextRenderScope++}`);
+    }
+    return `${renderScopes.get(svg)}-${name}`;
+}
+
+/**
+ * url(#...) reference to a scoped def, for fill and filter attributes
+ *
+ * @param {SVGElement} element - The <svg> being rendered into, or any element inside it
+ * @param {string} name - Def name, e.g. 'dropShadow'
+ * @returns {string} e.g. 'url(#hx1-dropShadow)'
+ */
+function scopedUrl(element, name) {
+    return `url(#${scopedId(element, name)})`;
+}
+
 /**
  * Utility function to create SVG elements with attributes.
  *
@@ -1161,3 +1773,26 @@ function createSVGElement(type, attributes) {
 
     return element;
 }
+
+/**
+ * Built-in layers - see the z-index table at the top of the registry
+ */
+
+registerRenderLayer({ id: 'hair-back', zIndex: 10, deps: ['hair', 'appearance.faceShape', 'appearance.skinTone', 'appearance.height', 'appearance.bodyType'], render: renderHairBack });
+registerRenderLayer({
+    id: 'body',
+    zIndex: 20,
+    deps: ['appearance'],
+    render: (layer, state) => {
+        renderNeck(layer, state);
+        renderHead(layer, state);
+        renderBody(layer, state);
+    }
+});
+registerRenderLayer({ id: 'legs', zIndex: 25, deps: ['appearance', 'pose'], render: renderLegs });  // Legs behind outfit
+registerRenderLayer({ id: 'outfit', zIndex: 30, deps: ['outfit', 'pose', 'appearance.bodyType', 'appearance.height'], render: renderOutfit });  // Outfit covers body
+registerRenderLayer({ id: 'arms', zIndex: 40, deps: ['appearance', 'pose'], render: renderArms });  // Arms on top so hands show
+registerRenderLayer({ id: 'sleeves', zIndex: 45, deps: ['outfit', 'pose', 'appearance.bodyType', 'appearance.height'], render: renderSleeves });
+registerRenderLayer({ id: 'face', zIndex: 50, deps: ['appearance', 'makeup', 'expression', 'hair.color', 'skin.dimples'], render: renderFacialFeatures });
+registerRenderLayer({ id: 'hair', zIndex: 60, deps: ['hair', 'appearance.faceShape', 'appearance.skinTone', 'appearance.height', 'appearance.bodyType'], render: renderHair });
+registerRenderLayer({ id: 'nails', zIndex: 70, deps: ['nails', 'pose', 'appearance.bodyType', 'appearance.height'], render: renderNails });  // Nails on fingertips
@@ -0,0 +1,249 @@
+/* ====================================
+   CHARACTER SCHEMA
+   ====================================
+
+   Describes every character property and which values it may hold.
+   updateState() in state.js checks each change against this schema, so a typo
+   in a path or an unknown ID fails right away with a clear message instead of
+   crashing the renderer later (e.g. hairTextures[undefined].volume).
+
+   RULE TYPES:
+   - enum:   value must be one of values() - catalogs are read lazily because
+             they live in files that load after this one
+   - color:  hex color like #1A1A1A (#abc shorthand is expanded, letters are
+             uppercased); allowNone also accepts 'none'
+   - number: finite number, numeric strings are converted and the result is
+             clamped to min/max
+   - boolean: true or false (no conversion - 'false' is a string, not a boolean)
+
+   Each rule has a label used in error messages ("unknown hair texture ...").
+
+   ADDING A PROPERTY:
+   Add it to createDefaultCharacter() in state.js AND to characterSchema below.
+*/
+
+/* Allowed nail lengths (hair lengths are the hairLengths catalog) */
+const LENGTH_OPTIONS = ['short', 'medium', 'long'];
+
+/* The schema - mirrors the shape of createDefaultCharacter() */
+const characterSchema = {
+    appearance: {
+        skinTone: { type: 'color', label: 'skin tone' },
+        faceShape: { type: 'enum', label: 'face shape', values: () => Object.keys(faceShapes) },
+        bodyType: { type: 'enum', label: 'body type', values: () => Object.keys(bodyTypes) },
+        height: { type: 'enum', label: 'height', values: () => Object.keys(bodyHeights) },
+        eyeColor: { type: 'color', label: 'eye color' },
+        browStyle: { type: 'enum', label: 'eyebrow style', values: () => Object.keys(browStyles) },
+        lashStyle: { type: 'enum', label: 'lash style', values: () => Object.keys(lashStyles) }
+    },
+
+    skin: {
+        freckles: { type: 'number', label: 'freckles', min: 0, max: 100 },
+        beautyMark: { type: 'enum', label: 'beauty mark', values: () => Object.keys(beautyMarkSpots) },
+        vitiligo: { type: 'number', label: 'vitiligo coverage', min: 0, max: 100 },
+        dimples: { type: 'boolean', label: 'dimples' }
+    },
+
+    hair: {
+        texture: { type: 'enum', label: 'hair texture', values: () => Object.keys(hairTextures) },
+        length: { type: 'enum', label: 'hair length', values: () => Object.keys(hairLengths) },
+        moisture: { type: 'number', label: 'hair moisture', min: 0, max: 100 },
+        style: { type: 'enum', label: 'hairstyle', values: () => Object.keys(hairstyles) },
+        color: { type: 'color', label: 'hair color' },
+        coloring: { type: 'enum', label: 'hair coloring', values: () => Object.keys(hairColorings) },
+        accentColor: { type: 'color', label: 'second hair color' },
+        extensionColor: { type: 'color', label: 'extension color', allowNone: true }
+    },
+
+    outfit: {
+        top: { type: 'enum', label: 'top', values: () => outfits.tops.map(item => item.id) },
+        bottom: { type: 'enum', label: 'bottom', values: () => outfits.bottoms.map(item => item.id) },
+        shoes: { type: 'enum', label: 'shoes', values: () => outfits.shoes.map(item => item.id) },
+        topColor: { type: 'color', label: 'top color', allowNone: true },
+        bottomColor: { type: 'color', label: 'bottom color', allowNone: true },
+        shoesColor: { type: 'color', label: 'shoes color', allowNone: true }
+    },
+
+    nails: {
+        color: { type: 'color', label: 'nail color' },
+        length: { type: 'enum', label: 'nail length', values: () => LENGTH_OPTIONS }
+    },
+
+    makeup: {
+        lipstick: { type: 'color', label: 'lipstick', allowNone: true },
+        eyeshadow: { type: 'color', label: 'eyeshadow', allowNone: true }
+    },
+
+    pose: { type: 'enum', label: 'pose', values: () => Object.keys(poses) },
+
+    expression: {
+        eyeOpenness: { type: 'number', label: 'eye openness', min: 0, max: 120 },
+        browAngle: { type: 'number', label: 'brow angle', min: -20, max: 20 },
+        mouth: { type: 'enum', label: 'mouth shape', values: () => Object.keys(mouthShapes) },
+        blush: { type: 'number', label: 'blush', min: 0, max: 100 },
+        wink: { type: 'enum', label: 'wink', values: () => ['none', 'left', 'right'] }
+    },
+
+    scene: {
+        background: { type: 'enum', label: 'scene', values: () => Object.keys(scenes) },
+        props: { type: 'boolean', label: 'scene props' }
+    }
+};
+
+/* ====================================
+   STATE VALIDATION
+   ====================================
+
+   Called by updateState() before anything changes.
+   Paths outside 'character' (like 'currentActivity') aren't checked.
+
+   @param {string} path - e.g. 'character.hair.color'
+   @param {*} value - The new value
+   @returns {*} The value to store (coerced where possible)
+   @throws {Error} If the path doesn't exist or the value can't be used
+*/
+function validateStateValue(path, value) {
+    const keys = path.split('.');
+    if (keys[0] !== 'character') return value;
+
+    // Walk the schema - a key that isn't there means a typo in the path
+    let node = characterSchema;
+    for (let i = 1; i < keys.length; i++) {
+        if (isSchemaRule(node) || !Object.prototype.hasOwnProperty.call(node, keys[i])) {
+            throw new Error(`Unknown character property "${path}"`);
+        }
+        node = node[keys[i]];
+    }
+
+    try {
+        return coerceSchemaNode(node, value, path);
+    } catch (error) {
+        throw new Error(`Can't set ${path}: ${error.message}`);
+    }
+}
+
+/* Coerce a value for a rule or a whole group of rules (e.g. all of 'character.hair')
+   Groups must be complete - every property present and no extra ones */
+function coerceSchemaNode(node, value, path) {
+    if (isSchemaRule(node)) {
+        return coerceSchemaValue(node, value);
+    }
+
+    if (!isPlainObject(value)) {
+        throw new Error(`${path} must be an object`);
+    }
+
+    for (let key of Object.keys(value)) {
+        if (!Object.prototype.hasOwnProperty.call(node, key)) {
+            throw new Error(`unknown property "${path}.${key}"`);
+        }
+    }
+
+    const result = {};
+    for (let [key, child] of Object.entries(node)) {
+        if (value[key] === undefined) {
+            throw new Error(`${path}.${key} is missing`);
+        }
+        result[key] = coerceSchemaNode(child, value[key], `${path}.${key}`);
+    }
+    return result;
+}
+
+/* Coerce a single value to match its rule, or throw with a readable message */
+function coerceSchemaValue(rule, value) {
+    if (rule.type === 'enum') {
+        const allowed = rule.values();
+        if (!allowed.includes(value)) {
+            throw new Error(`unknown ${rule.label} "${value}" (expected one of: ${allowed.join(', ')})`);
+        }
+        return value;
+    }
+
+    if (rule.type === 'color') {
+        const color = typeof value === 'string' ? value.trim() : value;
+        if (rule.allowNone && color === 'none') return color;
+
+        // #abc is shorthand for #AABBCC
+        if (/^#[0-9a-f]{3}$/i.test(color)) {
+            return ('#' + color.slice(1).split('').map(c => c + c).join('')).toUpperCase();
+        }
+        if (/^#[0-9a-f]{6}$/i.test(color)) {
+            return color.toUpperCase();
+        }
+        throw new Error(`${rule.label} "${value}" is not a hex color like #1A1A1A`);
+    }
+
+    if (rule.type === 'number') {
+        // Accept "50" from form inputs, but not empty strings or booleans
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            throw new Error(`${rule.label} "${value}" must be a number from ${rule.min} to ${rule.max}`);
+        }
+        return Math.min(rule.max, Math.max(rule.min, number));
+    }
+
+    if (rule.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+            throw new Error(`${rule.label} "${value}" must be true or false`);
+        }
+        return value;
+    }
+
+    throw new Error(`unknown schema rule type "${rule.type}"`);
+}
+
+/* Rules have a type - groups (like 'hair') are plain objects of rules */
+function isSchemaRule(node) {
+    return isPlainObject(node) && typeof node.type === 'string' && typeof node.label === 'string';
+}
+
+/* ====================================
+   CHARACTER-LEVEL HELPERS
+   ==================================== */
+
+/* Lists every problem with a (possibly partial) character.
+   Missing properties are fine, wrong ones are not - a group (like 'hair')
+   that isn't an object is wrong too, sanitizing would quietly replace it.
+   Used by imports so the whole file can be fixed in one go. */
+function collectCharacterErrors(character, node = characterSchema, errors = [], path = '') {
+    for (let [key, child] of Object.entries(node)) {
+        const value = isPlainObject(character) ? character[key] : undefined;
+        if (value === undefined) continue;
+
+        if (isSchemaRule(child)) {
+            try {
+                coerceSchemaValue(child, value);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        } else if (!isPlainObject(value)) {
+            errors.push(`${path}${key} must be an object`);
+        } else {
+            collectCharacterErrors(value, child, errors, `${path}${key}.`);
+        }
+    }
+    return errors;
+}
+
+/* Returns a complete, valid copy of a character without ever throwing.
+   Each property is coerced if it can be, otherwise it gets its default.
+   Used for anything loaded from outside: autosaves, the gallery, files and links. */
+function sanitizeCharacter(character) {
+    return sanitizeSchemaNode(characterSchema, character, createDefaultCharacter());
+}
+
+function sanitizeSchemaNode(node, value, defaultValue) {
+    if (isSchemaRule(node)) {
+        try {
+            return coerceSchemaValue(node, value);
+        } catch (error) {
+            return defaultValue;
+        }
+    }
+
+    const result = {};
+    for (let [key, child] of Object.entries(node)) {
+        result[key] = sanitizeSchemaNode(child, isPlainObject(value) ? value[key] : undefined, defaultValue[key]);
+    }
+    return result;
+}
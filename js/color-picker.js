@@ -0,0 +1,194 @@
+// Color Picker Module
+// A custom color picker that sits under the palette grids, for when none of the
+// catalog colors is quite right (skin, eyes, hair, nails, makeup and clothes)
+// - Hue, saturation and lightness sliders, and a box to type a hex color into
+// - Recently used and favorite colors, shared by every picker and kept in localStorage
+//
+// Picks are written with updateState, so they're checked by the schema, undoable and autosaved.
+// Sliders only preview while dragging and write the color when let go - one drag, one undo step
+
+const RECENT_COLORS_KEY = 'hairxyou.recentColors';
+const FAVORITE_COLORS_KEY = 'hairxyou.favoriteColors';
+const MAX_RECENT_COLORS = 8;
+const MAX_FAVORITE_COLORS = 12;
+
+// Creates a color picker for one color in the character
+// options:
+// - path: state path the color is stored at, e.g. 'character.hair.color'
+// - label: what is being colored, shown in the picker's title
+// - fallback: returns the color to start from while the stored value isn't a color (like 'none') - optional
+// - pick: writes a picked color - optional, updateState(path, color) by default
+// Returns the picker element (a <details> that opens when clicked)
+function createColorPicker({ path, label, fallback, pick }) {
+    const writeColor = pick || (color => updateState(path, color));
+
+    const picker = document.createElement('details');
+    picker.className = 'color-picker';
+    picker.innerHTML = `
+        <summary>🎨 Custom ${label}</summary>
+        <div class="color-picker-body">
+            <div class="color-picker-row">
+                <span class="color-picker-preview"></span>
+                <input type="text" class="color-picker-hex" maxlength="7" spellcheck="false" aria-label="Hex color">
+                <button type="button" class="color-picker-favorite" title="Add to favorites">☆</button>
+            </div>
+            <label class="color-picker-slider">Hue <input type="range" min="0" max="359" data-channel="h"></label>
+            <label class="color-picker-slider">Saturation <input type="range" min="0" max="100" data-channel="s"></label>
+            <label class="color-picker-slider">Lightness <input type="range" min="0" max="100" data-channel="l"></label>
+            <p class="color-picker-heading">Recent</p>
+            <div class="color-picker-swatches" data-list="recent"></div>
+            <p class="color-picker-heading">Favorites</p>
+            <div class="color-picker-swatches" data-list="favorites"></div>
+        </div>
+    `;
+
+    const preview = picker.querySelector('.color-picker-preview');
+    const hexInput = picker.querySelector('.color-picker-hex');
+    const favoriteButton = picker.querySelector('.color-picker-favorite');
+    const sliders = picker.querySelectorAll('input[type="range"]');
+    let shownColor = null;
+
+    // The color in the state, or the fallback while there isn't one
+    const readColor = () => {
+        const value = getState(path);
+        if (parseHexColor(value)) return formatPickerColor(value);
+        return formatPickerColor(fallback ? fallback() : '#000000');
+    };
+
+    // Shows a color in the preview, the hex box and the favorite star
+    // The sliders are left alone while they're being dragged, so the hue doesn't jump
+    // (grays have no hue - reading one back would snap the hue slider to red)
+    const showColor = (color, moveSliders = true) => {
+        shownColor = color;
+        preview.style.backgroundColor = color;
+        hexInput.value = color;
+        hexInput.classList.remove('invalid');
+
+        const isFavorite = loadSavedColors(FAVORITE_COLORS_KEY).includes(color);
+        favoriteButton.textContent = isFavorite ? '★' : '☆';
+        favoriteButton.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+
+        if (moveSliders) {
+            const hsl = hexToHsl(color);
+            sliders.forEach(slider => { slider.value = Math.round(hsl[slider.dataset.channel]); });
+        }
+    };
+
+    // The color the sliders are set to
+    const sliderColor = () => {
+        const hsl = {};
+        sliders.forEach(slider => { hsl[slider.dataset.channel] = Number(slider.value); });
+        return formatPickerColor(hslToHex(hsl.h, hsl.s, hsl.l));
+    };
+
+    // Writes a color to the character and remembers it as recently used
+    const commitColor = (color, moveSliders = true) => {
+        showColor(color, moveSliders);
+        writeColor(color);
+        rememberRecentColor(color);
+        renderSwatches();
+    };
+
+    // Recent and favorite swatches - clicking one picks it
+    const renderSwatches = () => {
+        picker.querySelectorAll('.color-picker-swatches').forEach(list => {
+            const key = list.dataset.list === 'recent' ? RECENT_COLORS_KEY : FAVORITE_COLORS_KEY;
+            const colors = loadSavedColors(key);
+            list.innerHTML = colors.length ? '' : '<span class="color-picker-empty">None yet</span>';
+            colors.forEach(color => {
+                const swatch = document.createElement('button');
+                swatch.type = 'button';
+                swatch.className = 'color-picker-swatch';
+                swatch.style.backgroundColor = color;
+                swatch.title = color;
+                swatch.onclick = () => commitColor(color);
+                list.appendChild(swatch);
+            });
+        });
+    };
+
+    sliders.forEach(slider => {
+        slider.addEventListener('input', () => showColor(sliderColor(), false));
+        slider.addEventListener('change', () => commitColor(sliderColor(), false));
+    });
+
+    // Typed colors are picked on Enter or when the box loses focus
+    hexInput.addEventListener('change', () => {
+        if (!parseHexColor(hexInput.value)) {
+            hexInput.classList.add('invalid');
+            return;
+        }
+        commitColor(formatPickerColor(hexInput.value));
+    });
+
+    favoriteButton.onclick = () => {
+        toggleFavoriteColor(shownColor);
+        showColor(shownColor, false);
+        renderSwatches();
+    };
+
+    // Other pickers may have added colors while this one was closed
+    picker.addEventListener('toggle', () => {
+        if (picker.open) {
+            showColor(readColor());
+            renderSwatches();
+        }
+    });
+
+    // Follow the state (palette clicks, undo/redo) - the whole group, since the fallback
+    // can depend on a neighbouring value (like which top is worn)
+    const group = path.split('.').slice(0, -1).join('.');
+    subscribePanel(group, () => {
+        const color = readColor();
+        if (color !== shownColor) showColor(color);
+    });
+
+    showColor(readColor());
+    renderSwatches();
+    return picker;
+}
+
+// Colors are kept in one form - '#1A1A1A', like the schema stores them
+// so the same color is never saved twice in different spellings
+function formatPickerColor(color) {
+    const { r, g, b } = readColorChannels(color);
+    return toHexColor(r, g, b).toUpperCase();
+}
+
+// Puts a color at the front of the recent colors
+function rememberRecentColor(color) {
+    const recent = loadSavedColors(RECENT_COLORS_KEY).filter(c => c !== color);
+    recent.unshift(color);
+    storeSavedColors(RECENT_COLORS_KEY, recent.slice(0, MAX_RECENT_COLORS));
+}
+
+// Adds a color to the favorites, or takes it out if it's already there
+function toggleFavoriteColor(color) {
+    const favorites = loadSavedColors(FAVORITE_COLORS_KEY);
+    if (favorites.includes(color)) {
+        storeSavedColors(FAVORITE_COLORS_KEY, favorites.filter(c => c !== color));
+    } else {
+        favorites.unshift(color);
+        storeSavedColors(FAVORITE_COLORS_KEY, favorites.slice(0, MAX_FAVORITE_COLORS));
+    }
+}
+
+// Reads a saved color list - anything that isn't a list of colors is ignored
+function loadSavedColors(key) {
+    try {
+        const colors = JSON.parse(localStorage.getItem(key));
+        if (!Array.isArray(colors)) return [];
+        return colors.filter(color => parseHexColor(color)).map(formatPickerColor);
+    } catch (error) {
+        console.warn('HairXYou: ignoring unreadable saved colors', error);
+        return [];
+    }
+}
+
+function storeSavedColors(key, colors) {
+    try {
+        localStorage.setItem(key, JSON.stringify(colors));
+    } catch (error) {
+        console.warn('HairXYou: could not save colors', error);
+    }
+}
@@ -58,21 +58,18 @@ function loadDressUp(container) {
         btn.style.background = `linear-gradient(135deg, ${top.color} 0%, ${adjustColor(top.color, -20)} 100%)`;
         btn.innerHTML = `<span>${top.name}</span>`;
 
-        // On click: update state and reload UI to reflect active selection
-        btn.onclick = () => {
-            updateState('character.outfit.top', top.id);
-            loadDressUp(container);
-        };
-
-        // Mark currently selected outfit with active class
-        if (top.id === gameState.character.outfit.top) {
-            btn.classList.add('active');
-        }
+        // On click: update state - the active highlight follows via bindActiveButtons
+        btn.dataset.value = top.id;
+        btn.onclick = () => selectOutfitItem('top', top.id);
 
         topsGrid.appendChild(btn);
     });
 
+    // Mark currently selected outfit with active class, and keep it in sync
+    bindActiveButtons(topsGrid, 'character.outfit.top');
+
     topsSection.appendChild(topsGrid);
+    topsSection.appendChild(createOutfitColorPicker('top', 'top color'));
     container.appendChild(topsSection);
 
     // BOTTOMS SECTION
@@ -93,20 +90,17 @@ function loadDressUp(container) {
         btn.innerHTML = `<span>${bottom.name}</span>`;
 
         // Update bottoms selection in state
-        btn.onclick = () => {
-            updateState('character.outfit.bottom', bottom.id);
-            loadDressUp(container);
-        };
-
-        // Highlight current selection
-        if (bottom.id === gameState.character.outfit.bottom) {
-            btn.classList.add('active');
-        }
+        btn.dataset.value = bottom.id;
+        btn.onclick = () => selectOutfitItem('bottom', bottom.id);
 
         bottomsGrid.appendChild(btn);
     });
 
+    // Highlight current selection
+    bindActiveButtons(bottomsGrid, 'character.outfit.bottom');
+
     bottomsSection.appendChild(bottomsGrid);
+    bottomsSection.appendChild(createOutfitColorPicker('bottom', 'bottom color'));
     container.appendChild(bottomsSection);
 
     // SHOES SECTION
@@ -127,23 +121,39 @@ function loadDressUp(container) {
         btn.innerHTML = `<span>${shoe.name}</span>`;
 
         // Update shoes selection in state
-        btn.onclick = () => {
-            updateState('character.outfit.shoes', shoe.id);
-            loadDressUp(container);
-        };
-
-        // Highlight current selection
-        if (shoe.id === gameState.character.outfit.shoes) {
-            btn.classList.add('active');
-        }
+        btn.dataset.value = shoe.id;
+        btn.onclick = () => selectOutfitItem('shoes', shoe.id);
 
         shoesGrid.appendChild(btn);
     });
 
+    // Highlight current selection
+    bindActiveButtons(shoesGrid, 'character.outfit.shoes');
+
     shoesSection.appendChild(shoesGrid);
+    shoesSection.appendChild(createOutfitColorPicker('shoes', 'shoe color'));
     container.appendChild(shoesSection);
 }
 
+// Puts on a top, bottom or shoes in the item's own color
+// slot: 'top', 'bottom' or 'shoes' - a custom color picked for the old item comes off with it
+function selectOutfitItem(slot, itemId) {
+    batch(() => {
+        updateState(`character.outfit.${slot}`, itemId);
+        updateState(`character.outfit.${slot}Color`, 'none');
+    }, 'Change outfit');
+}
+
+// Color picker for the item worn in a slot (createColorPicker is defined in color-picker.js)
+// Picked colors go in character.outfit.<slot>Color - it starts from the item's own color
+function createOutfitColorPicker(slot, label) {
+    return createColorPicker({
+        path: `character.outfit.${slot}Color`,
+        label: label,
+        fallback: () => getWornOutfit(gameState.character)[slot].color
+    });
+}
+
 // Color adjustment utility for creating gradients
 // Takes a hex color and adds/subtracts from RGB values to darken or lighten
 // Used to create depth in outfit button backgrounds
@@ -151,16 +161,10 @@ function loadDressUp(container) {
 // @param amount - positive to lighten, negative to darken (e.g., -20 for darker)
 // @return adjusted hex color string
 function adjustColor(color, amount) {
-    // Convert hex to decimal number
-    const num = parseInt(color.replace('#', ''), 16);
-
-    // Extract RGB components using bit shifting
-    // >> 16 gets red, >> 8 & 0x00FF gets green, & 0x0000FF gets blue
-    const r = Math.max(0, Math.min(255, (num >> 16) + amount));
-    const g = Math.max(0, Math.min(255, ((num >> 8) & 0x00FF) + amount));
-    const b = Math.max(0, Math.min(255, (num & 0x0000FF) + amount));
-
-    // Recombine RGB into hex, use bit shifting to reassemble
-    // Pad to ensure 6 characters (e.g., '00FF00' not 'FF00')
-    return `#${((r << 16) | (g << 8) | b).toString(16).padStart(6, '0')}`;
+    // Split the color into its red, green and blue parts (parseHexColor is in character-renderer.js)
+    // Custom colors may be typed in any hex form - anything unreadable counts as black
+    const { r, g, b } = parseHexColor(color) || { r: 0, g: 0, b: 0 };
+
+    // toHexColor keeps each part between 0 and 255 and pads to 6 characters
+    return toHexColor(r + amount, g + amount, b + amount);
 }
@@ -0,0 +1,259 @@
+/* ====================================
+   EXPORT DIALOG
+   ====================================
+
+   Opens when the user clicks "Save My Character" and asks how the
+   picture should be saved before saveCharacter() in app.js does the work.
+
+   OPTIONS:
+   - Format:     PNG picture, or the raw SVG drawing (sharp at any size)
+   - Size:       PNG at 1x, 2x or 4x - bigger pictures stay crisp on slides
+                 and printouts
+   - Background: the chosen scene, or transparent (the same setting as the
+                 toggle in Scenes - see sceneExportSettings in scenes.js)
+   - Crop:       the full body, or a square headshot centered on the face
+                 for profile pictures
+   - File name:  typed by the user, the extension is added automatically
+
+   The choices are kept in exportSettings for the rest of the visit,
+   so the next save starts where the last one left off.
+*/
+
+/* Shown in the empty file name box - saves get it plus a timestamp */
+const DEFAULT_EXPORT_FILENAME = 'hairxyou-character';
+
+/* PNG sizes - multiplies the 1x picture size */
+const EXPORT_SCALES = [1, 2, 4];
+
+/* Headshots show this many face heights, and are this many pixels wide at 1x
+   HEADSHOT_RAISE moves the square up by part of a face height, so hair piled
+   on top of the head fits and the shoulders are left out */
+const HEADSHOT_ZOOM = 1.6;
+const HEADSHOT_RAISE = 0.15;
+const HEADSHOT_SIZE = 400;
+
+/* The last choices made in the dialog (the background lives in sceneExportSettings)
+   The file name starts empty, so each save gets its own timestamped name until one is typed */
+const exportSettings = {
+    format: 'png',
+    scale: 1,
+    crop: 'full',
+    filename: ''
+};
+
+/* ====================================
+   EXPORT HELPERS
+   ====================================
+
+   Used by saveCharacter() in app.js - kept here so the dialog can show
+   the picture size before anything is saved.
+*/
+
+/* The options saveCharacter() uses - the dialog's choices plus the background */
+function getExportOptions() {
+    return {
+        format: exportSettings.format,
+        scale: exportSettings.scale,
+        crop: exportSettings.crop,
+        filename: exportSettings.filename,
+        transparent: typeof isTransparentExport === 'function' && isTransparentExport()
+    };
+}
+
+/* The part of the drawing that's saved, and its size in pixels at 1x
+   Full body is the whole 400x900 canvas. Headshots are a square around the
+   face - the head never moves, only its shape changes, so
+   getFaceGeometry (character-renderer.js) is all that's needed. */
+function getExportArea(crop, character = gameState.character) {
+    if (crop !== 'headshot') {
+        return { x: 0, y: 0, width: SCENE_WIDTH, height: SCENE_HEIGHT, outputWidth: SCENE_WIDTH, outputHeight: SCENE_HEIGHT };
+    }
+
+    const face = getFaceGeometry(character);
+    const faceHeight = face.bottom - face.top;
+    // Never wider than the canvas, so long faces don't pick up empty edges
+    const size = Math.min(SCENE_WIDTH, Math.round(faceHeight * HEADSHOT_ZOOM));
+    const centerY = (face.top + face.bottom) / 2 - faceHeight * HEADSHOT_RAISE;
+    return {
+        x: FACE_CENTER_X - size / 2,
+        y: Math.round(centerY - size / 2),
+        width: size,
+        height: size,
+        outputWidth: HEADSHOT_SIZE,
+        outputHeight: HEADSHOT_SIZE
+    };
+}
+
+/* A copy of the character SVG ready to save - the on-screen SVG is left alone
+   - Transparent exports leave out the scene (createSceneFreeCopy is in scenes.js),
+     the others get a white card behind everything, like the game shows
+   - The viewBox is cropped to the export area and width/height set to the
+     picture size, so the browser draws it sharply at that size */
+function createExportSvg(svg, options) {
+    const copy = options.transparent ? createSceneFreeCopy(svg) : svg.cloneNode(true);
+    const area = getExportArea(options.crop);
+    const scale = options.format === 'png' ? options.scale : 1;
+
+    if (!options.transparent) {
+        const card = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        card.setAttribute('x', area.x);
+        card.setAttribute('y', area.y);
+        card.setAttribute('width', area.width);
+        card.setAttribute('height', area.height);
+        card.setAttribute('fill', 'white');
+        copy.insertBefore(card, copy.firstChild);
+    }
+
+    copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    copy.setAttribute('viewBox', `${area.x} ${area.y} ${area.width} ${area.height}`);
+    copy.setAttribute('width', area.outputWidth * scale);
+    copy.setAttribute('height', area.outputHeight * scale);
+    copy.removeAttribute('id'); // Not the on-screen character any more
+    return copy;
+}
+
+/* The download name for a format, e.g. 'my-character.png'
+   Characters that aren't allowed in file names are replaced and a typed
+   extension isn't doubled. An empty name gets the timestamped default. */
+function getExportFilename(name, format) {
+    const cleaned = String(name || '')
+        .trim()
+        .replace(/[\\/:*?"<>|\u0000-\u001F]+/g, '-')
+        .replace(/\.(png|svg)$/i, '')
+        .trim();
+    return `${cleaned || `${DEFAULT_EXPORT_FILENAME}-${Date.now()}`}.${format}`;
+}
+
+/* ====================================
+   DIALOG
+   ====================================
+
+   Built when it opens and removed when it closes.
+   Escape, Cancel or a click outside the dialog close it without saving.
+*/
+function openExportDialog() {
+    // Only one at a time - a second click just keeps the open one
+    if (document.querySelector('.export-dialog-backdrop')) return;
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'export-dialog-backdrop';
+    backdrop.innerHTML = `
+        <div class="export-dialog" role="dialog" aria-modal="true" aria-labelledby="exportDialogTitle">
+            <h2 id="exportDialogTitle">💾 Save My Character</h2>
+            <div class="export-dialog-options"></div>
+            <label class="export-dialog-filename">File name
+                <span class="export-dialog-filename-row">
+                    <input type="text" spellcheck="false" maxlength="100">
+                    <span class="export-dialog-extension"></span>
+                </span>
+            </label>
+            <div class="export-dialog-actions">
+                <button type="button" class="header-btn" data-action="cancel">Cancel</button>
+                <button type="button" class="save-character-btn" data-action="save">💾 Save</button>
+            </div>
+        </div>
+    `;
+
+    const options = backdrop.querySelector('.export-dialog-options');
+    const filenameInput = backdrop.querySelector('.export-dialog-filename input');
+    const extension = backdrop.querySelector('.export-dialog-extension');
+
+    const formatGroup = createExportOptionGroup('Format', [
+        { value: 'png', label: '🖼️ PNG picture' },
+        { value: 'svg', label: '✏️ SVG drawing' }
+    ], () => exportSettings.format, value => { exportSettings.format = value; });
+
+    // Labels show the picture size, which depends on the crop
+    const sizeGroup = createExportOptionGroup('Size', EXPORT_SCALES.map(scale => ({ value: String(scale), label: `${scale}x` })),
+        () => String(exportSettings.scale), value => { exportSettings.scale = Number(value); });
+
+    const backgroundGroup = createExportOptionGroup('Background', [
+        { value: 'scene', label: '🏞️ Scene' },
+        { value: 'transparent', label: '🔲 Transparent' }
+    ], () => (isTransparentExport() ? 'transparent' : 'scene'),
+    value => setTransparentExport(value === 'transparent'));
+
+    const cropGroup = createExportOptionGroup('Crop', [
+        { value: 'full', label: '🧍 Full body' },
+        { value: 'headshot', label: '🙂 Headshot' }
+    ], () => exportSettings.crop, value => { exportSettings.crop = value; });
+
+    [formatGroup, sizeGroup, backgroundGroup, cropGroup].forEach(group => options.appendChild(group));
+
+    // Sizes only apply to PNGs - SVGs stay sharp at any size
+    const refresh = () => {
+        const area = getExportArea(exportSettings.crop);
+        sizeGroup.hidden = exportSettings.format !== 'png';
+        sizeGroup.querySelectorAll('[data-value]').forEach(btn => {
+            const scale = Number(btn.dataset.value);
+            btn.textContent = `${scale}x · ${area.outputWidth * scale}×${area.outputHeight * scale}`;
+        });
+        extension.textContent = `.${exportSettings.format}`;
+    };
+    options.addEventListener('click', refresh);
+    refresh();
+
+    filenameInput.value = exportSettings.filename;
+    filenameInput.placeholder = DEFAULT_EXPORT_FILENAME;
+    filenameInput.addEventListener('input', () => { exportSettings.filename = filenameInput.value; });
+
+    const close = () => {
+        document.removeEventListener('keydown', onKeyDown);
+        backdrop.remove();
+    };
+    const save = () => {
+        close();
+        saveCharacter(getExportOptions());
+    };
+    const onKeyDown = event => {
+        if (event.key === 'Escape') close();
+    };
+
+    backdrop.querySelector('[data-action="cancel"]').onclick = close;
+    backdrop.querySelector('[data-action="save"]').onclick = save;
+    filenameInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') save();
+    });
+    // Clicks on the dim area around the dialog close it
+    backdrop.addEventListener('click', event => {
+        if (event.target === backdrop) close();
+    });
+    document.addEventListener('keydown', onKeyDown);
+
+    document.body.appendChild(backdrop);
+    backdrop.querySelector('[data-action="save"]').focus();
+}
+
+/* A heading and a row of option buttons - read() is the current value,
+   write(value) stores a click. The active button follows the clicks. */
+function createExportOptionGroup(title, choices, read, write) {
+    const group = document.createElement('div');
+    group.className = 'export-dialog-group';
+    group.innerHTML = `<h3>${title}</h3>`;
+
+    const grid = document.createElement('div');
+    grid.className = 'option-grid';
+
+    const markActive = () => {
+        grid.querySelectorAll('[data-value]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.value === read());
+        });
+    };
+
+    choices.forEach(choice => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'option-btn';
+        btn.dataset.value = choice.value;
+        btn.textContent = choice.label;
+        btn.onclick = () => {
+            write(choice.value);
+            markActive();
+        };
+        grid.appendChild(btn);
+    });
+
+    markActive();
+    group.appendChild(grid);
+    return group;
+}
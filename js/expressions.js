@@ -0,0 +1,238 @@
+// Expressions Module
+// Named facial expressions (presets) and short reactions
+// The face is drawn from gameState.character.expression (see renderFacialFeatures):
+// - eyeOpenness: 0 (closed, happy arcs) to 120 (wide open), 100 is normal
+// - browAngle: degrees, positive raises the inner ends (surprised/worried),
+//   negative lowers them (determined/proud)
+// - mouth: one of mouthShapes below
+// - blush: cheek blush intensity, 0 to 100
+// - wink: 'none', 'left' or 'right' - that eye is drawn closed
+
+// How long a reaction stays on the face (milliseconds)
+const REACTION_DURATION = 1800;
+
+// Mouth shapes the renderer knows how to draw
+const mouthShapes = {
+    'smile': { name: 'Smile', icon: '🙂' },
+    'grin': { name: 'Big Grin', icon: '😁' },
+    'open': { name: 'Open', icon: '😮' },
+    'smirk': { name: 'Smirk', icon: '😏' },
+    'neutral': { name: 'Neutral', icon: '😐' },
+    'pout': { name: 'Pout', icon: '😗' }
+};
+
+// Named expressions - values is a complete character.expression
+const expressionPresets = {
+    'happy': {
+        name: 'Happy',
+        icon: '😊',
+        values: { eyeOpenness: 100, browAngle: 0, mouth: 'smile', blush: 30, wink: 'none' }
+    },
+    'excited': {
+        name: 'Excited',
+        icon: '🤩',
+        values: { eyeOpenness: 110, browAngle: 8, mouth: 'grin', blush: 60, wink: 'none' }
+    },
+    'surprised': {
+        name: 'Surprised',
+        icon: '😲',
+        values: { eyeOpenness: 120, browAngle: 15, mouth: 'open', blush: 20, wink: 'none' }
+    },
+    'winking': {
+        name: 'Winking',
+        icon: '😉',
+        values: { eyeOpenness: 100, browAngle: 0, mouth: 'smirk', blush: 40, wink: 'right' }
+    },
+    'proud': {
+        name: 'Proud',
+        icon: '😌',
+        values: { eyeOpenness: 55, browAngle: -10, mouth: 'smirk', blush: 25, wink: 'none' }
+    },
+    'joyful': {
+        name: 'Joyful',
+        icon: '😄',
+        values: { eyeOpenness: 0, browAngle: 5, mouth: 'grin', blush: 50, wink: 'none' }
+    },
+    'shy': {
+        name: 'Shy',
+        icon: '🥺',
+        values: { eyeOpenness: 90, browAngle: 12, mouth: 'pout', blush: 90, wink: 'none' }
+    }
+};
+
+// The reaction currently showing, if any - { id, values, timer }
+// Reactions never touch gameState, so they aren't saved and don't create undo steps
+let activeReaction = null;
+
+// Set the character's expression to a preset (one undo step)
+function applyExpressionPreset(presetId) {
+    const preset = expressionPresets[presetId];
+    if (!preset) return;
+
+    // A reaction in progress would hide the new expression
+    endReaction();
+    updateState('character.expression', { ...preset.values });
+}
+
+// The preset matching an expression exactly, or null for a custom mix
+function findExpressionPreset(expression) {
+    const match = Object.entries(expressionPresets).find(([, preset]) =>
+        Object.keys(preset.values).every(key => preset.values[key] === expression[key]));
+    return match ? match[0] : null;
+}
+
+// The expression to draw for a character
+// The live character shows the active reaction (if any) instead of its own expression;
+// other characters (gallery thumbnails, previews) always show their own
+function getExpression(state) {
+    if (activeReaction && state === gameState.character) {
+        return activeReaction.values;
+    }
+    return state.expression;
+}
+
+// SHORT REACTIONS
+// Briefly shows a preset on the live character, then goes back to its own expression
+// Activities call this to celebrate, e.g. triggerReaction('excited') when a style is finished
+function triggerReaction(presetId, duration = REACTION_DURATION) {
+    const preset = expressionPresets[presetId];
+    if (!preset) return;
+
+    // A new reaction replaces the one showing
+    if (activeReaction) clearTimeout(activeReaction.timer);
+
+    activeReaction = {
+        id: presetId,
+        values: preset.values,
+        timer: setTimeout(endReaction, duration)
+    };
+    redrawFace();
+}
+
+// Stop the reaction showing (if any) and go back to the character's own expression
+function endReaction() {
+    if (!activeReaction) return;
+
+    clearTimeout(activeReaction.timer);
+    activeReaction = null;
+    redrawFace();
+}
+
+// The face layer only redraws when the state changes - reactions live outside
+// the state, so force the redraw
+function redrawFace() {
+    invalidateRenderLayer('face');
+    scheduleRender();
+}
+
+// EXPRESSIONS UI LOADER
+// Preset buttons, plus controls to fine-tune each part of the face
+function loadExpressions(container) {
+    container.innerHTML = '';
+
+    // Activity header
+    const intro = document.createElement('div');
+    intro.className = 'activity-intro';
+    intro.innerHTML = `<h3>Expressions</h3><p>How are you feeling today?</p>`;
+    container.appendChild(intro);
+
+    // PRESET SECTION
+    const presetSection = document.createElement('div');
+    presetSection.className = 'customization-section';
+    presetSection.innerHTML = '<h3>Moods</h3>';
+
+    const presetGrid = document.createElement('div');
+    presetGrid.className = 'option-grid';
+
+    Object.entries(expressionPresets).forEach(([id, preset]) => {
+        const btn = document.createElement('button');
+        btn.className = 'option-btn';
+        btn.textContent = `${preset.icon} ${preset.name}`;
+        btn.dataset.value = id;
+        btn.onclick = () => applyExpressionPreset(id);
+        presetGrid.appendChild(btn);
+    });
+
+    // Highlight the preset the face matches - nothing is highlighted for a custom mix
+    // (bindActiveButtons can't be used here: the state stores the values, not the preset ID)
+    const markPreset = expression => {
+        const presetId = findExpressionPreset(expression);
+        presetGrid.querySelectorAll('[data-value]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.value === presetId);
+        });
+    };
+    markPreset(getState('character.expression'));
+    subscribePanel('character.expression', markPreset);
+
+    presetSection.appendChild(presetGrid);
+    container.appendChild(presetSection);
+
+    // MOUTH SECTION
+    const mouthSection = document.createElement('div');
+    mouthSection.className = 'customization-section';
+    mouthSection.innerHTML = '<h3>Mouth</h3>';
+
+    const mouthGrid = document.createElement('div');
+    mouthGrid.className = 'option-grid';
+
+    Object.entries(mouthShapes).forEach(([id, shape]) => {
+        const btn = document.createElement('button');
+        btn.className = 'option-btn';
+        btn.textContent = `${shape.icon} ${shape.name}`;
+        btn.dataset.value = id;
+        btn.onclick = () => updateState('character.expression.mouth', id);
+        mouthGrid.appendChild(btn);
+    });
+
+    bindActiveButtons(mouthGrid, 'character.expression.mouth');
+
+    mouthSection.appendChild(mouthGrid);
+    container.appendChild(mouthSection);
+
+    // FINE-TUNE SECTION - sliders for the number values
+    const tuneSection = document.createElement('div');
+    tuneSection.className = 'customization-section';
+    tuneSection.innerHTML = '<h3>Fine Tune</h3>';
+
+    tuneSection.appendChild(createExpressionSlider('Eyes', 'eyeOpenness', 0, 120));
+    tuneSection.appendChild(createExpressionSlider('Eyebrows', 'browAngle', -20, 20));
+    tuneSection.appendChild(createExpressionSlider('Blush', 'blush', 0, 100));
+
+    // Wink - which eye (if any) is closed
+    const winkGrid = document.createElement('div');
+    winkGrid.className = 'option-grid';
+    [['none', '👀 No Wink'], ['left', '😉 Wink Left'], ['right', '😉 Wink Right']].forEach(([value, label]) => {
+        const btn = document.createElement('button');
+        btn.className = 'option-btn';
+        btn.textContent = label;
+        btn.dataset.value = value;
+        btn.onclick = () => updateState('character.expression.wink', value);
+        winkGrid.appendChild(btn);
+    });
+    bindActiveButtons(winkGrid, 'character.expression.wink');
+    tuneSection.appendChild(winkGrid);
+
+    container.appendChild(tuneSection);
+}
+
+// Labeled range input for one number in character.expression
+// Updates the state when the slider is let go (so dragging makes one undo step),
+// and follows the state when it changes elsewhere (presets, undo/redo)
+function createExpressionSlider(label, key, min, max) {
+    const path = `character.expression.${key}`;
+
+    const row = document.createElement('label');
+    row.className = 'expression-slider';
+    row.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = min;
+    input.max = max;
+    input.value = getState(path);
+    input.addEventListener('change', () => updateState(path, Number(input.value)));
+    subscribePanel(path, value => { input.value = value; });
+
+    row.appendChild(input);
+    return row;
+}
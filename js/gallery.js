@@ -0,0 +1,273 @@
+// Character Gallery Module
+// Lets players keep several named characters instead of just one
+// Each saved character gets a thumbnail drawn by the same renderCharacter() used on screen
+
+// localStorage key for the gallery (separate from the autosave in storage.js)
+const GALLERY_STORAGE_KEY = 'hairxyou.gallery';
+
+// Longest name a saved character can have
+const GALLERY_NAME_MAX_LENGTH = 40;
+
+// Read every saved gallery entry
+// Each entry looks like: { id, name, savedAt, version, character }
+// Entries are upgraded with the same migrations as the autosave (see storage.js),
+// and any entry that can't be read is skipped instead of breaking the gallery
+function loadGalleryEntries() {
+    let entries;
+    try {
+        entries = JSON.parse(localStorage.getItem(GALLERY_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.warn('HairXYou: ignoring unreadable gallery', error);
+        return [];
+    }
+    if (!Array.isArray(entries)) return [];
+
+    const valid = [];
+    entries.forEach(entry => {
+        try {
+            valid.push({
+                id: String(entry.id),
+                name: String(entry.name),
+                savedAt: entry.savedAt,
+                version: SAVE_SCHEMA_VERSION,
+                character: upgradeSavedCharacter(entry.version, entry.character)
+            });
+        } catch (error) {
+            console.warn('HairXYou: skipping unreadable gallery entry', error);
+        }
+    });
+    return valid;
+}
+
+// Write the gallery back to localStorage
+// Returns false if the browser refused (storage full or disabled)
+function saveGalleryEntries(entries) {
+    try {
+        localStorage.setItem(GALLERY_STORAGE_KEY, JSON.stringify(entries));
+        return true;
+    } catch (error) {
+        console.warn('HairXYou: could not save gallery', error);
+        return false;
+    }
+}
+
+// Create a unique ID for a new gallery entry
+function createGalleryId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+
+// Trim a name typed by the player, falling back when it's empty
+function cleanGalleryName(name, fallback) {
+    const trimmed = String(name || '').trim().slice(0, GALLERY_NAME_MAX_LENGTH);
+    return trimmed || fallback;
+}
+
+// Add the current character to the gallery under the given name
+function saveToGallery(name) {
+    const entries = loadGalleryEntries();
+    entries.push({
+        id: createGalleryId(),
+        name: cleanGalleryName(name, `Character ${entries.length + 1}`),
+        savedAt: Date.now(),
+        version: SAVE_SCHEMA_VERSION,
+        character: cloneCharacter(gameState.character)
+    });
+    return saveGalleryEntries(entries);
+}
+
+// Replace the current character with a saved one
+// Goes through updateState, so it re-renders, autosaves and can be undone
+// Returns false if the entry is gone or its character can't be used (e.g. edited by hand)
+function loadFromGallery(id) {
+    const entry = loadGalleryEntries().find(e => e.id === id);
+    if (!entry) return false;
+
+    try {
+        updateState('character', cloneCharacter(entry.character));
+        return true;
+    } catch (error) {
+        console.warn('HairXYou: could not load gallery entry', error);
+        return false;
+    }
+}
+
+// Save a copy of an entry right after the original
+function duplicateGalleryEntry(id) {
+    const entries = loadGalleryEntries();
+    const index = entries.findIndex(e => e.id === id);
+    if (index === -1) return false;
+
+    const original = entries[index];
+    entries.splice(index + 1, 0, {
+        id: createGalleryId(),
+        name: cleanGalleryName(`${original.name} (copy)`, original.name),
+        savedAt: Date.now(),
+        version: SAVE_SCHEMA_VERSION,
+        character: cloneCharacter(original.character)
+    });
+    return saveGalleryEntries(entries);
+}
+
+// Give an entry a new name
+function renameGalleryEntry(id, name) {
+    const entries = loadGalleryEntries();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return false;
+
+    entry.name = cleanGalleryName(name, entry.name);
+    return saveGalleryEntries(entries);
+}
+
+// Remove an entry from the gallery
+function deleteGalleryEntry(id) {
+    const entries = loadGalleryEntries();
+    return saveGalleryEntries(entries.filter(e => e.id !== id));
+}
+
+// Draw a character into an <img> for the gallery
+// The character is rendered into an off-screen SVG with renderCharacter(),
+// then turned into an image so its gradient IDs can't clash with the main SVG
+function createCharacterThumbnail(character) {
+    const svg = createSVGElement('svg', {
+        xmlns: 'http://www.w3.org/2000/svg',
+        width: '400',
+        height: '900',
+        viewBox: '0 0 400 900'
+    });
+    renderCharacter(svg, character);
+
+    const img = document.createElement('img');
+    img.className = 'gallery-thumb';
+    img.alt = '';
+    img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(new XMLSerializer().serializeToString(svg));
+    return img;
+}
+
+// Main UI loader for the gallery activity
+// Top: a form to save the current character
+// Below: one card per saved character with load, duplicate, rename and delete buttons
+function loadGallery(container) {
+    container.innerHTML = '';
+
+    // Activity header with instructions
+    const intro = document.createElement('div');
+    intro.className = 'activity-intro';
+    intro.innerHTML = `<h3>Character Gallery</h3><p>Save your characters and switch between them!</p>`;
+    container.appendChild(intro);
+
+    // SAVE SECTION
+    const saveSection = document.createElement('div');
+    saveSection.className = 'customization-section';
+    saveSection.innerHTML = '<h3>Save Current Character</h3>';
+
+    const form = document.createElement('form');
+    form.className = 'gallery-save-form';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'gallery-name-input';
+    nameInput.placeholder = 'Name your character';
+    nameInput.maxLength = GALLERY_NAME_MAX_LENGTH;
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'option-btn';
+    saveBtn.textContent = '⭐ Save';
+
+    // Using a form means pressing Enter in the name field also saves
+    form.onsubmit = e => {
+        e.preventDefault();
+        if (saveToGallery(nameInput.value)) {
+            showSaveMessage('✅ Saved to gallery!');
+        } else {
+            showSaveMessage('⚠️ Gallery is full - delete a character first', 'error');
+        }
+        loadGallery(container);
+    };
+
+    form.appendChild(nameInput);
+    form.appendChild(saveBtn);
+    saveSection.appendChild(form);
+    container.appendChild(saveSection);
+
+    // SAVED CHARACTERS SECTION
+    const listSection = document.createElement('div');
+    listSection.className = 'customization-section';
+    listSection.innerHTML = '<h3>Saved Characters</h3>';
+
+    const entries = loadGalleryEntries();
+    if (entries.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'gallery-empty';
+        empty.textContent = 'No saved characters yet. Save one above!';
+        listSection.appendChild(empty);
+    }
+
+    const grid = document.createElement('div');
+    grid.className = 'gallery-grid';
+
+    entries.forEach(entry => {
+        const card = document.createElement('div');
+        card.className = 'gallery-card';
+
+        // Clicking the picture loads the character
+        const thumbBtn = document.createElement('button');
+        thumbBtn.className = 'gallery-thumb-btn';
+        thumbBtn.title = `Load ${entry.name}`;
+        thumbBtn.appendChild(createCharacterThumbnail(entry.character));
+        thumbBtn.onclick = () => loadGalleryCard(entry);
+        card.appendChild(thumbBtn);
+
+        // textContent keeps player-typed names from being treated as HTML
+        const name = document.createElement('p');
+        name.className = 'gallery-name';
+        name.textContent = entry.name;
+        card.appendChild(name);
+
+        const actions = document.createElement('div');
+        actions.className = 'gallery-actions';
+        actions.appendChild(createGalleryActionButton('📂', 'Load', () => loadGalleryCard(entry)));
+        actions.appendChild(createGalleryActionButton('📄', 'Duplicate', () => {
+            if (!duplicateGalleryEntry(entry.id)) {
+                showSaveMessage('⚠️ Gallery is full - delete a character first', 'error');
+            }
+            loadGallery(container);
+        }));
+        actions.appendChild(createGalleryActionButton('✏️', 'Rename', () => {
+            const newName = prompt('New name for this character:', entry.name);
+            if (newName === null) return; // Cancelled
+            if (!renameGalleryEntry(entry.id, newName)) {
+                showSaveMessage('⚠️ Could not rename - the gallery is full', 'error');
+            }
+            loadGallery(container);
+        }));
+        actions.appendChild(createGalleryActionButton('🗑️', 'Delete', () => {
+            if (!confirm(`Delete ${entry.name}?`)) return;
+            deleteGalleryEntry(entry.id);
+            loadGallery(container);
+        }));
+        card.appendChild(actions);
+
+        grid.appendChild(card);
+    });
+
+    listSection.appendChild(grid);
+    container.appendChild(listSection);
+}
+
+// Load a card's character, telling the player when that isn't possible
+function loadGalleryCard(entry) {
+    if (!loadFromGallery(entry.id)) {
+        showSaveMessage(`⚠️ ${entry.name} could not be loaded`, 'error');
+    }
+}
+
+// Small icon button used on each gallery card
+function createGalleryActionButton(icon, label, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'gallery-action-btn';
+    btn.title = label;
+    btn.textContent = icon;
+    btn.onclick = onClick;
+    return btn;
+}
@@ -8,6 +8,26 @@ let currentHairCareStep = null;
 let careClicks = 0;
 const CLICKS_NEEDED = 5; // Number of clicks required to complete each step
 
+// All hair care steps with their icons
+// Each step represents a real hair care routine action
+// moisture: how much the step changes character.hair.moisture - heat dries hair out
+const hairCareSteps = [
+    { id: 'wet', name: 'Wet Hair', icon: '💧', moisture: 20 },
+    { id: 'shampoo', name: 'Shampoo', icon: '🧴', moisture: 10 },
+    { id: 'condition', name: 'Condition', icon: '✨', moisture: 30 },
+    { id: 'detangle', name: 'Detangle', icon: '🪮', moisture: 5 },
+    { id: 'rinse', name: 'Rinse', icon: '🚿', moisture: 15 },
+    { id: 'blow-dry', name: 'Blow Dry', icon: '🌬️', moisture: -25 }
+];
+
+// Hair moisture (character.hair.moisture, 0 to 100)
+// Hair slowly dries out while the game is open, and heat and styling dry it faster
+// (see STYLING_MOISTURE_LOSS in hair-styling.js). Hair care steps bring it back up.
+// How dry hair looks is up to the renderer (see getHairDryness in hair-system.js)
+const MOISTURE_DRY_INTERVAL = 20000; // How often the hair dries out a little (ms)
+const MOISTURE_DRY_AMOUNT = 2;       // How much moisture it loses each time
+let moistureTimer = null;
+
 // Main function to load the hair care UI into the tool panel
 // Called by activities.js when user clicks "Hair Care" button
 function loadHairCare(container) {
@@ -22,22 +42,26 @@ function loadHairCare(container) {
     `;
     container.appendChild(intro);
 
-    // Define all hair care steps with their icons
-    // Each step represents a real hair care routine action
-    const steps = [
-        { id: 'wet', name: 'Wet Hair', icon: '💧' },
-        { id: 'shampoo', name: 'Shampoo', icon: '🧴' },
-        { id: 'condition', name: 'Condition', icon: '✨' },
-        { id: 'detangle', name: 'Detangle', icon: '🪮' },
-        { id: 'rinse', name: 'Rinse', icon: '🚿' }
-    ];
+    // Moisture meter - follows character.hair.moisture as it changes
+    const meter = document.createElement('div');
+    meter.className = 'moisture-meter';
+    meter.innerHTML = `
+        <p class="moisture-label">💧 Moisture: <strong id="moistureValue"></strong></p>
+        <div class="progress-bar">
+            <div class="progress-fill moisture-fill" id="moistureFill"></div>
+        </div>
+        <p class="moisture-hint" id="moistureHint"></p>
+    `;
+    container.appendChild(meter);
+    updateMoistureMeter(gameState.character.hair.moisture);
+    subscribePanel('character.hair.moisture', updateMoistureMeter);
 
     // Create container for step buttons
     const stepsContainer = document.createElement('div');
     stepsContainer.className = 'steps-container';
 
     // Generate a button for each step
-    steps.forEach(step => {
+    hairCareSteps.forEach(step => {
         const btn = document.createElement('button');
         btn.className = 'step-btn';
         btn.innerHTML = `
@@ -60,6 +84,27 @@ function loadHairCare(container) {
     container.appendChild(instructionArea);
 }
 
+// Shows the current moisture in the meter, with a hint about how the hair is doing
+function updateMoistureMeter(moisture) {
+    const value = document.getElementById('moistureValue');
+    const fill = document.getElementById('moistureFill');
+    const hint = document.getElementById('moistureHint');
+    if (!value || !fill || !hint) return;
+
+    value.textContent = `${Math.round(moisture)}%`;
+    fill.style.width = `${moisture}%`;
+    // Below DRY_HAIR_BELOW (hair-system.js) the hair starts to look dry
+    fill.classList.toggle('dry', moisture < DRY_HAIR_BELOW);
+
+    if (moisture >= DRY_HAIR_BELOW) {
+        hint.textContent = 'Soft, shiny and defined!';
+    } else if (moisture >= DRY_HAIR_BELOW / 2) {
+        hint.textContent = 'Getting thirsty - a little frizz is showing';
+    } else {
+        hint.textContent = 'Dry and frizzy - time to wet and condition!';
+    }
+}
+
 // Starts a specific hair care step when user clicks a step button
 // Sets up the UI for interactive clicking and tracks progress
 function startHairCareStep(stepId, stepName) {
@@ -92,7 +137,7 @@ function startHairCareStep(stepId, stepName) {
 // Sets up cursor styling and click handler
 function enableHairInteraction() {
     // Find the hair element in the SVG (rendered by hair-system.js)
-    const hairGroup = document.getElementById('hairGroup');
+    const hairGroup = getHairGroup();
     if (!hairGroup) return;
 
     // Change cursor to pointer to indicate it's clickable
@@ -141,16 +186,61 @@ function completeHairCareStep() {
     `;
 
     // Disable hair clicking until another step is started
-    const hairGroup = document.getElementById('hairGroup');
+    const hairGroup = getHairGroup();
     if (hairGroup) {
         hairGroup.style.cursor = 'default'; // Reset cursor
         hairGroup.onclick = null; // Remove click handler
     }
 
+    // Each step changes the moisture by its own amount
+    const step = hairCareSteps.find(s => s.id === currentHairCareStep);
+    if (step && step.moisture < 0) {
+        instructions.innerHTML += `<p>🔥 Heat dries hair out: ${step.moisture}% moisture</p>`;
+    } else if (step) {
+        instructions.innerHTML += `<p>💧 +${step.moisture}% moisture</p>`;
+    }
+
     // Reset step tracking
     currentHairCareStep = null;
-    // Update character state - set moisture to 100% (fully moisturized hair)
-    updateState('character.hair.moisture', 100);
+    // Update character state - moisture changes how the hair looks
+    if (step) {
+        changeHairMoisture(step.moisture);
+    }
+}
+
+// Adds to (or takes from) the hair moisture - the schema keeps it between 0 and 100
+// options are passed on to updateState (e.g. history: false)
+function changeHairMoisture(amount, options = {}) {
+    updateState('character.hair.moisture', gameState.character.hair.moisture + amount, options);
+}
+
+// Starts drying the hair out over time
+// Called from app.js once the game has loaded
+function initializeHairMoisture() {
+    if (moistureTimer) return;
+    moistureTimer = setInterval(dryHairOverTime, MOISTURE_DRY_INTERVAL);
+}
+
+// One tick of drying out
+function dryHairOverTime() {
+    // Only while someone is playing - not in a background tab
+    if (document.hidden) return;
+    if (gameState.character.hair.moisture <= 0) return;
+
+    // Redrawing the hair would throw away the clickable hair of a step or styling session in progress
+    // Both only count while their panel is open - a session left behind mustn't stop the drying for good
+    if (currentHairCareStep && gameState.currentActivity === 'hair-care') return;
+    if (typeof isStylingInProgress === 'function' && isStylingInProgress() &&
+        gameState.currentActivity === 'hair-styling') return;
+
+    // Time passing isn't something to undo - and undoing something else
+    // mustn't bring the moisture back either (applyToHistorySnapshots is in history.js)
+    changeHairMoisture(-MOISTURE_DRY_AMOUNT, { history: false });
+    if (typeof applyToHistorySnapshots === 'function') {
+        applyToHistorySnapshots(character => {
+            character.hair.moisture = Math.max(0, character.hair.moisture - MOISTURE_DRY_AMOUNT);
+        });
+    }
 }
 
 // Creates and animates a sparkle emoji at the click position
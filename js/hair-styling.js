@@ -16,10 +16,18 @@ const hairstyles = {
     'wash-and-go': { name: 'Wash and Go', icon: '💧', interactive: false }
 };
 
+// Moisture lost when a new hairstyle is finished - handling hair dries it out
+// (see hair moisture in hair-care.js)
+const STYLING_MOISTURE_LOSS = 8;
+
 // Track the current styling session
 // When user selects an interactive style, this stores the style details
 let currentStyling = null;
 
+// Timer that hides the "complete!" message and clears the finished session
+// Cancelled when a new session starts before it fires
+let stylingCompleteTimer = null;
+
 // Array tracking which sections have been clicked and completed
 // For example, if user clicked sections 0, 2, and 5, this would be [0, 2, 5]
 let completedSections = [];
@@ -51,11 +59,15 @@ function loadHairStyling(container) {
             <span class="style-icon">${style.icon}</span>
             <span class="style-name">${style.name}</span>
         `;
+        card.dataset.value = id;
         // When clicked, determine if style is instant or interactive
         card.onclick = () => selectHairstyle(id, style);
         stylesContainer.appendChild(card);
     });
 
+    // Highlight the style the character is wearing (updates when a session completes)
+    bindActiveButtons(stylesContainer, 'character.hair.style');
+
     container.appendChild(stylesContainer);
 
     // Create instruction area (hidden initially)
@@ -75,6 +87,9 @@ function loadHairStyling(container) {
  * @param {object} style - The style configuration object
  */
 function selectHairstyle(styleId, style) {
+    // Picking a new style abandons any unfinished interactive session
+    endStylingHistoryGroup();
+
     if (style.interactive) {
         // Interactive styles: user must click sections to complete
         // Examples: box braids, cornrows, two-strand twists
@@ -83,7 +98,19 @@ function selectHairstyle(styleId, style) {
         // Instant styles: immediately apply to character
         // Examples: afro, locs, wash-and-go
         // This updates game state which triggers character re-render
-        updateState('character.hair.style', styleId);
+        // The hair layer is redrawn even if the style didn't change, in case
+        // sections from an unfinished session are still showing
+        invalidateHairLayers();
+        if (styleId === gameState.character.hair.style) {
+            updateState('character.hair.style', styleId);
+            return;
+        }
+
+        // The new style and the moisture it costs undo together
+        batch(() => {
+            updateState('character.hair.style', styleId);
+            loseStylingMoisture();
+        }, style.name);
     }
 }
 
@@ -101,8 +128,16 @@ function selectHairstyle(styleId, style) {
  * @param {object} style - Style configuration with sections count
  */
 function startInteractiveStyling(styleId, style) {
+    // A finished session's clean-up mustn't clear this new one
+    clearTimeout(stylingCompleteTimer);
+
     // Store current styling session details
-    currentStyling = { id: styleId, style: style };
+    currentStyling = { id: styleId, style: style, historyGroupOpen: true };
+
+    // Everything this session changes becomes a single undo step (see history.js)
+    if (typeof beginHistoryGroup === 'function') {
+        beginHistoryGroup(style.name);
+    }
 
     // Reset progress - no sections completed yet
     completedSections = [];
@@ -141,11 +176,13 @@ function startInteractiveStyling(styleId, style) {
  * @param {int} count - Number of sections to create (12 for box braids, 8 for cornrows, etc.)
  */
 function createHairSections(count) {
-    const hairGroup = document.getElementById('hairGroup');
+    const hairGroup = getHairGroup();
     if (!hairGroup) return;
 
-    // Clear existing hair rendering
+    // Clear existing hair rendering - front and back
     hairGroup.innerHTML = '';
+    const backHair = getHairGroup(undefined, 'back');
+    if (backHair) backHair.innerHTML = '';
 
     // Layout calculations
     const baseY = 180; // Top of hair sections (y-coordinate)
@@ -163,7 +200,7 @@ function createHairSections(count) {
             x: x,
             y: baseY,
             width: sectionWidth - 5, // Small gap between sections
-            height: 200, // Length of hair
+            height: Math.max(60, getHairReach(gameState.character) - baseY), // Length of hair
             fill: gameState.character.hair.color, // Use character's hair color
             stroke: '#fff', // White border
             'stroke-width': '2',
@@ -237,8 +274,10 @@ function styleSection(sectionIndex, sectionElement) {
  * 1. Show success message
  * 2. Update game state with new hairstyle
  * 3. Character re-renders automatically (state.js triggers renderCharacter)
- * 4. Hide instruction panel after brief delay
- * 5. Reset styling session
+ * 4. Close the session's undo group so the whole session undoes in one step
+ * 5. The character reacts with a big excited smile
+ * 6. Hide instruction panel after brief delay
+ * 7. Reset styling session
  */
 function completeStyling() {
     const instructions = document.getElementById('stylingInstructions');
@@ -253,11 +292,83 @@ function completeStyling() {
     // Update character state with completed style
     // This triggers hair-system.js to render the final hairstyle
     // The proper braids/twists/cornrows will now show instead of sections
+    // (invalidateHairLayers makes sure of that when re-doing the style the character already has)
+    invalidateHairLayers();
     updateState('character.hair.style', currentStyling.id);
+    loseStylingMoisture();
+
+    // Close the session's undo group now that the style is applied
+    endStylingHistoryGroup();
+
+    // The character smiles wide at her new hair (defined in expressions.js)
+    if (typeof triggerReaction === 'function') {
+        triggerReaction('excited');
+    }
 
     // Auto-hide instruction panel after 2 seconds
-    setTimeout(() => {
+    // Only if this is still the current session - a new one may have started meanwhile
+    const session = currentStyling;
+    stylingCompleteTimer = setTimeout(() => {
+        if (currentStyling !== session) return;
         instructions.style.display = 'none';
         currentStyling = null; // Clear session
     }, 2000);
 }
+
+/**
+ * Take the moisture a finished hairstyle costs (changeHairMoisture is defined in hair-care.js)
+ */
+function loseStylingMoisture() {
+    if (typeof changeHairMoisture === 'function') {
+        changeHairMoisture(-STYLING_MOISTURE_LOSS);
+    }
+}
+
+/**
+ * Whether the hair is showing clickable sections from an unfinished session
+ * Anything that redraws the hair would throw those sections away
+ *
+ * @returns {boolean} True while an interactive style is being worked on
+ */
+function isStylingInProgress() {
+    return currentStyling !== null && currentStyling.historyGroupOpen;
+}
+
+/**
+ * Make the next render redraw both hair layers, replacing any clickable sections
+ * Needed when the finished style is the same one the character already had
+ */
+function invalidateHairLayers() {
+    invalidateRenderLayer('hair');
+    invalidateRenderLayer('hair-back');
+}
+
+/**
+ * Drop an unfinished interactive session - called when the Hair Styling panel closes
+ * Closes its undo group so later edits get their own undo steps, and redraws the
+ * hair so the clickable sections don't stay on the character
+ * Does nothing when no session is in progress
+ */
+function abandonInteractiveStyling() {
+    if (!isStylingInProgress()) return;
+
+    endStylingHistoryGroup();
+    currentStyling = null;
+    completedSections = [];
+
+    invalidateHairLayers();
+    renderCharacter();
+}
+
+/**
+ * Close the undo group opened by startInteractiveStyling, if it is still open
+ * Safe to call at any time - does nothing when no session is in progress
+ */
+function endStylingHistoryGroup() {
+    if (!currentStyling || !currentStyling.historyGroupOpen) return;
+
+    currentStyling.historyGroupOpen = false;
+    if (typeof endHistoryGroup === 'function') {
+        endHistoryGroup();
+    }
+}
@@ -49,6 +49,292 @@ const hairTextures = {
     }
 };
 
+/**
+ * Hair lengths, from a TWA (teeny weeny afro) down to the waist
+ * Every style is drawn from these numbers (see getHairLength):
+ * - reach: where stretched-out hanging hair (braids, twists, locs, curls) ends -
+ *   a y position in the hair frame (the oval head, see getHairFrameTransform).
+ *   Lengths past the chin end at a point on the body instead, so they follow
+ *   the character's height: reach(body) gets getBodyGeometry() (see getHairReach)
+ * - size: how big rounded styles like the afro grow, compared to shoulder length
+ *
+ * Coily hair shrinks, so a 4C wash-and-go hangs shorter than a 3A one of the same length
+ */
+const hairLengths = {
+    'twa': { name: 'TWA', description: 'Teeny weeny afro - short and close to the head', reach: 250, size: 0.75 },
+    'ear': { name: 'Ear Length', description: 'Grown out to the ears', reach: 330, size: 0.85 },
+    'chin': { name: 'Chin Length', description: 'Down to the chin', reach: 420, size: 0.95 },
+    'shoulder': { name: 'Shoulder Length', description: 'Resting on the shoulders', reach: body => body.cy, size: 1 },
+    'mid-back': { name: 'Mid-Back', description: 'Past the shoulder blades', reach: body => body.cy + body.ry / 2, size: 1.1 },
+    'waist': { name: 'Waist Length', description: 'All the way down to the waist', reach: body => body.waistY, size: 1.2 }
+};
+
+/**
+ * Looks up the character's hair length, falling back to shoulder length
+ *
+ * @param {Object} state - Character state
+ * @returns {Object} Entry from hairLengths
+ */
+function getHairLength(state) {
+    return hairLengths[state.hair.length] || hairLengths['shoulder'];
+}
+
+/**
+ * Where stretched-out hair of the character's length ends, in the hair frame
+ * Body lengths are moved up or down by the same amount the frame is moved to
+ * reach the crown, so they end at the same point on the body for every face shape
+ *
+ * @param {Object} state - Character state
+ * @returns {number} y position in the hair frame
+ */
+function getHairReach(state) {
+    const reach = getHairLength(state).reach;
+    if (typeof reach !== 'function') return reach;
+
+    const frameOffset = getFaceGeometry(state).top - faceShapes['oval'].top;
+    return reach(getBodyGeometry(state)) - frameOffset;
+}
+
+/**
+ * Where a strand hanging from startY ends for the character's hair length
+ *
+ * @param {Object} state - Character state
+ * @param {number} startY - Where the strand leaves the scalp
+ * @param {number} shrinkage - 0 (hangs to full length) to 1 (doesn't hang at all)
+ * @returns {number} y position of the strand's tip
+ */
+function getStrandEnd(state, startY, shrinkage = 0) {
+    const reach = getHairReach(state);
+    return startY + Math.max(0, reach - startY) * (1 - shrinkage);
+}
+
+/**
+ * Hair moisture (hair.moisture, 0-100) changes how every style looks
+ * (see hair-care.js for how it goes up and down):
+ * - Moisturized hair is glossy, with defined coils and curls
+ * - Below DRY_HAIR_BELOW the color turns dull and ashy, coils lose their
+ *   definition and a frizz halo of flyaways grows around the hair
+ */
+const DRY_HAIR_BELOW = 60;
+
+// Most flyaways in the frizz halo of bone dry hair
+const MAX_FLYAWAYS = 36;
+
+/**
+ * How dry the hair looks
+ *
+ * @param {Object} state - Character state
+ * @returns {number} 0 (moisturized) to 1 (bone dry)
+ */
+function getHairDryness(state) {
+    return Math.max(0, Math.min(1, (DRY_HAIR_BELOW - state.hair.moisture) / DRY_HAIR_BELOW));
+}
+
+/**
+ * How glossy the hair is - scales shine spots, highlights and sparkles
+ *
+ * @param {Object} state - Character state
+ * @returns {number} 0 (no shine) to 1 (fully moisturized)
+ */
+function getHairShine(state) {
+    return Math.max(0, Math.min(1, state.hair.moisture / 100));
+}
+
+/**
+ * The hair color as it looks right now - dry hair turns dull and ashy
+ *
+ * @param {Object} state - Character state
+ * @returns {string} Hex color to draw the hair with
+ */
+function getHairColor(state) {
+    return dullHairColor(state, state.hair.color);
+}
+
+/**
+ * The second hair color (ombre ends, highlights, peekaboo) as it looks right now
+ *
+ * @param {Object} state - Character state
+ * @returns {string} Hex color to draw the accent with
+ */
+function getHairAccentColor(state) {
+    return dullHairColor(state, state.hair.accentColor);
+}
+
+/**
+ * Dry hair turns dull and ashy - any color the hair is dyed goes the same way
+ */
+function dullHairColor(state, color) {
+    const dryness = getHairDryness(state);
+    if (dryness === 0) return color;
+    return boostSaturation(lightenColor(color, 10 * dryness), -50 * dryness);
+}
+
+/**
+ * Ways of wearing a second hair color (hair.accentColor) with the main one (hair.color)
+ * See getStrandTones for how each one colors the strands
+ */
+const hairColorings = {
+    'solid': { name: 'Solid', description: 'One color all over' },
+    'ombre': { name: 'Ombre', description: 'Roots in your hair color, fading into the second color at the ends' },
+    'highlights': { name: 'Highlights', description: 'Face-framing strands in the second color' },
+    'peekaboo': { name: 'Peekaboo', description: 'The second color underneath, peeking out from behind' }
+};
+
+// How far down a strand the ombre starts to fade - 0 is the root, 1 the tip
+const OMBRE_FADE_START = 0.35;
+
+/**
+ * The colors at the root and the tip of one strand, for the character's hair coloring
+ *
+ * @param {Object} state - Character state
+ * @param {Object} strand - Where the strand is:
+ *   framing - one of the strands falling in front, framing the face
+ *   peeking - the framing strand tucked under the outer one (see getStrandPlacement)
+ *   underneath - drawn in the hair-back layer, under the top layer of hair
+ * @returns {Object} { root, tip } hex colors
+ */
+function getStrandTones(state, { framing = false, peeking = false, underneath = false } = {}) {
+    const base = getHairColor(state);
+    const accent = getHairAccentColor(state);
+
+    switch (state.hair.coloring) {
+        case 'ombre':
+            return { root: base, tip: accent };
+        case 'highlights':
+            return framing ? { root: accent, tip: accent } : { root: base, tip: base };
+        case 'peekaboo':
+            // Most of the underneath hangs behind the head - it peeks out between the framing strands
+            return underneath || peeking ? { root: accent, tip: accent } : { root: base, tip: base };
+        default:
+            return { root: base, tip: base };
+    }
+}
+
+/**
+ * The color part of the way down a strand
+ *
+ * @param {Object} tones - { root, tip } from getStrandTones
+ * @param {number} t - 0 (root) to 1 (tip)
+ * @returns {string} Hex color
+ */
+function getStrandColorAt(tones, t) {
+    if (tones.root === tones.tip || t <= OMBRE_FADE_START) return tones.root;
+    return mixColors(tones.root, tones.tip, (t - OMBRE_FADE_START) / (1 - OMBRE_FADE_START));
+}
+
+/**
+ * Whether hair is being drawn into the hair-back layer - the hair underneath
+ */
+function isUnderneathHair(hairGroup) {
+    return hairGroup.closest('.character-layer').getAttribute('data-layer') === 'hair-back';
+}
+
+/**
+ * Stroke or fill for a hanging strand: its color, or a gradient from root to tip
+ *
+ * Gradients run straight down the hair frame from startY to endY, so one gradient
+ * fits every strand of a style that starts and ends at the same heights - tails
+ * turned to fan out are turned together with their gradient.
+ *
+ * @param {SVGElement} hairGroup - Layer being drawn - the gradient goes in its defs
+ * @param {Object} state - Character state
+ * @param {Object} strand - { name, startY, endY } and the strand's placement
+ *   (see getStrandPlacement): name is the gradient's def name, unique to the
+ *   style (the layer is added to it)
+ * @returns {string} Hex color, or url(#...) of the gradient
+ */
+function getStrandPaint(hairGroup, state, { name, startY, endY, framing = false, peeking = false }) {
+    const tones = getStrandTones(state, { framing: framing, peeking: peeking, underneath: isUnderneathHair(hairGroup) });
+    if (tones.root === tones.tip) return tones.root;
+
+    // Both hair layers are in the same SVG - each needs its own gradient ID
+    const layerName = isUnderneathHair(hairGroup) ? `${name}Back` : name;
+    const id = scopedId(hairGroup, layerName);
+    const defs = getLayerDefs(hairGroup);
+
+    if (!Array.from(defs.children).some(def => def.id === id)) {
+        const gradient = createSVGElement('linearGradient', {
+            id: id,
+            gradientUnits: 'userSpaceOnUse',   // A straight line has no height for objectBoundingBox
+            x1: '0',
+            y1: startY,
+            x2: '0',
+            y2: endY
+        });
+        gradient.appendChild(createSVGElement('stop', { offset: '0%', 'stop-color': tones.root }));
+        gradient.appendChild(createSVGElement('stop', { offset: `${OMBRE_FADE_START * 100}%`, 'stop-color': tones.root }));
+        gradient.appendChild(createSVGElement('stop', { offset: '100%', 'stop-color': tones.tip }));
+        defs.appendChild(gradient);
+    }
+    return scopedUrl(hairGroup, layerName);
+}
+
+/**
+ * Colored extension hair braided or twisted into braids, twists and locs
+ * (hair.extensionColor) - 'none' for none
+ * Extension hair is synthetic, so it keeps its color when the hair dries out
+ *
+ * @param {Object} state - Character state
+ * @returns {string|null} Hex color, or null without extensions
+ */
+function getExtensionColor(state) {
+    return state.hair.extensionColor === 'none' ? null : state.hair.extensionColor;
+}
+
+/**
+ * Draws a frizz halo around dry hair - a fuzzy glow and flyaway hairs
+ * Moisturized hair gets nothing. Every flyaway takes the same numbers from
+ * the seeded generator whatever the dryness, so drier hair adds flyaways
+ * without moving the ones already there.
+ *
+ * @param {SVGElement} hairGroup - SVG group to append to
+ * @param {Object} state - Character state
+ * @param {Object} outline - { cx, cy, rx, ry } of the ellipse the hair fills
+ */
+function renderFrizzHalo(hairGroup, state, { cx, cy, rx, ry }) {
+    const dryness = getHairDryness(state);
+    if (dryness === 0) return;
+    const color = getHairColor(state);
+
+    // Fuzzy glow just outside the outline
+    hairGroup.appendChild(createSVGElement('ellipse', {
+        cx: cx,
+        cy: cy,
+        rx: rx + 4,
+        ry: ry + 4,
+        fill: 'none',
+        stroke: color,
+        'stroke-width': roundHairCoord(4 + 10 * dryness),
+        'stroke-dasharray': '1 3',
+        opacity: roundHairCoord(0.25 + 0.35 * dryness)
+    }));
+
+    // Flyaways stick out over the top and sides - never across the face
+    const random = createHairRandom(state, 'frizz');
+    const count = Math.round(MAX_FLYAWAYS * dryness);
+    for (let i = 0; i < count; i++) {
+        const angle = Math.PI * (0.9 + random() * 1.2);
+        const length = 6 + random() * 10;
+        const bend = (random() - 0.5) * 8;
+
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        const x = cx + dx * rx;
+        const y = cy + dy * ry;
+
+        hairGroup.appendChild(createSVGElement('path', {
+            d: `M ${roundHairCoord(x)} ${roundHairCoord(y)} ` +
+               `Q ${roundHairCoord(x + dx * length / 2 - dy * bend)} ${roundHairCoord(y + dy * length / 2 + dx * bend)} ` +
+               `${roundHairCoord(x + dx * length)} ${roundHairCoord(y + dy * length)}`,
+            stroke: color,
+            'stroke-width': '1.5',
+            fill: 'none',
+            'stroke-linecap': 'round',
+            opacity: '0.8'
+        }));
+    }
+}
+
 /**
  * Main hair rendering dispatcher
  * Routes to appropriate rendering function based on current hairstyle
@@ -90,6 +376,119 @@ function renderHairByTexture(hairGroup, state) {
     }
 }
 
+/**
+ * Creates a seeded random number generator for hair decorations (sparkles etc.)
+ * Never use Math.random() while rendering - the same character must always
+ * produce the same SVG, or the hair flickers on every unrelated re-render.
+ *
+ * The seed is built from the properties that change how the hair looks.
+ * Moisture is left out on purpose so it can change without moving the sparkles.
+ *
+ * @param {Object} state - Character state
+ * @param {string} purpose - Name of the decoration, so each one gets its own sequence
+ * @returns {function} Generator returning numbers from 0 to 1 (see seeded-random.js)
+ */
+function createHairRandom(state, purpose) {
+    const { texture, length, style, color } = state.hair;
+    return createSeededRandom([purpose, texture, length, style, color].join('|'));
+}
+
+/**
+ * Back hair dispatcher - draws the hair that hangs behind the head and shoulders
+ * Rendered into the 'hair-back' layer, underneath the body and outfit
+ * Every style that hangs has a back part; the afro draws nothing here
+ *
+ * @param {SVGElement} hairGroup - The hair-back layer group
+ * @param {Object} state - Character state containing hair properties
+ */
+function renderHairBackByStyle(hairGroup, state) {
+    const texture = hairTextures[state.hair.texture];
+
+    switch(state.hair.style) {
+        case 'wash-and-go':
+            renderWashAndGoBack(hairGroup, state, texture);
+            break;
+        case 'box-braids':
+            renderBoxBraidsBack(hairGroup, state);
+            break;
+        case 'cornrows':
+            renderCornrowTails(hairGroup, state);
+            break;
+        case 'two-strand-twists':
+            renderTwoStrandTwistsBack(hairGroup, state);
+            break;
+        case 'flat-twists':
+            renderFlatTwistTails(hairGroup, state);
+            break;
+        case 'locs':
+            renderLocsBack(hairGroup, state);
+            break;
+    }
+}
+
+// Number of strands on each side of a hanging style that fall in front, framing the face
+// The rest hang behind the head and shoulders in the hair-back layer
+const FRAMING_STRAND_COUNT = 2;
+
+/**
+ * Whether a strand of a hanging style falls in front of the face
+ *
+ * @param {number} index - Strand index, left to right
+ * @param {number} count - Number of strands in the style
+ * @returns {boolean} True for the outermost strands on each side
+ */
+function isFramingStrand(index, count) {
+    return index < FRAMING_STRAND_COUNT || index >= count - FRAMING_STRAND_COUNT;
+}
+
+/**
+ * Where a strand of a hanging style falls, for coloring it (see getStrandTones)
+ *
+ * @param {number} index - Strand index, left to right
+ * @param {number} count - Number of strands in the style
+ * @returns {Object} { framing, peeking }: peeking is the innermost framing strand
+ *   on each side, closest to the face and tucked under the outer ones
+ */
+function getStrandPlacement(index, count) {
+    return {
+        framing: isFramingStrand(index, count),
+        peeking: index === FRAMING_STRAND_COUNT - 1 || index === count - FRAMING_STRAND_COUNT
+    };
+}
+
+/**
+ * Creates a wavy strand path that swings left and right as it hangs down
+ * Longer hair gets more waves instead of stretched ones
+ *
+ * SVG path syntax:
+ * - M x y: Move to starting point
+ * - Q x1 y1 x2 y2: Quadratic curve (control point, end point) - one per wave
+ *
+ * @param {number} x - Horizontal position of the strand
+ * @param {number} startY - Where the strand starts
+ * @param {number} endY - Where the strand ends
+ * @param {number} amplitude - How far each wave swings (negative swings left first)
+ * @param {number} waveLength - Roughly how tall each wave is
+ * @returns {string} Path data
+ */
+function createWavyStrandPath(x, startY, endY, amplitude, waveLength) {
+    const waves = Math.max(1, Math.round((endY - startY) / waveLength));
+    const step = (endY - startY) / waves;
+    let d = `M ${x} ${startY}`;
+
+    for (let i = 0; i < waves; i++) {
+        const y = startY + step * i;
+        const swing = i % 2 === 0 ? amplitude : -amplitude;
+        d += ` Q ${x + swing} ${roundHairCoord(y + step / 2)} ${x} ${roundHairCoord(y + step)}`;
+    }
+    return d;
+}
+
+// Keeps generated coordinates short in the SVG
+function roundHairCoord(value) {
+    return Math.round(value * 10) / 10;
+}
+
 /**
  * Renders an afro hairstyle with texture-specific properties
  * ENHANCED: Now with gradients, highlights, and depth for level 5 graphics
@@ -102,11 +501,15 @@ function renderHairByTexture(hairGroup, state) {
  * 4. Adds highlight strands for realistic shine
  * 5. Tighter textures (4C) = more texture circles, more volume
  * 6. Looser textures (3A) = fewer texture circles, less volume
+ * 7. Moisturized hair gets glossy shine and defined coils; dry hair goes dull
+ *    and grows a frizz halo (see renderFrizzHalo)
  *
  * SVG positioning notes:
  * - Center point (200, 200) is at top of head
  * - rx/ry define width/height of ellipse
  * - Volume multiplier makes 4C hair significantly bigger than 3A
+ * - Hair length scales the size; longer afros grow up and out, so the bottom
+ *   edge stays put and never covers the face
  *
  * @param {SVGElement} hairGroup - SVG group to append elements to
  * @param {Object} state - Character state with hair.color property
@@ -114,9 +517,19 @@ function renderHairByTexture(hairGroup, state) {
  */
 function renderAfro(hairGroup, state, texture) {
     const baseSize = 100;  // Base radius for afro
+    const minSize = 112;   // Even a TWA has to cover the top of the head
 
-    // Calculate actual size based on texture - 4C hair will be 150px, 3A will be 110px
-    const volume = baseSize * texture.volume;
+    // Calculate actual size based on texture - 4C hair will be 150px, 3A will be 110px at shoulder length
+    const shoulderVolume = baseSize * texture.volume;
+    const volume = Math.max(minSize, shoulderVolume * getHairLength(state).size);
+
+    // Bigger afros move up by however much they grew, so the bottom edge stays put
+    const centerY = 200 - Math.max(0, volume - shoulderVolume) * 0.9;
+    const scale = volume / shoulderVolume;
+
+    // Moisture - shine and coil definition fade as the hair dries out
+    const gloss = getHairShine(state);
+    const definition = 1 - getHairDryness(state);
 
     // Calculate number of texture detail circles - tighter textures get more detail
     // 4C (0.95 tightness) = ~14 circles, 3A (0.45 tightness) = ~7 circles
@@ -124,14 +537,14 @@ function renderAfro(hairGroup, state, texture) {
 
     // ENHANCED: Get defs for gradient creation
     const svg = hairGroup.ownerSVGElement;
-    const defs = svg.querySelector('defs');
+    const defs = getLayerDefs(hairGroup);
 
     // MONSTER HIGH: Boost hair color saturation
-    const vibrantColor = boostSaturation(state.hair.color, 35);
+    const vibrantColor = boostSaturation(getHairColor(state), 35);
 
     // ENHANCED: Create hair gradient with highlights and shadows
     const hairGradient = createSVGElement('radialGradient', {
-        id: 'afroGradient',
+        id: scopedId(svg, 'afroGradient'),
         cx: '35%',  // Light from upper left
         cy: '25%',
         r: '75%'
@@ -165,28 +578,33 @@ function renderAfro(hairGroup, state, texture) {
     // ENHANCED: Add shadow underneath hair for depth
     const afroShadow = createSVGElement('ellipse', {
         cx: '200',
-        cy: '205',              // Slightly below main afro
+        cy: centerY + 5,        // Slightly below main afro
         rx: volume * 1.02,
         ry: volume * 0.92,
         fill: 'black',
         opacity: '0.2',
-        filter: 'url(#dropShadow)'
+        filter: scopedUrl(svg, 'dropShadow')
     });
     hairGroup.appendChild(afroShadow);
 
     // Create the main afro base shape with gradient
     const afroBase = createSVGElement('ellipse', {
         cx: '200',              // Centered horizontally in 400px viewBox
-        cy: '200',              // Positioned at top of head
+        cy: centerY,            // Positioned at top of head
         rx: volume,             // Width influenced by texture volume
         ry: volume * 0.9,       // Slightly shorter vertically for natural afro shape
-        fill: 'url(#afroGradient)',  // ENHANCED: Use gradient instead of flat color
+        fill: scopedUrl(svg, 'afroGradient'),  // ENHANCED: Use gradient instead of flat color
         stroke: '#000000',           // MONSTER HIGH: Bold black outline
         'stroke-width': '3',         // MONSTER HIGH: 3px outline
-        filter: 'url(#dropShadow)'   // ENHANCED: Add drop shadow
+        filter: scopedUrl(svg, 'dropShadow')   // ENHANCED: Add drop shadow
     });
     hairGroup.appendChild(afroBase);
 
+    // Ombre, highlights or peekaboo color over the base
+    renderAfroColoring(hairGroup, state, { cy: centerY, rx: volume, ry: volume * 0.9 });
+    // Coils on the outside are the ends of the hair - ombre ends are in the second color
+    const coilColor = getStrandColorAt(getStrandTones(state), 0.85);
+
     // Add texture detail circles around the perimeter to show coil definition
     // These circles create visual texture and make different hair types distinguishable
     for (let i = 0; i < coilCount; i++) {
@@ -199,7 +617,7 @@ function renderAfro(hairGroup, state, texture) {
 
         // Calculate x,y coordinates using polar-to-cartesian conversion
         const x = 200 + Math.cos(angle) * distance;
-        const y = 200 + Math.sin(angle) * distance;
+        const y = centerY + Math.sin(angle) * distance;
 
         // Create texture detail circle
         // Size based on coilTightness - tighter coils = smaller individual circles
@@ -207,8 +625,8 @@ function renderAfro(hairGroup, state, texture) {
             cx: x,
             cy: y,
             r: 12 * texture.coilTightness,  // 4C = ~11px circles, 3A = ~5px circles
-            fill: state.hair.color,
-            opacity: '0.6'  // Semi-transparent so they blend with base
+            fill: coilColor,
+            opacity: 0.2 + 0.4 * definition  // Semi-transparent so they blend with base - dry coils blur together
         });
         hairGroup.appendChild(coil);
     }
@@ -220,15 +638,16 @@ function renderAfro(hairGroup, state, texture) {
         {x: 200, y: 210, rx: 20, ry: 30}   // Center shine
     ];
 
+    // Positioned for a shoulder length afro - moved and scaled to fit this one
     shineSpots.forEach(spot => {
         const shine = createSVGElement('ellipse', {
-            cx: spot.x,
-            cy: spot.y,
-            rx: spot.rx,
-            ry: spot.ry,
+            cx: 200 + (spot.x - 200) * scale,
+            cy: centerY + (spot.y - 200) * scale,
+            rx: spot.rx * scale,
+            ry: spot.ry * scale,
             fill: 'white',
-            opacity: '0.35',  // MONSTER HIGH: Prominent glossy effect
-            filter: 'url(#softGlow)'
+            opacity: 0.35 * gloss,  // MONSTER HIGH: Prominent glossy effect
+            filter: scopedUrl(svg, 'softGlow')
         });
         hairGroup.appendChild(shine);
     });
@@ -239,7 +658,7 @@ function renderAfro(hairGroup, state, texture) {
         const angle = (i / highlightCount) * Math.PI * 2;
         const distance = volume * 0.5;  // Closer to center than texture circles
         const x = 200 + Math.cos(angle) * distance;
-        const y = 200 + Math.sin(angle) * distance;
+        const y = centerY + Math.sin(angle) * distance;
 
         const highlight = createSVGElement('ellipse', {
             cx: x,
@@ -247,29 +666,91 @@ function renderAfro(hairGroup, state, texture) {
             rx: 8,
             ry: 18,
             fill: lightColor,
-            opacity: '0.25',
+            opacity: 0.25 * gloss,
             transform: `rotate(${angle * 180 / Math.PI} ${x} ${y})`  // Rotate to follow hair direction
         });
         hairGroup.appendChild(highlight);
     }
 
     // MONSTER HIGH STYLE: Add subtle sparkles to hair
+    // Seeded so the sparkles stay put between renders
+    const random = createHairRandom(state, 'afro-sparkles');
     const sparkleCount = Math.floor(12 * texture.volume / 1.3);
     for (let i = 0; i < sparkleCount; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = volume * (0.3 + Math.random() * 0.5);
+        const angle = random() * Math.PI * 2;
+        const distance = volume * (0.3 + random() * 0.5);
         const x = 200 + Math.cos(angle) * distance;
-        const y = 200 + Math.sin(angle) * distance;
+        const y = centerY + Math.sin(angle) * distance;
 
         const sparkle = createSVGElement('circle', {
             cx: x,
             cy: y,
-            r: 2 + Math.random() * 2,
+            r: 2 + random() * 2,
             fill: 'white',
-            opacity: 0.6 + Math.random() * 0.3
+            opacity: (0.6 + random() * 0.3) * gloss
         });
         hairGroup.appendChild(sparkle);
     }
+
+    renderFrizzHalo(hairGroup, state, { cx: 200, cy: centerY, rx: volume, ry: volume * 0.9 });
+}
+
+/**
+ * Colors an afro with the second hair color - an afro has no strands to color,
+ * so each coloring is painted over the round shape:
+ * - ombre: the ends are the outside of the afro, so it fades out from the middle
+ * - highlights: bands down the front on either side of the face
+ * - peekaboo: the underneath of the afro, showing along the bottom edge
+ *
+ * @param {SVGElement} hairGroup - SVG group to append to
+ * @param {Object} state - Character state
+ * @param {Object} outline - { cy, rx, ry } of the afro ellipse (centered at x=200)
+ */
+function renderAfroColoring(hairGroup, state, { cy, rx, ry }) {
+    const coloring = state.hair.coloring;
+    if (!hairColorings[coloring] || coloring === 'solid') return;
+
+    const accent = getHairAccentColor(state);
+
+    if (coloring === 'highlights') {
+        // Arcs just inside the lower edge, from the sides down towards the face
+        [[110, 160], [20, 70]].forEach(([from, to]) => {
+            const point = angle => ({
+                x: roundHairCoord(200 + Math.cos(angle * Math.PI / 180) * (rx - 14)),
+                y: roundHairCoord(cy + Math.sin(angle * Math.PI / 180) * (ry - 14))
+            });
+            const start = point(from);
+            const end = point(to);
+            hairGroup.appendChild(createSVGElement('path', {
+                d: `M ${start.x} ${start.y} A ${rx - 14} ${ry - 14} 0 0 1 ${end.x} ${end.y}`,
+                stroke: accent,
+                'stroke-width': '18',
+                fill: 'none',
+                'stroke-linecap': 'round',
+                opacity: '0.9'
+            }));
+        });
+        return;
+    }
+
+    // Ombre fades out from the middle, peekaboo up from the bottom edge
+    const gradientName = 'afroColoring';
+    const gradient = coloring === 'ombre'
+        ? createSVGElement('radialGradient', { id: scopedId(hairGroup, gradientName), cx: '50%', cy: '50%', r: '50%' })
+        : createSVGElement('linearGradient', { id: scopedId(hairGroup, gradientName), x1: '0%', y1: '0%', x2: '0%', y2: '100%' });
+    const fadeFrom = coloring === 'ombre' ? 45 : 65;
+    gradient.appendChild(createSVGElement('stop', { offset: `${fadeFrom}%`, 'stop-color': accent, 'stop-opacity': '0' }));
+    gradient.appendChild(createSVGElement('stop', { offset: `${fadeFrom + 25}%`, 'stop-color': accent, 'stop-opacity': '0.9' }));
+    gradient.appendChild(createSVGElement('stop', { offset: '100%', 'stop-color': accent, 'stop-opacity': '0.9' }));
+    getLayerDefs(hairGroup).appendChild(gradient);
+
+    hairGroup.appendChild(createSVGElement('ellipse', {
+        cx: '200',
+        cy: cy,
+        rx: rx - 1.5,       // Inside the black outline
+        ry: ry - 1.5,
+        fill: scopedUrl(hairGroup, gradientName)
+    }));
 }
 
 /**
@@ -277,11 +758,16 @@ function renderAfro(hairGroup, state, texture) {
  *
  * How it works:
  * 1. Draws individual curl strands using SVG paths
- * 2. Each curl is a wavy line from scalp downward
- * 3. Curl width varies by texture - looser textures = thicker curls
- * 4. Top volume ellipse represents the crown area
+ * 2. Each curl is a wavy line from scalp downward, as long as the hair length allows
+ * 3. Tighter textures shrink more - a 4C wash-and-go hangs shorter than a 3A one
+ * 4. Curl width varies by texture - looser textures = thicker curls
+ * 5. Top volume ellipse represents the crown area
+ * 6. The outer curls frame the face; the rest hang behind the head and
+ *    shoulders in the hair-back layer (renderWashAndGoBack)
+ * 7. Moisturized curls are defined and shiny; dry ones go limp and puffy,
+ *    with a frizz halo around the crown
  *
- * SVG path syntax:
+ * SVG path syntax (see createWavyStrandPath):
  * - M x y: Move to starting point
  * - Q x1 y1 x2 y2: Quadratic curve (control point, end point)
  * - Creates S-curve pattern that looks like hanging curls
@@ -291,39 +777,88 @@ function renderAfro(hairGroup, state, texture) {
  * @param {Object} texture - Texture properties affecting curl width and volume
  */
 function renderWashAndGo(hairGroup, state, texture) {
-    const curlCount = 8;        // Number of curl strands to render
-    const curlWidth = 20;       // Base width for curl strands
-
-    // Draw individual curl strands across the head
-    for (let i = 0; i < curlCount; i++) {
-        // Space curls evenly from x=130 to x=290 (roughly ear-to-ear)
-        const x = 130 + (i * 20);
-
-        // Create S-shaped path representing a curl hanging down
-        // Q creates quadratic curves for natural-looking curl waves
-        // Path goes: start at scalp (180) -> curve right (220) -> curve back left (260) -> curve right (300) -> end (340)
-        const curlPath = createSVGElement('path', {
-            d: `M ${x} 180 Q ${x + 10} 220 ${x} 260 Q ${x - 10} 300 ${x} 340`,
-            stroke: state.hair.color,
-            // Stroke width varies by texture - looser curls (3A) appear thicker
-            // 4C: 20 * (1 - 0.285) = ~14px, 3A: 20 * (1 - 0.135) = ~17px
-            'stroke-width': curlWidth * (1 - texture.coilTightness * 0.3),
-            fill: 'none',                   // No fill - just the stroke line
-            'stroke-linecap': 'round'       // Rounded ends for natural look
-        });
-        hairGroup.appendChild(curlPath);
-    }
+    getWashAndGoCurls(state, texture).forEach(curl => {
+        if (curl.placement.framing) {
+            appendCurl(hairGroup, curl, state, texture);
+        }
+    });
 
     // Add top volume area to show hair at the crown
     // This fills the gap at the top where curls originate
+    // Short hair sits closer to the head; long hair hangs instead of growing taller
+    const crownHeight = 70 * texture.volume * Math.min(1, getHairLength(state).size);
     const topVolume = createSVGElement('ellipse', {
         cx: '200',                          // Centered horizontally
         cy: '190',                          // Slightly above curl start points
         rx: 95,                             // Wide enough to cover curl origins
-        ry: 70 * texture.volume,            // Height scales with texture volume
-        fill: state.hair.color
+        ry: crownHeight,                    // Height scales with texture volume
+        fill: getHairColor(state)
     });
     hairGroup.appendChild(topVolume);
+
+    renderFrizzHalo(hairGroup, state, { cx: 200, cy: 190, rx: 95, ry: crownHeight });
+}
+
+/**
+ * Renders the back of a wash-and-go - every curl, drawn behind the body
+ *
+ * @param {SVGElement} hairGroup - The hair-back layer group
+ * @param {Object} state - Character state
+ * @param {Object} texture - Texture properties affecting curl width and length
+ */
+function renderWashAndGoBack(hairGroup, state, texture) {
+    getWashAndGoCurls(state, texture).forEach(curl => appendCurl(hairGroup, curl, state, texture));
+}
+
+/**
+ * Positions of the wash-and-go curls - shared by the front and back layers
+ * @returns {Array} { x, startY, endY, placement } for each curl, left to right (see getStrandPlacement)
+ */
+function getWashAndGoCurls(state, texture) {
+    const curlCount = 12;       // Number of curl strands to render
+    const startY = 180;         // Where curls leave the scalp
+
+    // Coils shrink up to half their length - 4C ends well above a 3A of the same length
+    const endY = getStrandEnd(state, startY, texture.coilTightness * 0.5);
+
+    const curls = [];
+    for (let i = 0; i < curlCount; i++) {
+        // Space curls evenly from x=85 to x=316 (just outside the face)
+        curls.push({ x: 85 + (i * 21), startY: startY, endY: endY, placement: getStrandPlacement(i, curlCount) });
+    }
+    return curls;
+}
+
+/**
+ * Draws one S-shaped curl hanging down, with a line of shine along it
+ * Dry curls lose their definition - they swing less and puff up wider
+ */
+function appendCurl(hairGroup, { x, startY, endY, placement }, state, texture) {
+    const curlWidth = 20;       // Base width for curl strands
+    const dryness = getHairDryness(state);
+    const path = createWavyStrandPath(x, startY, endY, 10 * (1 - dryness * 0.6), 80);
+    const tones = getStrandTones(state, { ...placement, underneath: isUnderneathHair(hairGroup) });
+
+    hairGroup.appendChild(createSVGElement('path', {
+        d: path,
+        stroke: getStrandPaint(hairGroup, state, { name: 'curlGradient', startY: startY, endY: endY, ...placement }),
+        // Stroke width varies by texture - looser curls (3A) appear thicker
+        // 4C: 20 * (1 - 0.285) = ~14px, 3A: 20 * (1 - 0.135) = ~17px
+        'stroke-width': roundHairCoord(curlWidth * (1 - texture.coilTightness * 0.3) * (1 + dryness * 0.3)),
+        fill: 'none',                   // No fill - just the stroke line
+        'stroke-linecap': 'round'       // Rounded ends for natural look
+    }));
+
+    // Shine along the curl - moisturized curls catch the light
+    hairGroup.appendChild(createSVGElement('path', {
+        d: path,
+        stroke: lightenColor(getStrandColorAt(tones, 0.5), 35),
+        'stroke-width': '2',
+        fill: 'none',
+        'stroke-linecap': 'round',
+        opacity: roundHairCoord(0.5 * getHairShine(state)),
+        transform: 'translate(-3 0)'
+    }));
 }
 
 /**
@@ -333,10 +868,12 @@ function renderWashAndGo(hairGroup, state, texture) {
  *
  * How it works:
  * 1. Creates 12 vertical braids across the head
- * 2. Each braid has 6 segments stacked vertically
+ * 2. Each braid is a stack of segments - longer hair gets more segments
  * 3. Segments alternate slight left/right offset to show braid texture
  * 4. Adds highlights and shadows for realistic depth
  * 5. Top ellipse covers the scalp where braids originate
+ * 6. The outer braids frame the face; the rest hang behind the head and
+ *    shoulders in the hair-back layer (renderBoxBraidsBack)
  *
  * SVG positioning:
  * - Braids spaced 20px apart horizontally
@@ -347,95 +884,18 @@ function renderWashAndGo(hairGroup, state, texture) {
  * @param {Object} state - Character state with hair.color
  */
 function renderBoxBraids(hairGroup, state) {
-    const braidCount = 12;      // Number of individual braids
-    const braidWidth = 8;       // Width of each braid in pixels
-    const startY = 200;         // Y position where braids start (below scalp)
-
-    // ENHANCED: Get defs and create gradient
     const svg = hairGroup.ownerSVGElement;
-    const defs = svg.querySelector('defs');
-
-    // MONSTER HIGH: Boost hair color saturation
-    const vibrantColor = boostSaturation(state.hair.color, 35);
-
-    const braidGradient = createSVGElement('linearGradient', {
-        id: 'braidGradient',
-        x1: '0%',
-        y1: '0%',
-        x2: '100%',
-        y2: '0%'
-    });
-
-    const lightColor = lightenColor(vibrantColor, 25);  // MONSTER HIGH: Brighter highlights
-    const darkColor = darkenColor(vibrantColor, 15);
-
-    braidGradient.appendChild(createSVGElement('stop', {
-        offset: '0%',
-        'stop-color': darkColor
-    }));
-    braidGradient.appendChild(createSVGElement('stop', {
-        offset: '50%',
-        'stop-color': vibrantColor
-    }));
-    braidGradient.appendChild(createSVGElement('stop', {
-        offset: '100%',
-        'stop-color': lightColor
-    }));
-    defs.appendChild(braidGradient);
-
-    // Create each individual braid
-    for (let i = 0; i < braidCount; i++) {
-        // Space braids evenly across head (x: 90 to 310)
-        const x = 90 + (i * 20);
-        const segments = 6;     // Number of segments per braid
+    const defs = getLayerDefs(hairGroup);
 
-        // Create segments for this braid (stacked vertically)
-        for (let j = 0; j < segments; j++) {
-            // Calculate vertical position for this segment
-            const y = startY + (j * 30);
-
-            // Alternate offset left/right to show woven texture
-            // Even segments (j=0,2,4): offset 0, Odd segments (j=1,3,5): offset 3px right
-            const offset = (j % 2) * 3;
-
-            // ENHANCED: Add shadow behind each segment for depth
-            const shadow = createSVGElement('rect', {
-                x: x - braidWidth / 2 + offset + 1,
-                y: y + 2,
-                width: braidWidth,
-                height: 28,
-                fill: 'black',
-                opacity: '0.15',
-                rx: '3'
-            });
-            hairGroup.appendChild(shadow);
-
-            // Create rectangular segment with gradient
-            const segment = createSVGElement('rect', {
-                x: x - braidWidth / 2 + offset,     // Center on x, add offset
-                y: y,
-                width: braidWidth,
-                height: 28,                         // Slightly shorter than spacing for gap
-                fill: 'url(#braidGradient)',        // ENHANCED: Use gradient
-                rx: '3',                            // Rounded corners (3px radius)
-                stroke: '#000000',                  // MONSTER HIGH: Bold black outline
-                'stroke-width': '2'                 // MONSTER HIGH: 2px outline
-            });
-            hairGroup.appendChild(segment);
-
-            // MONSTER HIGH: Add BIGGER glossy highlight on braid
-            const highlight = createSVGElement('rect', {
-                x: x - braidWidth / 2 + offset + braidWidth * 0.6,
-                y: y + 3,
-                width: braidWidth * 0.3,  // MONSTER HIGH: Wider shine
-                height: 22,                // MONSTER HIGH: Taller shine
-                fill: 'white',
-                opacity: '0.6',            // MONSTER HIGH: More prominent
-                rx: '1'
-            });
-            hairGroup.appendChild(highlight);
+    // Only the outermost braids fall in front, framing the face
+    const framing = [];
+    getBoxBraidPositions().forEach((x, i, braids) => {
+        const placement = getStrandPlacement(i, braids.length);
+        if (placement.framing) {
+            appendBoxBraid(hairGroup, state, x, placement);
+            framing.push(x);
         }
-    }
+    });
 
     // ENHANCED: Add shadow at roots for depth
     const rootShadow = createSVGElement('ellipse', {
@@ -450,17 +910,17 @@ function renderBoxBraids(hairGroup, state) {
 
     // Add scalp coverage with gradient
     const scalpGradient = createSVGElement('radialGradient', {
-        id: 'scalpGradient',
+        id: scopedId(svg, 'scalpGradient'),
         cx: '40%',
         cy: '30%'
     });
     scalpGradient.appendChild(createSVGElement('stop', {
         offset: '0%',
-        'stop-color': lightenColor(state.hair.color, 15)
+        'stop-color': lightenColor(getHairColor(state), 15)
     }));
     scalpGradient.appendChild(createSVGElement('stop', {
         offset: '100%',
-        'stop-color': state.hair.color
+        'stop-color': getHairColor(state)
     }));
     defs.appendChild(scalpGradient);
 
@@ -469,58 +929,328 @@ function renderBoxBraids(hairGroup, state) {
         cy: '190',      // Just above braid start (y=200)
         rx: '100',      // Wide enough to cover all braid origins
         ry: '60',       // Moderate height for natural scalp coverage
-        fill: 'url(#scalpGradient)',  // ENHANCED: Use gradient
+        fill: scopedUrl(svg, 'scalpGradient'),  // ENHANCED: Use gradient
         stroke: '#000000',             // MONSTER HIGH: Bold black outline
         'stroke-width': '3',           // MONSTER HIGH: 3px outline
-        filter: 'url(#dropShadow)'    // ENHANCED: Add shadow
+        filter: scopedUrl(svg, 'dropShadow')    // ENHANCED: Add shadow
     });
     hairGroup.appendChild(top);
 
     // MONSTER HIGH: Add sparkles to braids for that magical touch
+    // Seeded so the sparkles stay put between renders
+    // Sparkles sit on the braids in front, all the way down to the tips
+    const random = createHairRandom(state, 'braid-sparkles');
+    const endY = getStrandEnd(state, BOX_BRAID_START_Y);
     for (let i = 0; i < 15; i++) {
-        const x = 90 + Math.random() * 220;  // Random x across braids
-        const y = 200 + Math.random() * 180; // Random y along braids
+        const x = framing[Math.floor(random() * framing.length)] + (random() - 0.5) * 6;
+        const y = BOX_BRAID_START_Y + random() * (endY - BOX_BRAID_START_Y);
         const sparkle = createSVGElement('circle', {
             cx: x,
             cy: y,
-            r: 1.5 + Math.random() * 1.5,
+            r: 1.5 + random() * 1.5,
             fill: 'white',
-            opacity: 0.6 + Math.random() * 0.3
+            opacity: (0.6 + random() * 0.3) * getHairShine(state)
         });
         hairGroup.appendChild(sparkle);
     }
+
+    // Dry roots frizz up around the parts
+    renderFrizzHalo(hairGroup, state, { cx: 200, cy: 190, rx: 100, ry: 60 });
+}
+
+/**
+ * Renders the back of box braids - every braid, drawn behind the body
+ *
+ * @param {SVGElement} hairGroup - The hair-back layer group
+ * @param {Object} state - Character state with hair.color
+ */
+function renderBoxBraidsBack(hairGroup, state) {
+    getBoxBraidPositions().forEach((x, i, braids) => appendBoxBraid(hairGroup, state, x, getStrandPlacement(i, braids.length)));
+}
+
+// Y position where braids start (below scalp)
+const BOX_BRAID_START_Y = 200;
+
+/**
+ * Horizontal positions of the box braids - shared by the front and back layers
+ * @returns {Array} x for each braid, left to right (x: 90 to 310)
+ */
+function getBoxBraidPositions() {
+    const braidCount = 12;      // Number of individual braids
+    const positions = [];
+    for (let i = 0; i < braidCount; i++) {
+        positions.push(90 + (i * 20));
+    }
+    return positions;
+}
+
+/**
+ * ENHANCED: Side-lit gradient for the braid segments
+ * MONSTER HIGH: Boosted saturation and brighter highlights
+ * Segments can be different colors (ombre, extensions) - each color gets one
+ * gradient per layer, made the first time a segment needs it
+ *
+ * @returns {string} url(#...) of the gradient for a segment of this color
+ */
+function getBraidGradient(hairGroup, color) {
+    // Each layer has its own defs - the back gets its own gradient IDs so the two don't clash
+    const name = `braid${isUnderneathHair(hairGroup) ? 'Back' : ''}-${color.replace('#', '').toLowerCase()}`;
+    const id = scopedId(hairGroup, name);
+    const defs = getLayerDefs(hairGroup);
+    if (Array.from(defs.children).some(def => def.id === id)) {
+        return scopedUrl(hairGroup, name);
+    }
+
+    const vibrantColor = boostSaturation(color, 35);
+
+    const braidGradient = createSVGElement('linearGradient', {
+        id: id,
+        x1: '0%',
+        y1: '0%',
+        x2: '100%',
+        y2: '0%'
+    });
+
+    const lightColor = lightenColor(vibrantColor, 25);  // MONSTER HIGH: Brighter highlights
+    const darkColor = darkenColor(vibrantColor, 15);
+
+    braidGradient.appendChild(createSVGElement('stop', {
+        offset: '0%',
+        'stop-color': darkColor
+    }));
+    braidGradient.appendChild(createSVGElement('stop', {
+        offset: '50%',
+        'stop-color': vibrantColor
+    }));
+    braidGradient.appendChild(createSVGElement('stop', {
+        offset: '100%',
+        'stop-color': lightColor
+    }));
+    defs.appendChild(braidGradient);
+    return scopedUrl(hairGroup, name);
+}
+
+/**
+ * Draws one box braid as a stack of segments from the scalp to the tip
+ * Each segment takes the hair color at its place along the braid (see getStrandTones);
+ * colored extension hair braided in shows in every other segment
+ *
+ * @param {Object} placement - Where the braid falls (see getStrandPlacement)
+ */
+function appendBoxBraid(hairGroup, state, x, placement) {
+    const braidWidth = 8;       // Width of each braid in pixels
+    const tones = getStrandTones(state, { ...placement, underneath: isUnderneathHair(hairGroup) });
+    const extension = getExtensionColor(state);
+
+    // One segment for every 30px of length
+    const length = getStrandEnd(state, BOX_BRAID_START_Y) - BOX_BRAID_START_Y;
+    const segments = Math.max(1, Math.round(length / 30));
+
+    // Create segments for this braid (stacked vertically)
+    for (let j = 0; j < segments; j++) {
+        // Calculate vertical position for this segment
+        const y = BOX_BRAID_START_Y + (j * 30);
+
+        // Alternate offset left/right to show woven texture
+        // Even segments (j=0,2,4): offset 0, Odd segments (j=1,3,5): offset 3px right
+        const offset = (j % 2) * 3;
+
+        // ENHANCED: Add shadow behind each segment for depth
+        const shadow = createSVGElement('rect', {
+            x: x - braidWidth / 2 + offset + 1,
+            y: y + 2,
+            width: braidWidth,
+            height: 28,
+            fill: 'black',
+            opacity: '0.15',
+            rx: '3'
+        });
+        hairGroup.appendChild(shadow);
+
+        const color = extension && j % 2 === 1 ? extension : getStrandColorAt(tones, (j + 0.5) / segments);
+
+        // Create rectangular segment with gradient
+        const segment = createSVGElement('rect', {
+            x: x - braidWidth / 2 + offset,     // Center on x, add offset
+            y: y,
+            width: braidWidth,
+            height: 28,                         // Slightly shorter than spacing for gap
+            fill: getBraidGradient(hairGroup, color),     // ENHANCED: Use gradient
+            rx: '3',                            // Rounded corners (3px radius)
+            stroke: '#000000',                  // MONSTER HIGH: Bold black outline
+            'stroke-width': '2'                 // MONSTER HIGH: 2px outline
+        });
+        hairGroup.appendChild(segment);
+
+        // MONSTER HIGH: Add BIGGER glossy highlight on braid
+        const highlight = createSVGElement('rect', {
+            x: x - braidWidth / 2 + offset + braidWidth * 0.6,
+            y: y + 3,
+            width: braidWidth * 0.3,  // MONSTER HIGH: Wider shine
+            height: 22,                // MONSTER HIGH: Taller shine
+            fill: 'white',
+            opacity: 0.6 * getHairShine(state),   // MONSTER HIGH: More prominent - dry braids lose their gloss
+            rx: '1'
+        });
+        hairGroup.appendChild(highlight);
+    }
+}
+
+// Scalp area that cornrows and flat twists lie on - the same ellipse the other styles cover
+const SCALP_CENTER_Y = 190;
+const SCALP_RX = 100;
+const SCALP_RY = 55;
+
+// Where braided and twisted tails leave the head at the back
+const NAPE_Y = 280;
+
+/**
+ * Rows that lie flat on the scalp, running from the hairline back over the crown
+ * Used by cornrows and flat twists. Seen from the front, the rows start side by
+ * side along the hairline and bunch together as they disappear over the crown.
+ *
+ * @param {number} count - Number of rows
+ * @returns {Array} { start, control, end } for each row, left to right -
+ *   a quadratic curve from the hairline (start) to the crown (end)
+ */
+function getScalpRows(count) {
+    const spacing = 190 / count;   // Rows fill the hairline from x=105 to x=295
+    const rows = [];
+
+    // y on the edge of the scalp ellipse at x - bottom edge (hairline) or top edge (crown)
+    const scalpEdge = (x, side) => {
+        const across = (x - 200) / SCALP_RX;
+        return SCALP_CENTER_Y + side * SCALP_RY * Math.sqrt(Math.max(0, 1 - across * across));
+    };
+
+    for (let i = 0; i < count; i++) {
+        const offset = i - (count - 1) / 2;     // Distance from the middle row
+        const hairlineX = 200 + offset * spacing;
+        const crownX = 200 + offset * spacing * 0.4;
+
+        rows.push({
+            start: { x: hairlineX, y: roundHairCoord(scalpEdge(hairlineX, 1) - 6) },
+            // Rows bow outwards, following the round of the head
+            control: { x: roundHairCoord(200 + offset * spacing * 1.15), y: SCALP_CENTER_Y },
+            end: { x: crownX, y: roundHairCoord(scalpEdge(crownX, -1) + 10) }
+        });
+    }
+    return rows;
+}
+
+/**
+ * A point part of the way along a scalp row
+ *
+ * @param {Object} row - Row from getScalpRows
+ * @param {number} t - 0 (hairline) to 1 (crown)
+ * @returns {Object} { x, y }
+ */
+function pointOnScalpRow({ start, control, end }, t) {
+    const u = 1 - t;
+    return {
+        x: u * u * start.x + 2 * u * t * control.x + t * t * end.x,
+        y: u * u * start.y + 2 * u * t * control.y + t * t * end.y
+    };
+}
+
+/**
+ * Bare scalp showing between the rows of cornrows and flat twists
+ */
+function createScalpBase(state) {
+    return createSVGElement('ellipse', {
+        cx: '200',
+        cy: SCALP_CENTER_Y,
+        rx: SCALP_RX,
+        ry: SCALP_RY,
+        fill: darkenColor(state.appearance.skinTone, 15)
+    });
+}
+
+/**
+ * Line of shine along a scalp row - fades as the hair dries out
+ *
+ * @param {string} color - Color of the row
+ */
+function createScalpRowShine(row, state, color) {
+    return createSVGElement('path', {
+        d: `M ${row.start.x} ${row.start.y} Q ${row.control.x} ${row.control.y} ${row.end.x} ${row.end.y}`,
+        stroke: lightenColor(color, 35),
+        'stroke-width': '2',
+        fill: 'none',
+        'stroke-linecap': 'round',
+        opacity: roundHairCoord(0.4 * getHairShine(state)),
+        transform: 'translate(-3 0)'
+    });
+}
+
+/**
+ * Color of a row of cornrows or flat twists - the rows are all roots, so ombre
+ * doesn't reach them. With highlights, the outermost row on each side frames the face.
+ *
+ * @param {number} index - Row index, left to right
+ * @param {number} count - Number of rows
+ * @returns {string} Hex color
+ */
+function getScalpRowColor(state, index, count) {
+    return getStrandTones(state, { framing: index === 0 || index === count - 1 }).root;
+}
+
+/**
+ * Tails of scalp styles, fanning out from the nape
+ * Only long enough hair has tails - a TWA ends at the nape
+ *
+ * @param {Object} state - Character state
+ * @param {number} count - Number of tails (one per row)
+ * @returns {Array} { startX, endX, endY } for each tail, left to right
+ */
+function getNapeTails(state, count) {
+    const endY = getStrandEnd(state, NAPE_Y);
+    if (endY - NAPE_Y < 20) return [];
+
+    const tails = [];
+    for (let i = 0; i < count; i++) {
+        const offset = i - (count - 1) / 2;
+        tails.push({
+            startX: 200 + offset * 20,
+            endX: roundHairCoord(200 + offset * 34),   // Fan out past the shoulders
+            endY: endY
+        });
+    }
+    return tails;
 }
 
 /**
  * Renders cornrows - braids close to the scalp in straight-back pattern
  *
  * How it works:
- * 1. Creates 8 rows running vertically down the head
- * 2. Each row is a thick line (12px) with texture detail
- * 3. Texture marks added perpendicular to rows to show braid pattern
- * 4. Diagonal texture lines create the woven appearance
+ * 1. Creates 8 rows from the hairline back over the crown (getScalpRows)
+ * 2. Each row is a thick curve (12px) with texture detail
+ * 3. Texture marks across each row show the braid pattern
+ * 4. Bare scalp shows between the rows
+ * 5. Longer hair ends in braided tails hanging from the nape, behind the
+ *    head and shoulders in the hair-back layer (renderCornrowTails)
  *
  * SVG details:
- * - Main row: thick vertical line (stroke)
- * - Texture: short diagonal lines every 20px
- * - Lines go from upper left to lower right of row
+ * - Main row: thick quadratic curve (stroke)
+ * - Texture: short diagonal lines, alternating direction like a braid
  *
  * @param {SVGElement} hairGroup - SVG group to append to
  * @param {Object} state - Character state
  */
 function renderCornrows(hairGroup, state) {
     const rowCount = 8;         // Number of cornrows
-    const startY = 180;         // Where cornrows start at scalp
+
+    hairGroup.appendChild(createScalpBase(state));
 
     // Create each cornrow
-    for (let i = 0; i < rowCount; i++) {
-        // Space rows evenly across head (x: 100 to 275)
-        const x = 100 + (i * 25);
+    getScalpRows(rowCount).forEach((row, i) => {
+        const rowColor = getScalpRowColor(state, i, rowCount);
+        const markColor = darkenColor(rowColor, 20);
 
-        // Create main cornrow line - thick vertical stroke
+        // Create main cornrow line - thick stroke lying on the scalp
         const path = createSVGElement('path', {
-            d: `M ${x} ${startY} L ${x} ${startY + 200}`,  // Straight line down
-            stroke: state.hair.color,
+            d: `M ${row.start.x} ${row.start.y} Q ${row.control.x} ${row.control.y} ${row.end.x} ${row.end.y}`,
+            stroke: rowColor,
             'stroke-width': '12',                           // Thick line for braid
             fill: 'none',
             'stroke-linecap': 'round'                       // Rounded ends
@@ -528,25 +1258,66 @@ function renderCornrows(hairGroup, state) {
         hairGroup.appendChild(path);
 
         // Add texture detail to show braid pattern
-        const segments = 10;    // Number of texture marks per row
+        const segments = 6;     // Number of texture marks per row
         for (let j = 0; j < segments; j++) {
-            // Space texture marks evenly down the row
-            const y = startY + (j * 20);
+            const point = pointOnScalpRow(row, (j + 0.5) / segments);
+            const slant = j % 2 === 0 ? 1 : -1;
 
             // Create small diagonal line across the cornrow
-            // Goes from 3px left to 3px right, angled downward
             const texture = createSVGElement('line', {
-                x1: x - 3,                      // Left side of row
-                y1: y,                          // Top of texture mark
-                x2: x + 3,                      // Right side of row
-                y2: y + 10,                     // Bottom (angled down)
-                stroke: state.hair.color,
+                x1: roundHairCoord(point.x - 3),
+                y1: roundHairCoord(point.y - 4 * slant),
+                x2: roundHairCoord(point.x + 3),
+                y2: roundHairCoord(point.y + 4 * slant),
+                stroke: markColor,
                 'stroke-width': '2',            // Thin line
                 opacity: '0.7'                  // Semi-transparent for subtle effect
             });
             hairGroup.appendChild(texture);
         }
-    }
+
+        hairGroup.appendChild(createScalpRowShine(row, state, rowColor));
+    });
+
+    renderFrizzHalo(hairGroup, state, { cx: 200, cy: SCALP_CENTER_Y, rx: SCALP_RX, ry: SCALP_RY });
+}
+
+/**
+ * Renders the cornrow tails - one braid per row, hanging behind the body
+ *
+ * @param {SVGElement} hairGroup - The hair-back layer group
+ * @param {Object} state - Character state
+ */
+function renderCornrowTails(hairGroup, state) {
+    const tones = getStrandTones(state, { underneath: true });
+    const markColor = darkenColor(getStrandColorAt(tones, 0.5), 20);
+
+    getNapeTails(state, 8).forEach(tail => {
+        hairGroup.appendChild(createSVGElement('path', {
+            d: `M ${tail.startX} ${NAPE_Y} L ${tail.endX} ${tail.endY}`,
+            stroke: getStrandPaint(hairGroup, state, { name: 'cornrowTailGradient', startY: NAPE_Y, endY: tail.endY }),
+            'stroke-width': '10',
+            fill: 'none',
+            'stroke-linecap': 'round'
+        }));
+
+        // Braid texture every 20px
+        const marks = Math.floor((tail.endY - NAPE_Y) / 20);
+        for (let j = 1; j <= marks; j++) {
+            const t = j / (marks + 1);
+            const x = tail.startX + (tail.endX - tail.startX) * t;
+            const y = NAPE_Y + (tail.endY - NAPE_Y) * t;
+            hairGroup.appendChild(createSVGElement('line', {
+                x1: roundHairCoord(x - 3),
+                y1: roundHairCoord(y - 3),
+                x2: roundHairCoord(x + 3),
+                y2: roundHairCoord(y + 3),
+                stroke: markColor,
+                'stroke-width': '2',
+                opacity: '0.7'
+            }));
+        }
+    });
 }
 
 /**
@@ -554,9 +1325,11 @@ function renderCornrows(hairGroup, state) {
  *
  * How it works:
  * 1. Creates 16 individual twists hanging down
- * 2. Each twist is a wavy path with alternating curves
+ * 2. Each twist is a wavy path with alternating curves (createWavyStrandPath)
  * 3. Curves switch left/right to simulate twisted rope texture
  * 4. Top ellipse covers scalp area
+ * 5. The outer twists frame the face; the rest hang behind the head and
+ *    shoulders in the hair-back layer (renderTwoStrandTwistsBack)
  *
  * SVG path curves:
  * - Q creates quadratic curves (1 control point)
@@ -567,26 +1340,12 @@ function renderCornrows(hairGroup, state) {
  * @param {Object} state - Character state
  */
 function renderTwoStrandTwists(hairGroup, state) {
-    const twistCount = 16;      // Number of individual twists
-    const twistWidth = 6;       // Width of each twist strand
-
-    // Create each individual twist
-    for (let i = 0; i < twistCount; i++) {
-        // Space twists across head (x: 80 to 305)
-        const x = 80 + (i * 15);
-
-        // Create wavy path for twist using quadratic curves
-        // Pattern: start -> curve left -> back to center -> curve right -> center -> end
-        // This creates the rope-like twisted appearance
-        const twist = createSVGElement('path', {
-            d: `M ${x} 190 Q ${x - 5} 250 ${x} 310 Q ${x + 5} 370 ${x} 430`,
-            stroke: state.hair.color,
-            'stroke-width': twistWidth,
-            fill: 'none',
-            'stroke-linecap': 'round'
-        });
-        hairGroup.appendChild(twist);
-    }
+    getTwistPositions().forEach((x, i, twists) => {
+        const placement = getStrandPlacement(i, twists.length);
+        if (placement.framing) {
+            appendTwist(hairGroup, x, state, placement);
+        }
+    });
 
     // Add top coverage for scalp where twists originate
     const top = createSVGElement('ellipse', {
@@ -594,24 +1353,79 @@ function renderTwoStrandTwists(hairGroup, state) {
         cy: '190',      // At twist origins
         rx: '95',       // Cover all twist starting points
         ry: '55',       // Moderate height
-        fill: state.hair.color
+        fill: getHairColor(state)
     });
     hairGroup.appendChild(top);
+
+    renderFrizzHalo(hairGroup, state, { cx: 200, cy: 190, rx: 95, ry: 55 });
+}
+
+/**
+ * Renders the back of two-strand twists - every twist, drawn behind the body
+ *
+ * @param {SVGElement} hairGroup - The hair-back layer group
+ * @param {Object} state - Character state
+ */
+function renderTwoStrandTwistsBack(hairGroup, state) {
+    getTwistPositions().forEach((x, i, twists) => appendTwist(hairGroup, x, state, getStrandPlacement(i, twists.length)));
+}
+
+/**
+ * Horizontal positions of the twists - shared by the front and back layers
+ * @returns {Array} x for each twist, left to right (x: 80 to 305)
+ */
+function getTwistPositions() {
+    const twistCount = 16;      // Number of individual twists
+    const positions = [];
+    for (let i = 0; i < twistCount; i++) {
+        positions.push(80 + (i * 15));
+    }
+    return positions;
+}
+
+/**
+ * Draws the rope-like path for one twist
+ * Twists shrink a little, so they end just above the full hair length
+ * With colored extension hair, one of the two strands is the extension -
+ * it swings the other way, crossing the hair strand all the way down
+ *
+ * @param {Object} placement - Where the twist falls (see getStrandPlacement)
+ */
+function appendTwist(hairGroup, x, state, placement) {
+    const twistWidth = 6;       // Width of each twist strand
+    const startY = 190;
+    const endY = getStrandEnd(state, startY, 0.15);
+
+    hairGroup.appendChild(createSVGElement('path', {
+        d: createWavyStrandPath(x, startY, endY, -5, 120),
+        stroke: getStrandPaint(hairGroup, state, { name: 'twistGradient', startY: startY, endY: endY, ...placement }),
+        'stroke-width': twistWidth,
+        fill: 'none',
+        'stroke-linecap': 'round'
+    }));
+
+    const extension = getExtensionColor(state);
+    if (extension) {
+        hairGroup.appendChild(createSVGElement('path', {
+            d: createWavyStrandPath(x, startY, endY, 5, 120),
+            stroke: extension,
+            'stroke-width': twistWidth / 2,
+            fill: 'none',
+            'stroke-linecap': 'round'
+        }));
+    }
 }
 
 /**
  * Renders flat twists - twists close to the scalp
  *
  * How it works:
- * 1. Creates 6 thick curved paths
- * 2. Curves follow scalp contour
- * 3. Wider strokes (15px) show twists lying flat
- * 4. Cubic bezier curves (C) for smooth, natural curves
- *
- * SVG path C command:
- * - C x1 y1, x2 y2, x y
- * - Two control points for smooth S-curves
- * - Creates flowing, natural scalp-hugging shape
+ * 1. Creates 6 thick rows from the hairline back over the crown (getScalpRows)
+ * 2. Wider strokes (15px) show twists lying flat
+ * 3. Slanted grooves along each row show the twist
+ * 4. Bare scalp shows between the rows
+ * 5. Longer hair ends in loose twists hanging from the nape, behind the
+ *    head and shoulders in the hair-back layer (renderFlatTwistTails)
  *
  * @param {SVGElement} hairGroup - SVG group to append to
  * @param {Object} state - Character state
@@ -619,32 +1433,63 @@ function renderTwoStrandTwists(hairGroup, state) {
 function renderFlatTwists(hairGroup, state) {
     const twistCount = 6;       // Fewer, thicker twists
 
+    hairGroup.appendChild(createScalpBase(state));
+
     // Create each flat twist
-    for (let i = 0; i < twistCount; i++) {
-        // Space across head (x: 120 to 270)
-        const x = 120 + (i * 30);
+    getScalpRows(twistCount).forEach((row, i) => {
+        const rowColor = getScalpRowColor(state, i, twistCount);
+        const grooveColor = darkenColor(rowColor, 20);
 
-        // Create curved path using cubic bezier for smooth curves
-        // C command provides two control points for natural S-curve
         const twist = createSVGElement('path', {
-            d: `M ${x} 180 C ${x - 10} 220, ${x + 10} 260, ${x} 300`,
-            stroke: state.hair.color,
+            d: `M ${row.start.x} ${row.start.y} Q ${row.control.x} ${row.control.y} ${row.end.x} ${row.end.y}`,
+            stroke: rowColor,
             'stroke-width': '15',               // Thick stroke for flat-lying twist
             fill: 'none',
             'stroke-linecap': 'round'
         });
         hairGroup.appendChild(twist);
-    }
 
-    // Add scalp base coverage
-    const scalp = createSVGElement('ellipse', {
-        cx: '200',      // Centered
-        cy: '185',      // Just above twist starts
-        rx: '95',       // Cover twist origins
-        ry: '50',       // Flatter than other styles
-        fill: state.hair.color
+        // Grooves all slant the same way, like a twisted rope
+        const grooves = 5;
+        for (let j = 0; j < grooves; j++) {
+            const point = pointOnScalpRow(row, (j + 0.5) / grooves);
+            hairGroup.appendChild(createSVGElement('line', {
+                x1: roundHairCoord(point.x - 5),
+                y1: roundHairCoord(point.y + 3),
+                x2: roundHairCoord(point.x + 5),
+                y2: roundHairCoord(point.y - 3),
+                stroke: grooveColor,
+                'stroke-width': '2',
+                'stroke-linecap': 'round',
+                opacity: '0.7'
+            }));
+        }
+
+        hairGroup.appendChild(createScalpRowShine(row, state, rowColor));
+    });
+
+    renderFrizzHalo(hairGroup, state, { cx: 200, cy: SCALP_CENTER_Y, rx: SCALP_RX, ry: SCALP_RY });
+}
+
+/**
+ * Renders the flat twist tails - loose twists hanging behind the body
+ *
+ * @param {SVGElement} hairGroup - The hair-back layer group
+ * @param {Object} state - Character state
+ */
+function renderFlatTwistTails(hairGroup, state) {
+    getNapeTails(state, 6).forEach(tail => {
+        // A hanging twist, turned at the nape so it fans out like the other tails
+        const angle = -Math.atan2(tail.endX - tail.startX, tail.endY - NAPE_Y) * 180 / Math.PI;
+        hairGroup.appendChild(createSVGElement('path', {
+            d: createWavyStrandPath(tail.startX, NAPE_Y, tail.endY, 4, 40),
+            stroke: getStrandPaint(hairGroup, state, { name: 'flatTwistTailGradient', startY: NAPE_Y, endY: tail.endY }),
+            'stroke-width': '10',
+            fill: 'none',
+            'stroke-linecap': 'round',
+            transform: `rotate(${roundHairCoord(angle)} ${tail.startX} ${NAPE_Y})`
+        }));
     });
-    hairGroup.appendChild(scalp);
 }
 
 /**
@@ -652,23 +1497,63 @@ function renderFlatTwists(hairGroup, state) {
  *
  * How it works:
  * 1. Creates 20 individual locs hanging down
- * 2. Each loc is a thick wavy path
+ * 2. Each loc is a thick wavy path, as long as the hair length allows
  * 3. Waviness varies by index to create natural variation
  * 4. Some locs curve left, some right, some straighter
+ * 5. The outer locs frame the face; the rest hang behind the head and
+ *    shoulders in the hair-back layer (renderLocsBack)
  *
  * SVG positioning:
  * - Locs spaced 13px apart horizontally
- * - Long vertical paths (190 to 550)
+ * - Vertical paths from 190 down to the hair length's reach
  * - Waviness based on modulo 3 pattern: left, straight, right
  *
  * @param {SVGElement} hairGroup - SVG group to append to
  * @param {Object} state - Character state
  */
 function renderLocs(hairGroup, state) {
+    // Only the outermost locs fall in front, framing the face
+    // The rest hang behind the head and shoulders (see renderLocsBack)
+    getLocPositions().forEach((loc, i, locs) => {
+        const placement = getStrandPlacement(i, locs.length);
+        if (placement.framing) {
+            appendLoc(hairGroup, loc, state, placement);
+        }
+    });
+
+    // Add top scalp coverage where locs originate
+    const top = createSVGElement('ellipse', {
+        cx: '200',      // Centered
+        cy: '190',      // At loc origins
+        rx: '100',      // Cover all loc starting points
+        ry: '50',       // Moderate height
+        fill: getHairColor(state)
+    });
+    hairGroup.appendChild(top);
+
+    renderFrizzHalo(hairGroup, state, { cx: 200, cy: 190, rx: 100, ry: 50 });
+}
+
+/**
+ * Renders the back of locs - every loc at full length, drawn behind the body
+ * so the locs hang behind the shoulders instead of covering the face
+ *
+ * @param {SVGElement} hairGroup - The hair-back layer group
+ * @param {Object} state - Character state with hair.color
+ */
+function renderLocsBack(hairGroup, state) {
+    getLocPositions().forEach((loc, i, locs) => appendLoc(hairGroup, loc, state, getStrandPlacement(i, locs.length)));
+}
+
+/**
+ * Positions of the locs - shared by the front and back layers so they line up
+ * @returns {Array} { x, waviness, extension } for each loc, left to right -
+ *   extension marks every third loc, which is extension hair when there is some
+ */
+function getLocPositions() {
     const locCount = 20;        // Number of individual locs
-    const locWidth = 8;         // Width of each loc
+    const positions = [];
 
-    // Create each individual loc
     for (let i = 0; i < locCount; i++) {
         // Space locs across head (x: 70 to 317)
         const x = 70 + (i * 13);
@@ -679,26 +1564,30 @@ function renderLocs(hairGroup, state) {
         // i%3 = 2: waviness 1 (curves right)
         const waviness = (i % 3) - 1;
 
-        // Create wavy path for loc using quadratic curves
-        // Waviness * 8 creates the horizontal offset
-        // Pattern alternates curve direction for natural loc movement
-        const loc = createSVGElement('path', {
-            d: `M ${x} 190 Q ${x + (waviness * 8)} 280 ${x} 370 Q ${x - (waviness * 8)} 460 ${x} 550`,
-            stroke: state.hair.color,
-            'stroke-width': locWidth,
-            fill: 'none',
-            'stroke-linecap': 'round'
-        });
-        hairGroup.appendChild(loc);
+        positions.push({ x: x, waviness: waviness, extension: i % 3 === 1 });
     }
+    return positions;
+}
 
-    // Add top scalp coverage where locs originate
-    const top = createSVGElement('ellipse', {
-        cx: '200',      // Centered
-        cy: '190',      // At loc origins
-        rx: '100',      // Cover all loc starting points
-        ry: '50',       // Moderate height
-        fill: state.hair.color
-    });
-    hairGroup.appendChild(top);
+/**
+ * Draws the wavy path for one loc using quadratic curves
+ * Waviness * 8 creates the horizontal offset
+ * Pattern alternates curve direction for natural loc movement
+ * Colored extension locs are mixed in between the others (see getLocPositions)
+ *
+ * @param {Object} placement - Where the loc falls (see getStrandPlacement)
+ */
+function appendLoc(hairGroup, { x, waviness, extension }, state, placement) {
+    const locWidth = 8;         // Width of each loc
+    const startY = 190;
+    const endY = getStrandEnd(state, startY);
+    const extensionColor = extension ? getExtensionColor(state) : null;
+
+    hairGroup.appendChild(createSVGElement('path', {
+        d: createWavyStrandPath(x, startY, endY, waviness * 8, 180),
+        stroke: extensionColor || getStrandPaint(hairGroup, state, { name: 'locGradient', startY: startY, endY: endY, ...placement }),
+        'stroke-width': locWidth,
+        fill: 'none',
+        'stroke-linecap': 'round'
+    }));
 }
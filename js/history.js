@@ -0,0 +1,206 @@
+/* ====================================
+   UNDO / REDO HISTORY
+   ====================================
+
+   Keeps a bounded history of character changes so mis-clicks can be taken back.
+
+   HOW IT WORKS:
+   - Before updateState() changes anything under 'character', it calls
+     recordHistory(), which pushes a copy of the whole character onto the undo stack
+   - Undo pops that copy and puts the current character on the redo stack
+   - Any new change clears the redo stack (the "future" no longer exists)
+
+   GROUPING:
+   Several related changes can be merged into one undo step by wrapping them in
+   beginHistoryGroup() / endHistoryGroup(). Only the first change inside a group
+   records a snapshot, so one undo goes back to before the whole group.
+   The interactive styling session in hair-styling.js uses this.
+*/
+
+/* Maximum number of undo steps kept - oldest steps are dropped first */
+const HISTORY_LIMIT = 50;
+
+/* Snapshots of earlier characters - last item is the most recent */
+let undoStack = [];
+
+/* Snapshots of characters that were undone - last item is the next redo */
+let redoStack = [];
+
+/* The currently open group, or null
+   depth allows groups to be nested - only the outermost end closes it */
+let openHistoryGroup = null;
+
+/* ====================================
+   RECORDING
+   ====================================
+
+   Called by updateState() in state.js before a character property changes.
+
+   @param {string} label - What is changing (e.g. 'character.hair.color')
+*/
+function recordHistory(label) {
+    // Inside a group, only the first change takes a snapshot
+    if (openHistoryGroup) {
+        if (openHistoryGroup.recorded) return;
+        openHistoryGroup.recorded = true;
+        label = openHistoryGroup.label;
+    }
+
+    undoStack.push({ label: label, character: cloneCharacter(gameState.character) });
+
+    // Keep the history bounded so long sessions don't use unlimited memory
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+
+    // A new change makes the old redo steps meaningless
+    redoStack = [];
+
+    updateHistoryButtons();
+}
+
+/* The undo/redo stacks as they are now - batch() in state.js takes one before
+   running its updates and puts it back with restoreHistoryCheckpoint() if they fail */
+function createHistoryCheckpoint() {
+    return {
+        undoStack: undoStack.slice(),
+        redoStack: redoStack.slice(),
+        recorded: openHistoryGroup ? openHistoryGroup.recorded : false
+    };
+}
+
+function restoreHistoryCheckpoint(checkpoint) {
+    undoStack = checkpoint.undoStack;
+    redoStack = checkpoint.redoStack;
+    if (openHistoryGroup) openHistoryGroup.recorded = checkpoint.recorded;
+    updateHistoryButtons();
+}
+
+/* Start grouping changes into a single undo step
+   @param {string} label - Describes the whole group (e.g. 'Box Braids') */
+function beginHistoryGroup(label) {
+    if (openHistoryGroup) {
+        openHistoryGroup.depth++;
+        return;
+    }
+    openHistoryGroup = { label: label, depth: 1, recorded: false };
+}
+
+/* Finish the current group - safe to call when no group is open */
+function endHistoryGroup() {
+    if (!openHistoryGroup) return;
+
+    openHistoryGroup.depth--;
+    if (openHistoryGroup.depth <= 0) {
+        openHistoryGroup = null;
+    }
+}
+
+/* ====================================
+   UNDO AND REDO
+   ==================================== */
+
+/* Go back one step. Returns true if something was undone. */
+function undo() {
+    if (undoStack.length === 0) return false;
+
+    // Undoing ends any half-finished group so later changes aren't merged into it
+    openHistoryGroup = null;
+
+    const entry = undoStack.pop();
+    redoStack.push({ label: entry.label, character: cloneCharacter(gameState.character) });
+    restoreCharacterSnapshot(entry.character);
+    return true;
+}
+
+/* Re-apply the last undone step. Returns true if something was redone. */
+function redo() {
+    if (redoStack.length === 0) return false;
+
+    openHistoryGroup = null;
+
+    const entry = redoStack.pop();
+    undoStack.push({ label: entry.label, character: cloneCharacter(gameState.character) });
+    restoreCharacterSnapshot(entry.character);
+    return true;
+}
+
+function canUndo() {
+    return undoStack.length > 0;
+}
+
+function canRedo() {
+    return redoStack.length > 0;
+}
+
+/* Put a saved snapshot back as the live character.
+   history: false stops updateState from recording the restore as a new step.
+   Subscribers (autosave, tool panels) and the renderer react as for any change. */
+function restoreCharacterSnapshot(character) {
+    updateState('character', cloneCharacter(character), { history: false });
+    updateHistoryButtons();
+}
+
+/* Apply a change that isn't an undo step (like the hair drying out over time)
+   to every saved snapshot as well, so undo and redo don't reverse it */
+function applyToHistorySnapshots(change) {
+    undoStack.concat(redoStack).forEach(entry => change(entry.character));
+}
+
+/* Deep copy of a character - characters only hold plain data, so JSON is enough */
+function cloneCharacter(character) {
+    return JSON.parse(JSON.stringify(character));
+}
+
+/* ====================================
+   UI: BUTTONS AND SHORTCUTS
+   ====================================
+
+   Called from app.js once the DOM is ready.
+   Wires up the header undo/redo buttons and Ctrl+Z / Ctrl+Shift+Z.
+*/
+function initializeHistoryControls() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) undoBtn.addEventListener('click', undo);
+    if (redoBtn) redoBtn.addEventListener('click', redo);
+
+    document.addEventListener('keydown', e => {
+        // Ctrl on Windows/Linux, Cmd on Mac
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        // Let text fields keep their own undo behaviour
+        // (sliders and checkboxes keep focus after a change, so they aren't skipped)
+        if (isTextEntryField(e.target)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            // Ctrl+Shift+Z, plus Ctrl+Y which Windows users expect
+            e.preventDefault();
+            redo();
+        }
+    });
+
+    updateHistoryButtons();
+}
+
+/* Input types the user types text into - each has its own undo */
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password', 'number'];
+
+/* True for elements where Ctrl+Z should undo typing instead of the character */
+function isTextEntryField(element) {
+    if (!element) return false;
+    if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+    return element.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes((element.type || 'text').toLowerCase());
+}
+
+/* Enable/disable the header buttons to match what can be undone or redone */
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) undoBtn.disabled = !canUndo();
+    if (redoBtn) redoBtn.disabled = !canRedo();
+}
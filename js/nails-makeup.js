@@ -67,22 +67,20 @@ function loadNails(container) {
         btn.style.backgroundColor = nail.color;
         btn.title = nail.name;
 
-        // On click: update nail color in state and refresh UI
+        // On click: update nail color in state
         // This triggers character re-render with new nail color
-        btn.onclick = () => {
-            updateState('character.nails.color', nail.color);
-            loadNails(container); // Reload to show active state
-        };
-
-        // Highlight currently selected color with active ring
-        if (nail.color === gameState.character.nails.color) {
-            btn.classList.add('active');
-        }
+        btn.dataset.value = nail.color;
+        btn.onclick = () => updateState('character.nails.color', nail.color);
 
         grid.appendChild(btn);
     });
 
+    // Highlight currently selected color with active ring, and follow changes
+    bindActiveButtons(grid, 'character.nails.color');
+
     section.appendChild(grid);
+    // Mix your own polish (createColorPicker is defined in color-picker.js)
+    section.appendChild(createColorPicker({ path: 'character.nails.color', label: 'polish' }));
     container.appendChild(section);
 }
 
@@ -122,20 +120,22 @@ function loadMakeup(container) {
 
         // Update lipstick color in state
         // Character renderer checks this to modify mouth color and stroke width
-        btn.onclick = () => {
-            updateState('character.makeup.lipstick', lip.color);
-            loadMakeup(container);
-        };
-
-        // Mark active selection
-        if (lip.color === gameState.character.makeup.lipstick) {
-            btn.classList.add('active');
-        }
+        btn.dataset.value = lip.color;
+        btn.onclick = () => updateState('character.makeup.lipstick', lip.color);
 
         lipGrid.appendChild(btn);
     });
 
+    // Mark active selection
+    bindActiveButtons(lipGrid, 'character.makeup.lipstick');
+
     lipSection.appendChild(lipGrid);
+    // While no lipstick is on, the picker starts from the first one in the palette
+    lipSection.appendChild(createColorPicker({
+        path: 'character.makeup.lipstick',
+        label: 'lipstick',
+        fallback: () => lipstickColors.find(lip => lip.color !== 'none').color
+    }));
     container.appendChild(lipSection);
 
     // EYESHADOW SECTION
@@ -162,19 +162,20 @@ function loadMakeup(container) {
 
         // Update eyeshadow color in state
         // Character renderer adds semi-transparent ellipses above eyes when set
-        btn.onclick = () => {
-            updateState('character.makeup.eyeshadow', shadow.color);
-            loadMakeup(container);
-        };
-
-        // Highlight current selection
-        if (shadow.color === gameState.character.makeup.eyeshadow) {
-            btn.classList.add('active');
-        }
+        btn.dataset.value = shadow.color;
+        btn.onclick = () => updateState('character.makeup.eyeshadow', shadow.color);
 
         shadowGrid.appendChild(btn);
     });
 
+    // Highlight current selection
+    bindActiveButtons(shadowGrid, 'character.makeup.eyeshadow');
+
     shadowSection.appendChild(shadowGrid);
+    shadowSection.appendChild(createColorPicker({
+        path: 'character.makeup.eyeshadow',
+        label: 'eyeshadow',
+        fallback: () => eyeshadowColors.find(shadow => shadow.color !== 'none').color
+    }));
     container.appendChild(shadowSection);
 }
@@ -0,0 +1,217 @@
+/* ====================================
+   PNG METADATA
+   ====================================
+
+   Hides the character inside the PNGs made by saveCharacter(), so a shared
+   picture can be imported back into the game and styled some more.
+
+   HOW PNG FILES WORK:
+   - An 8 byte signature, then a list of chunks
+   - Each chunk is: length (4 bytes) + type (4 letters) + data + CRC (4 bytes)
+   - The last chunk is always IEND
+   - Image viewers skip chunk types they don't need, so extra text chunks
+     don't change how the picture looks
+
+   We add an iTXt (international text) chunk just before IEND.
+   Its keyword is PNG_METADATA_KEYWORD and its text is the same JSON as a
+   .hairxyou.json export (see character-io.js).
+*/
+
+/* Keyword of our text chunk - other text chunks (e.g. from editors) are ignored */
+const PNG_METADATA_KEYWORD = 'hairxyou';
+
+/* Every PNG file starts with these 8 bytes */
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+/* Lookup table for the CRC-32 checksum every chunk ends with (built on first use) */
+let crcTable = null;
+
+/* ====================================
+   HAIRXYOU HELPERS
+   ==================================== */
+
+/* Adds the character to a PNG blob from canvas.toBlob()
+   @param {Blob} pngBlob - The plain PNG
+   @param {object} character - Character to embed (usually gameState.character)
+   @returns {Promise<Blob>} A PNG blob with the character inside */
+function embedCharacterInPng(pngBlob, character) {
+    const text = JSON.stringify(createCharacterFileData(character));
+    return pngBlob.arrayBuffer().then(buffer =>
+        new Blob([addPngTextChunk(buffer, PNG_METADATA_KEYWORD, text)], { type: 'image/png' })
+    );
+}
+
+/* Reads the embedded character JSON back out of a PNG File
+   @returns {Promise<string>} The JSON text - rejects with a user-facing message
+   when the picture wasn't saved from HairXYou */
+function extractCharacterFromPng(file) {
+    return file.arrayBuffer().then(buffer => {
+        const text = readPngTextChunk(buffer, PNG_METADATA_KEYWORD);
+        if (text === null) {
+            throw new Error("This picture doesn't have a character inside. Only pictures saved with \"Save My Character\" can be imported.");
+        }
+        return text;
+    });
+}
+
+/* True for files that should be read as PNGs */
+function isPngFile(file) {
+    return file.type === 'image/png' || /\.png$/i.test(file.name || '');
+}
+
+/* ====================================
+   CHUNK WRITING
+   ====================================
+
+   @param {ArrayBuffer} buffer - A complete PNG file
+   @param {string} keyword - Chunk keyword (1-79 Latin-1 characters)
+   @param {string} text - Text to store (any Unicode, stored as UTF-8)
+   @returns {Uint8Array} A new PNG file with the text chunk before IEND
+*/
+function addPngTextChunk(buffer, keyword, text) {
+    const bytes = new Uint8Array(buffer);
+    const iendOffset = findPngChunk(bytes, 'IEND');
+    if (iendOffset === -1) {
+        throw new Error('PNG has no IEND chunk');
+    }
+
+    // iTXt data: keyword, null, compression flag + method (0 = uncompressed),
+    // empty language tag + null, empty translated keyword + null, then the text
+    const encoder = new TextEncoder();
+    const data = concatBytes([
+        encoder.encode(keyword), [0, 0, 0, 0, 0],
+        encoder.encode(text)
+    ]);
+    const chunk = createPngChunk('iTXt', data);
+
+    return concatBytes([bytes.subarray(0, iendOffset), chunk, bytes.subarray(iendOffset)]);
+}
+
+/* Builds a chunk: length + type + data + CRC of (type + data) */
+function createPngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+    return chunk;
+}
+
+/* ====================================
+   CHUNK READING
+   ====================================
+
+   @param {ArrayBuffer} buffer - A complete PNG file
+   @param {string} keyword - Keyword to look for
+   @returns {string|null} The text of the first tEXt or iTXt chunk with that
+   keyword, or null if there isn't one
+   @throws {Error} If the data isn't a PNG at all
+*/
+function readPngTextChunk(buffer, keyword) {
+    const bytes = new Uint8Array(buffer);
+    if (!hasPngSignature(bytes)) {
+        throw new Error("That file isn't a PNG picture.");
+    }
+
+    const latin1 = new TextDecoder('latin1');
+    const utf8 = new TextDecoder('utf-8');
+    let found = null;
+
+    forEachPngChunk(bytes, (type, data) => {
+        if (type !== 'tEXt' && type !== 'iTXt') return false;
+
+        const keywordEnd = data.indexOf(0);
+        if (keywordEnd === -1 || latin1.decode(data.subarray(0, keywordEnd)) !== keyword) return false;
+
+        if (type === 'tEXt') {
+            // tEXt: keyword, null, Latin-1 text
+            found = latin1.decode(data.subarray(keywordEnd + 1));
+            return true;
+        }
+
+        // iTXt: keyword, null, compression flag, method, language\0, translated keyword\0, text
+        // We only write uncompressed text, so compressed chunks aren't ours
+        if (data[keywordEnd + 1] !== 0) return false;
+        const languageEnd = data.indexOf(0, keywordEnd + 3);
+        const translatedEnd = languageEnd === -1 ? -1 : data.indexOf(0, languageEnd + 1);
+        if (translatedEnd === -1) return false;
+
+        found = utf8.decode(data.subarray(translatedEnd + 1));
+        return true;
+    });
+
+    return found;
+}
+
+/* Byte offset of the first chunk of the given type, or -1 */
+function findPngChunk(bytes, wantedType) {
+    let offset = -1;
+    forEachPngChunk(bytes, (type, data, chunkOffset) => {
+        if (type !== wantedType) return false;
+        offset = chunkOffset;
+        return true;
+    });
+    return offset;
+}
+
+/* Calls visit(type, data, offset) for each chunk until it returns true
+   Stops quietly at a truncated chunk - a damaged file just has fewer chunks */
+function forEachPngChunk(bytes, visit) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        if (offset + 12 + length > bytes.length) return;
+
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        if (visit(type, bytes.subarray(offset + 8, offset + 8 + length), offset)) return;
+
+        offset += 12 + length;
+    }
+}
+
+function hasPngSignature(bytes) {
+    return PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+}
+
+/* ====================================
+   BYTE HELPERS
+   ==================================== */
+
+/* Joins byte arrays (Uint8Arrays or plain arrays) into one Uint8Array */
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    for (let part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+/* Standard CRC-32 (the same one zip files use), as PNG requires */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
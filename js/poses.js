@@ -0,0 +1,258 @@
+// Poses Module
+// A simple skeleton for the arms and legs, plus a set of poses built on it
+// Arms, hands, sleeves, nails, legs, pant legs and shoes are all drawn from
+// these joints, so everything follows the selected pose together
+// The skeleton is fitted to the character's body type and height, so poses
+// work the same for every body
+
+/**
+ * Joint positions for the default standing pose (SVG viewBox coordinates)
+ * Matches the average chibi body: shoulders at the top corners of the torso,
+ * hips at the bottom of it (see getBodyGeometry in character-renderer.js)
+ *
+ * Left/right are the viewer's left and right
+ */
+const BASE_SKELETON = {
+    leftShoulder: { x: 140, y: 452 },
+    leftElbow: { x: 123, y: 491 },
+    leftWrist: { x: 112, y: 528 },
+
+    rightShoulder: { x: 260, y: 452 },
+    rightElbow: { x: 277, y: 491 },
+    rightWrist: { x: 288, y: 528 },
+
+    leftHip: { x: 180, y: 520 },
+    leftKnee: { x: 180, y: 570 },
+    leftAnkle: { x: 180, y: 620 },
+
+    rightHip: { x: 220, y: 520 },
+    rightKnee: { x: 220, y: 570 },
+    rightAnkle: { x: 220, y: 620 }
+};
+
+/**
+ * Available poses
+ * joints: only the joints that differ from BASE_SKELETON
+ * hands: hand shape per side - 'fist' (default), 'open' or 'peace'
+ */
+const poses = {
+    'standing': {
+        name: 'Standing',
+        icon: '🧍🏾‍♀️',
+        joints: {},
+        hands: {}
+    },
+    'wave': {
+        name: 'Wave',
+        icon: '👋🏾',
+        joints: {
+            rightElbow: { x: 318, y: 430 },
+            rightWrist: { x: 338, y: 385 }
+        },
+        hands: { right: 'open' }
+    },
+    'hands-on-hips': {
+        name: 'Hands on Hips',
+        icon: '💁🏾‍♀️',
+        joints: {
+            leftElbow: { x: 108, y: 482 },
+            leftWrist: { x: 150, y: 508 },
+            rightElbow: { x: 292, y: 482 },
+            rightWrist: { x: 250, y: 508 }
+        },
+        hands: {}
+    },
+    'peace-sign': {
+        name: 'Peace Sign',
+        icon: '✌🏾',
+        joints: {
+            rightElbow: { x: 302, y: 480 },
+            rightWrist: { x: 322, y: 428 }
+        },
+        hands: { right: 'peace' }
+    },
+    'jumping': {
+        name: 'Jumping',
+        icon: '🤸🏾‍♀️',
+        joints: {
+            leftElbow: { x: 105, y: 425 },
+            leftWrist: { x: 82, y: 385 },
+            rightElbow: { x: 295, y: 425 },
+            rightWrist: { x: 318, y: 385 },
+            // Knees bend out and the feet tuck up off the ground
+            leftKnee: { x: 160, y: 560 },
+            leftAnkle: { x: 172, y: 598 },
+            rightKnee: { x: 240, y: 560 },
+            rightAnkle: { x: 228, y: 598 }
+        },
+        hands: { left: 'open', right: 'open' }
+    }
+};
+
+/**
+ * Finger directions (degrees from the forearm direction) for each hand shape
+ * A fist has no separate fingers - the nails sit on the end of the hand
+ */
+const HAND_FINGERS = {
+    fist: [],
+    open: [-30, -10, 10, 30],
+    peace: [-10, 10]
+};
+
+/**
+ * Gets the joints and hand shapes for a character's pose, fitted to their body
+ * Unknown poses fall back to standing
+ *
+ * @param {Object} state - Character state with a pose property
+ * @returns {Object} {
+ *     joints: {...BASE_SKELETON with the pose applied},
+ *     hands: { left, right },
+ *     body: from getBodyGeometry() - limb widths and hand sizes for drawing
+ * }
+ */
+function getSkeleton(state) {
+    const pose = poses[state.pose] || poses['standing'];
+    const body = getBodyGeometry(state);
+    const joints = { ...BASE_SKELETON, ...pose.joints };
+
+    // Each limb moves to the body's shoulder or hip and stretches with its height
+    ['left', 'right'].forEach(side => {
+        fitLimb(joints, [`${side}Shoulder`, `${side}Elbow`, `${side}Wrist`], body.shoulders[side], body.arms);
+        fitLimb(joints, [`${side}Hip`, `${side}Knee`, `${side}Ankle`], body.hips[side], body.legs);
+    });
+
+    return {
+        joints: joints,
+        hands: { left: 'fist', right: 'fist', ...pose.hands },
+        body: body
+    };
+}
+
+/**
+ * Moves a limb so it starts at a new root joint, scaling its length
+ * The angles at each joint stay the same, so the pose still reads the same
+ *
+ * @param {Object} joints - Joint positions, updated in place
+ * @param {string[]} names - Joint names from the root outwards (e.g. shoulder, elbow, wrist)
+ * @param {Object} root - Where the first joint goes {x, y}
+ * @param {number} scale - Limb length compared to average
+ */
+function fitLimb(joints, names, root, scale) {
+    const base = joints[names[0]];
+    names.forEach(name => {
+        const joint = joints[name];
+        joints[name] = {
+            x: root.x + (joint.x - base.x) * scale,
+            y: root.y + (joint.y - base.y) * scale
+        };
+    });
+}
+
+/**
+ * Builds an SVG path through three joints (e.g. shoulder, elbow, wrist)
+ * Drawn as two straight segments - with a round line join the bend looks like
+ * a soft chibi elbow or knee, and it never overshoots the way a curve can
+ *
+ * @param {Object} start - First joint {x, y}
+ * @param {Object} middle - Joint the limb bends at
+ * @param {Object} end - Last joint
+ * @returns {string} Path data for the 'd' attribute
+ */
+function limbPath(start, middle, end) {
+    return `M ${start.x} ${start.y} L ${middle.x} ${middle.y} L ${end.x} ${end.y}`;
+}
+
+/**
+ * Point part of the way from one joint to the next (0 = from, 1 = to)
+ * Used for short sleeves that stop partway down the arm
+ */
+function pointBetween(from, to, amount) {
+    return {
+        x: from.x + (to.x - from.x) * amount,
+        y: from.y + (to.y - from.y) * amount
+    };
+}
+
+/**
+ * Works out where a hand, its fingers and its nails go
+ * The hand continues in the direction of the forearm (elbow to wrist)
+ *
+ * @param {Object} skeleton - From getSkeleton()
+ * @param {string} side - 'left' or 'right'
+ * @returns {Object} {
+ *     center: {x, y}, rotation (degrees for an upright ellipse), scale (hand size),
+ *     fingers: [{ center, rotation }], nails: [{ center, rotation, size }]
+ * }
+ */
+function getHandGeometry(skeleton, side) {
+    const elbow = skeleton.joints[`${side}Elbow`];
+    const wrist = skeleton.joints[`${side}Wrist`];
+
+    // Unit vector along the forearm
+    const length = Math.hypot(wrist.x - elbow.x, wrist.y - elbow.y) || 1;
+    const dirX = (wrist.x - elbow.x) / length;
+    const dirY = (wrist.y - elbow.y) / length;
+    const angle = Math.atan2(dirY, dirX) * 180 / Math.PI;
+
+    // Bigger hands reach further from the wrist (see bodyTypes)
+    const scale = skeleton.body.handSize;
+
+    // Ellipses are drawn upright, so rotate by the forearm angle minus straight down (90°)
+    const center = { x: wrist.x + dirX * 12 * scale, y: wrist.y + dirY * 12 * scale };
+    const along = (distance, offsetDegrees = 0) => {
+        distance *= scale;
+        const radians = (angle + offsetDegrees) * Math.PI / 180;
+        return { x: center.x + Math.cos(radians) * distance, y: center.y + Math.sin(radians) * distance };
+    };
+
+    const fingerAngles = HAND_FINGERS[skeleton.hands[side]] || HAND_FINGERS.fist;
+    const fingers = fingerAngles.map(offset => ({
+        center: along(30, offset),
+        rotation: angle + offset - 90
+    }));
+
+    // A fist shows one wide nail area at the bottom of the hand, like the original design
+    const nails = fingers.length === 0
+        ? [{ center: along(17), rotation: angle - 90, size: 'fist' }]
+        : fingerAngles.map(offset => ({ center: along(36, offset), rotation: angle + offset - 90, size: 'finger' }));
+
+    return { center: center, rotation: angle - 90, scale: scale, fingers: fingers, nails: nails };
+}
+
+/**
+ * Load the poses interface into the tool panel
+ * A grid of pose buttons - clicking one updates the character's pose
+ *
+ * @param {HTMLElement} container - The tool panel content element
+ */
+function loadPoses(container) {
+    container.innerHTML = '';
+
+    // Activity header
+    const intro = document.createElement('div');
+    intro.className = 'activity-intro';
+    intro.innerHTML = `<h3>Poses</h3><p>Strike a pose!</p>`;
+    container.appendChild(intro);
+
+    const section = document.createElement('div');
+    section.className = 'customization-section';
+    section.innerHTML = '<h3>Choose a Pose</h3>';
+
+    const grid = document.createElement('div');
+    grid.className = 'option-grid';
+
+    for (let [id, pose] of Object.entries(poses)) {
+        const btn = document.createElement('button');
+        btn.className = 'option-btn';
+        btn.textContent = `${pose.icon} ${pose.name}`;
+        btn.dataset.value = id;
+        btn.onclick = () => updateState('character.pose', id);
+        grid.appendChild(btn);
+    }
+
+    // Highlight the current pose, and follow changes (including undo/redo)
+    bindActiveButtons(grid, 'character.pose');
+
+    section.appendChild(grid);
+    container.appendChild(section);
+}
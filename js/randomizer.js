@@ -0,0 +1,298 @@
+// "Surprise Me" Randomizer Module
+// Builds a random but coherent character from the game's catalogs
+// Every roll uses a seed (see seeded-random.js), so the same seed always gives
+// the same character - great for warm-up games and the "character of the day"
+
+// How many times to re-roll when a style rule isn't met before giving up
+const RANDOMIZER_MAX_ATTEMPTS = 50;
+
+// Parts of the character the randomizer changes
+// Each one can be locked to keep it as it is
+// paths: character properties the category controls (used to restore locked ones)
+// roll: sets random values for those properties
+const randomizerCategories = {
+    'skin-tone': {
+        name: 'Skin Tone',
+        icon: '🎨',
+        paths: ['appearance.skinTone'],
+        roll: (random, c) => {
+            c.appearance.skinTone = pickRandom(random, skinTones).color;
+        }
+    },
+    'hair-texture': {
+        name: 'Hair Texture',
+        icon: '🌀',
+        paths: ['hair.texture'],
+        roll: (random, c) => {
+            c.hair.texture = pickRandom(random, Object.keys(hairTextures));
+        }
+    },
+    'hair-color': {
+        name: 'Hair Color',
+        icon: '🖌️',
+        paths: ['hair.color', 'hair.coloring', 'hair.accentColor', 'hair.extensionColor'],
+        roll: (random, c) => {
+            c.hair.color = pickRandom(random, hairColors).color;
+            // Half the looks are one solid color, and half have no extensions
+            const colorings = Object.keys(hairColorings).filter(id => id !== 'solid');
+            c.hair.coloring = random() < 0.5 ? 'solid' : pickRandom(random, colorings);
+            c.hair.accentColor = pickRandom(random, hairColors).color;
+            const extensions = extensionColors.filter(ext => ext.color !== 'none');
+            c.hair.extensionColor = random() < 0.5 ? 'none' : pickRandom(random, extensions).color;
+        }
+    },
+    'hairstyle': {
+        name: 'Hairstyle',
+        icon: '💇🏾‍♀️',
+        paths: ['hair.style', 'hair.length'],
+        roll: (random, c) => {
+            c.hair.style = pickRandom(random, Object.keys(hairstyles));
+            c.hair.length = pickRandom(random, Object.keys(hairLengths));
+        }
+    },
+    'outfit': {
+        name: 'Outfit',
+        icon: '👗',
+        paths: ['outfit.top', 'outfit.bottom', 'outfit.shoes', 'outfit.topColor', 'outfit.bottomColor', 'outfit.shoesColor'],
+        roll: (random, c) => {
+            c.outfit.top = pickRandom(random, outfits.tops).id;
+            c.outfit.bottom = pickRandom(random, outfits.bottoms).id;
+            c.outfit.shoes = pickRandom(random, outfits.shoes).id;
+            // Rolled clothes come in their own colors
+            c.outfit.topColor = 'none';
+            c.outfit.bottomColor = 'none';
+            c.outfit.shoesColor = 'none';
+        }
+    },
+    'nails': {
+        name: 'Nails',
+        icon: '💅🏾',
+        paths: ['nails.color'],
+        roll: (random, c) => {
+            c.nails.color = pickRandom(random, nailColors).color;
+        }
+    },
+    'makeup': {
+        name: 'Makeup',
+        icon: '💄',
+        paths: ['makeup.lipstick', 'makeup.eyeshadow'],
+        roll: (random, c) => {
+            c.makeup.lipstick = pickRandom(random, lipstickColors).color;
+            c.makeup.eyeshadow = pickRandom(random, eyeshadowColors).color;
+        }
+    }
+};
+
+// Optional style rules - a rolled character must pass every active rule
+// check returns true when the character is allowed
+const randomizerRules = [
+    {
+        id: 'no-heels-with-shorts',
+        name: 'No heels with shorts',
+        defaultOn: true,
+        check: c => !(c.outfit.bottom.startsWith('shorts') && c.outfit.shoes.startsWith('heels'))
+    },
+    {
+        id: 'natural-hair-colors',
+        name: 'Natural hair colors only',
+        defaultOn: false,
+        check: c => {
+            const isNatural = color => ['Black', 'Dark Brown', 'Brown', 'Light Brown']
+                .some(name => hairColors.find(h => h.name === name).color === color);
+            // The second color counts too when it shows, and extensions are left out
+            return isNatural(c.hair.color)
+                && (c.hair.coloring === 'solid' || isNatural(c.hair.accentColor))
+                && c.hair.extensionColor === 'none';
+        }
+    },
+    {
+        id: 'subtle-makeup',
+        name: 'Lipstick or eyeshadow, not both',
+        defaultOn: false,
+        check: c => c.makeup.lipstick === 'none' || c.makeup.eyeshadow === 'none'
+    }
+];
+
+// Panel settings - kept while the page is open so switching activities doesn't reset them
+const randomizerLocks = new Set();
+const randomizerActiveRules = new Set(randomizerRules.filter(rule => rule.defaultOn).map(rule => rule.id));
+
+// GENERATE A RANDOM CHARACTER
+// Options:
+// - seed: any text or number - the same seed (with the same locks and base) gives the same character
+// - locks: category IDs from randomizerCategories to keep from base
+// - rules: rule IDs from randomizerRules to enforce
+// - base: character that locked and non-random properties come from
+// Returns a new character - it does not change the game state
+function generateRandomCharacter({
+    seed,
+    locks = [],
+    rules = randomizerRules.filter(rule => rule.defaultOn).map(rule => rule.id),
+    base = gameState.character
+} = {}) {
+    const random = createSeededRandom(seed);
+    const activeRules = randomizerRules.filter(rule => rules.includes(rule.id));
+
+    let character;
+    for (let attempt = 0; attempt < RANDOMIZER_MAX_ATTEMPTS; attempt++) {
+        character = cloneCharacter(base);
+
+        // Roll every category, even locked ones, so locking one part
+        // doesn't change what the seed gives for the others
+        Object.values(randomizerCategories).forEach(category => category.roll(random, character));
+
+        // Put locked parts back
+        locks.forEach(id => {
+            const category = randomizerCategories[id];
+            if (!category) return;
+            category.paths.forEach(path => writeCharacterPath(character, path, readCharacterPath(base, path)));
+        });
+
+        if (activeRules.every(rule => rule.check(character))) break;
+        // Otherwise keep rolling from the same generator - still the same result for this seed
+        // (if locked parts make a rule impossible, the last roll is used)
+    }
+
+    return character;
+}
+
+// Today's date as a seed, e.g. '2026-03-14' - in the player's own time zone
+function getDailySeed(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// A fresh seed for a "Surprise Me" click - short enough to read out to the class
+function createRandomSeed() {
+    return Math.random().toString(36).slice(2, 8);
+}
+
+// Roll a character for a seed and make it the current character
+// One undo step takes the whole surprise back
+function applyRandomCharacter(seed) {
+    const character = generateRandomCharacter({
+        seed: seed,
+        locks: Array.from(randomizerLocks),
+        rules: Array.from(randomizerActiveRules)
+    });
+    updateState('character', character);
+}
+
+// Everyone gets the same character of the day: it ignores locks and starts from the defaults
+function applyCharacterOfTheDay() {
+    updateState('character', generateRandomCharacter({ seed: getDailySeed(), base: createDefaultCharacter() }));
+}
+
+// SURPRISE ME UI LOADER
+// Big surprise button, seed field, locks and style rules
+function loadRandomizer(container) {
+    container.innerHTML = '';
+
+    // Activity header
+    const intro = document.createElement('div');
+    intro.className = 'activity-intro';
+    intro.innerHTML = `<h3>Surprise Me!</h3><p>Get a random look - lock the parts you want to keep!</p>`;
+    container.appendChild(intro);
+
+    // SURPRISE SECTION
+    const surpriseSection = document.createElement('div');
+    surpriseSection.className = 'customization-section';
+
+    const surpriseBtn = document.createElement('button');
+    surpriseBtn.className = 'option-btn surprise-btn';
+    surpriseBtn.textContent = '🎲 Surprise Me!';
+    surpriseSection.appendChild(surpriseBtn);
+
+    // Seed field - shows the seed of the last surprise so it can be shared,
+    // and typing a seed gives everyone with that seed the same character
+    const seedForm = document.createElement('form');
+    seedForm.className = 'randomizer-seed-form';
+
+    const seedInput = document.createElement('input');
+    seedInput.type = 'text';
+    seedInput.className = 'randomizer-seed-input';
+    seedInput.placeholder = 'Type a seed, e.g. monday-class';
+    seedInput.maxLength = 40;
+
+    const seedBtn = document.createElement('button');
+    seedBtn.type = 'submit';
+    seedBtn.className = 'option-btn';
+    seedBtn.textContent = '🌱 Use seed';
+
+    surpriseBtn.onclick = () => {
+        const seed = createRandomSeed();
+        seedInput.value = seed;
+        applyRandomCharacter(seed);
+    };
+
+    // Using a form means pressing Enter in the seed field also rolls
+    seedForm.onsubmit = e => {
+        e.preventDefault();
+        const seed = seedInput.value.trim();
+        if (!seed) {
+            surpriseBtn.onclick();
+            return;
+        }
+        applyRandomCharacter(seed);
+    };
+
+    seedForm.appendChild(seedInput);
+    seedForm.appendChild(seedBtn);
+    surpriseSection.appendChild(seedForm);
+    container.appendChild(surpriseSection);
+
+    // LOCKS SECTION
+    const lockSection = document.createElement('div');
+    lockSection.className = 'customization-section';
+    lockSection.innerHTML = '<h3>Keep My...</h3>';
+
+    for (let [id, category] of Object.entries(randomizerCategories)) {
+        lockSection.appendChild(createRandomizerToggle(`${category.icon} ${category.name}`, randomizerLocks, id));
+    }
+    container.appendChild(lockSection);
+
+    // RULES SECTION
+    const rulesSection = document.createElement('div');
+    rulesSection.className = 'customization-section';
+    rulesSection.innerHTML = '<h3>Style Rules</h3>';
+
+    randomizerRules.forEach(rule => {
+        rulesSection.appendChild(createRandomizerToggle(rule.name, randomizerActiveRules, rule.id));
+    });
+    container.appendChild(rulesSection);
+
+    // CHARACTER OF THE DAY SECTION
+    const dailySection = document.createElement('div');
+    dailySection.className = 'customization-section';
+    dailySection.innerHTML = '<h3>Character of the Day</h3>';
+
+    const dailyBtn = document.createElement('button');
+    dailyBtn.className = 'option-btn';
+    dailyBtn.textContent = `📅 Today's character (${getDailySeed()})`;
+    dailyBtn.title = 'The same for everyone today';
+    dailyBtn.onclick = applyCharacterOfTheDay;
+    dailySection.appendChild(dailyBtn);
+    container.appendChild(dailySection);
+}
+
+// Checkbox that adds/removes id in a settings Set
+function createRandomizerToggle(text, settings, id) {
+    const label = document.createElement('label');
+    label.className = 'randomizer-toggle';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = settings.has(id);
+    checkbox.onchange = () => {
+        if (checkbox.checked) {
+            settings.add(id);
+        } else {
+            settings.delete(id);
+        }
+    };
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(' ' + text));
+    return label;
+}
@@ -0,0 +1,428 @@
+// Scenes Module
+// Backgrounds drawn behind the character, each with optional props in front of her
+// The scene is part of the character (character.scene), so it's saved, shared and
+// exported along with everything else
+//
+// Scenes draw into two render layers (see registerRenderLayer in character-renderer.js):
+// - scene-background (z 0): behind everything
+// - scene-props (z 90): in front of the character - kept to the edges and the floor
+//   so they never cover her face
+
+// Canvas size - matches the #character viewBox
+const SCENE_WIDTH = 400;
+const SCENE_HEIGHT = 900;
+
+// Where the character stands - floors start here
+const SCENE_FLOOR_Y = 620;
+
+// Space kept between the stage's spotlight beams and the face
+const STAGE_BEAM_FACE_GAP = 10;
+
+// Export settings - not part of the character, kept while the page is open
+// transparent: save pictures without the scene (and without the white fill)
+const sceneExportSettings = { transparent: false };
+
+// Available scenes
+// background/props draw the scene into a layer; 'none' keeps the plain white card
+const scenes = {
+    'none': {
+        name: 'No Scene',
+        icon: '⬜',
+        background: () => {},
+        props: () => {}
+    },
+    'bedroom': {
+        name: 'Bedroom',
+        icon: '🛏️',
+        background: renderBedroomBackground,
+        props: renderBedroomProps
+    },
+    'salon': {
+        name: 'Salon',
+        icon: '💇🏾‍♀️',
+        background: renderSalonBackground,
+        props: renderSalonProps
+    },
+    'picture-day': {
+        name: 'Picture Day',
+        icon: '📸',
+        background: renderPictureDayBackground,
+        props: renderPictureDayProps
+    },
+    'park': {
+        name: 'Park',
+        icon: '🌳',
+        background: renderParkBackground,
+        props: renderParkProps
+    },
+    'stage': {
+        name: 'Stage',
+        icon: '🎤',
+        background: renderStageBackground,
+        props: renderStageProps
+    }
+};
+
+// LAYER RENDERERS
+// Unknown scenes draw nothing (the schema keeps them out of the state anyway)
+function renderSceneBackground(layer, state) {
+    const scene = scenes[state.scene.background];
+    if (scene) scene.background(layer);
+}
+
+// Props get the character too, for props that have to make room for her face
+function renderSceneProps(layer, state) {
+    const scene = scenes[state.scene.background];
+    if (scene && state.scene.props) scene.props(layer, state);
+}
+
+registerRenderLayer({ id: 'scene-background', zIndex: 0, deps: ['scene.background'], render: renderSceneBackground });
+registerRenderLayer({ id: 'scene-props', zIndex: 90, deps: ['scene', 'appearance.faceShape'], render: renderSceneProps });
+
+// DRAWING HELPERS
+
+// Adds a linear gradient to the layer's defs and returns its url()
+// stops: [[offset, color], ...] - vertical runs top to bottom, otherwise left to right
+function addSceneGradient(layer, name, stops, vertical = true) {
+    const gradient = createSVGElement('linearGradient', {
+        id: scopedId(layer, name),
+        x1: '0%',
+        y1: '0%',
+        x2: vertical ? '0%' : '100%',
+        y2: vertical ? '100%' : '0%'
+    });
+    stops.forEach(([offset, color]) => {
+        gradient.appendChild(createSVGElement('stop', { offset: offset, 'stop-color': color }));
+    });
+    getLayerDefs(layer).appendChild(gradient);
+    return scopedUrl(layer, name);
+}
+
+// Shorthand for appending a shape to a layer
+function addSceneShape(layer, type, attributes) {
+    const shape = createSVGElement(type, attributes);
+    layer.appendChild(shape);
+    return shape;
+}
+
+// A fluffy cloud made of overlapping circles
+function addCloud(layer, x, y, scale) {
+    [[0, 0, 22], [20, -10, 26], [44, 0, 22], [22, 8, 20]].forEach(([dx, dy, r]) => {
+        addSceneShape(layer, 'circle', { cx: x + dx * scale, cy: y + dy * scale, r: r * scale, fill: 'white', opacity: '0.9' });
+    });
+}
+
+// A tree at the edge of the park - trunk and round leafy top
+function addTree(layer, x, y) {
+    addSceneShape(layer, 'rect', { x: x - 10, y: y, width: 20, height: 110, fill: '#8B5A2B', stroke: '#000000', 'stroke-width': '2' });
+    [[0, -10, 48], [-32, 18, 34], [32, 18, 34]].forEach(([dx, dy, r]) => {
+        addSceneShape(layer, 'circle', { cx: x + dx, cy: y + dy, r: r, fill: '#3E9B4F', stroke: '#000000', 'stroke-width': '2' });
+    });
+}
+
+// BEDROOM - lavender walls, a window, fairy lights and a wooden floor
+function renderBedroomBackground(layer) {
+    addSceneShape(layer, 'rect', {
+        x: 0, y: 0, width: SCENE_WIDTH, height: SCENE_FLOOR_Y,
+        fill: addSceneGradient(layer, 'bedroomWall', [['0%', '#F3E5F5'], ['100%', '#D7BDE2']])
+    });
+
+    // Window with curtains (top left)
+    addSceneShape(layer, 'rect', { x: 30, y: 110, width: 100, height: 130, rx: 6, fill: '#AEDFF7', stroke: '#FFFFFF', 'stroke-width': '8' });
+    addSceneShape(layer, 'line', { x1: 80, y1: 110, x2: 80, y2: 240, stroke: '#FFFFFF', 'stroke-width': '6' });
+    addSceneShape(layer, 'line', { x1: 30, y1: 175, x2: 130, y2: 175, stroke: '#FFFFFF', 'stroke-width': '6' });
+    addSceneShape(layer, 'path', { d: 'M 18 100 Q 40 170 22 255 L 8 255 L 8 100 Z', fill: '#FF9EC4' });
+    addSceneShape(layer, 'path', { d: 'M 142 100 Q 120 170 138 255 L 152 255 L 152 100 Z', fill: '#FF9EC4' });
+
+    // Fairy lights across the top of the wall
+    addSceneShape(layer, 'path', { d: 'M 0 40 Q 200 110 400 40', stroke: '#6D4C41', 'stroke-width': '2', fill: 'none' });
+    ['#FFD700', '#FF69B4', '#87CEEB', '#98FB98'].forEach((color, i) => {
+        for (let x = 25 + i * 25; x < SCENE_WIDTH; x += 100) {
+            // Follow the wire: y of the quadratic curve at this x
+            const t = x / SCENE_WIDTH;
+            const y = 40 * (1 - t) * (1 - t) + 110 * 2 * t * (1 - t) + 40 * t * t;
+            addSceneShape(layer, 'circle', { cx: x, cy: y + 6, r: 5, fill: color, filter: scopedUrl(layer, 'softGlow') });
+        }
+    });
+
+    // Wooden floor with planks and a round rug under the character
+    addSceneShape(layer, 'rect', { x: 0, y: SCENE_FLOOR_Y, width: SCENE_WIDTH, height: SCENE_HEIGHT - SCENE_FLOOR_Y, fill: '#C8A27A' });
+    for (let y = SCENE_FLOOR_Y + 40; y < SCENE_HEIGHT; y += 40) {
+        addSceneShape(layer, 'line', { x1: 0, y1: y, x2: SCENE_WIDTH, y2: y, stroke: '#A67C52', 'stroke-width': '2' });
+    }
+    addSceneShape(layer, 'ellipse', { cx: 200, cy: 660, rx: 150, ry: 40, fill: '#FFB6D9', stroke: '#FF69B4', 'stroke-width': '4' });
+}
+
+// Bedroom props - a teddy bear and a stack of books
+function renderBedroomProps(layer) {
+    // Teddy bear (bottom left)
+    const bear = { fill: '#B5835A', stroke: '#000000', 'stroke-width': '2' };
+    addSceneShape(layer, 'circle', { cx: 55, cy: 735, r: 30, ...bear });        // Body
+    addSceneShape(layer, 'circle', { cx: 55, cy: 690, r: 22, ...bear });        // Head
+    addSceneShape(layer, 'circle', { cx: 37, cy: 672, r: 8, ...bear });         // Ears
+    addSceneShape(layer, 'circle', { cx: 73, cy: 672, r: 8, ...bear });
+    addSceneShape(layer, 'ellipse', { cx: 55, cy: 697, rx: 9, ry: 7, fill: '#E8C9A0' });
+    addSceneShape(layer, 'circle', { cx: 48, cy: 686, r: 2.5, fill: '#000000' });
+    addSceneShape(layer, 'circle', { cx: 62, cy: 686, r: 2.5, fill: '#000000' });
+
+    // Stack of books (bottom right)
+    [['#9370DB', 0], ['#FF6B9D', 6], ['#4A90E2', -4]].forEach(([color, shift], i) => {
+        addSceneShape(layer, 'rect', {
+            x: 305 + shift, y: 750 - i * 18, width: 70, height: 16, rx: 3,
+            fill: color, stroke: '#000000', 'stroke-width': '2'
+        });
+    });
+}
+
+// SALON - mint walls, a lighted mirror and a checkered floor
+function renderSalonBackground(layer) {
+    addSceneShape(layer, 'rect', {
+        x: 0, y: 0, width: SCENE_WIDTH, height: SCENE_FLOOR_Y,
+        fill: addSceneGradient(layer, 'salonWall', [['0%', '#E8FFF4'], ['100%', '#B8F0D8']])
+    });
+
+    // Big mirror behind the character, framed with light bulbs
+    addSceneShape(layer, 'rect', { x: 60, y: 60, width: 280, height: 380, rx: 30, fill: '#FFFFFF', stroke: '#D4AF37', 'stroke-width': '10' });
+    addSceneShape(layer, 'rect', {
+        x: 72, y: 72, width: 256, height: 356, rx: 22,
+        fill: addSceneGradient(layer, 'salonMirror', [['0%', '#E3F2FD'], ['100%', '#BBDEFB']], false)
+    });
+    for (let y = 90; y <= 410; y += 64) {
+        addSceneShape(layer, 'circle', { cx: 48, cy: y, r: 9, fill: '#FFF8DC', stroke: '#D4AF37', 'stroke-width': '2', filter: scopedUrl(layer, 'softGlow') });
+        addSceneShape(layer, 'circle', { cx: 352, cy: y, r: 9, fill: '#FFF8DC', stroke: '#D4AF37', 'stroke-width': '2', filter: scopedUrl(layer, 'softGlow') });
+    }
+
+    // Black and white checkered floor
+    addSceneShape(layer, 'rect', { x: 0, y: SCENE_FLOOR_Y, width: SCENE_WIDTH, height: SCENE_HEIGHT - SCENE_FLOOR_Y, fill: '#FFFFFF' });
+    const tile = 50;
+    for (let row = 0; row * tile < SCENE_HEIGHT - SCENE_FLOOR_Y; row++) {
+        for (let col = row % 2; col * tile < SCENE_WIDTH; col += 2) {
+            addSceneShape(layer, 'rect', { x: col * tile, y: SCENE_FLOOR_Y + row * tile, width: tile, height: tile, fill: '#2B2B2B' });
+        }
+    }
+}
+
+// Salon props - a counter with hair products
+function renderSalonProps(layer) {
+    addSceneShape(layer, 'rect', { x: 290, y: 700, width: 110, height: 200, fill: '#FFB6D9', stroke: '#000000', 'stroke-width': '3' });
+    addSceneShape(layer, 'rect', { x: 282, y: 690, width: 118, height: 14, rx: 4, fill: '#FF69B4', stroke: '#000000', 'stroke-width': '3' });
+
+    // Bottles (leave-in, oil, gel) with caps
+    [[300, '#9370DB', 48], [330, '#FFD700', 36], [360, '#50C878', 54]].forEach(([x, color, height]) => {
+        addSceneShape(layer, 'rect', { x: x, y: 690 - height, width: 22, height: height, rx: 5, fill: color, stroke: '#000000', 'stroke-width': '2' });
+        addSceneShape(layer, 'rect', { x: x + 6, y: 682 - height, width: 10, height: 10, rx: 2, fill: '#FFFFFF', stroke: '#000000', 'stroke-width': '2' });
+    });
+
+    // Wide-tooth comb on the floor (bottom left)
+    addSceneShape(layer, 'rect', { x: 30, y: 760, width: 80, height: 12, rx: 4, fill: '#FF6B9D', stroke: '#000000', 'stroke-width': '2' });
+    for (let x = 36; x <= 102; x += 11) {
+        addSceneShape(layer, 'rect', { x: x, y: 772, width: 5, height: 18, rx: 2, fill: '#FF6B9D', stroke: '#000000', 'stroke-width': '1.5' });
+    }
+}
+
+// PICTURE DAY - the classic mottled blue backdrop
+function renderPictureDayBackground(layer) {
+    const backdrop = createSVGElement('radialGradient', { id: scopedId(layer, 'pictureDayBackdrop'), cx: '50%', cy: '35%', r: '75%' });
+    [['0%', '#8EC9F0'], ['55%', '#3F88C5'], ['100%', '#1B3F66']].forEach(([offset, color]) => {
+        backdrop.appendChild(createSVGElement('stop', { offset: offset, 'stop-color': color }));
+    });
+    getLayerDefs(layer).appendChild(backdrop);
+    addSceneShape(layer, 'rect', { x: 0, y: 0, width: SCENE_WIDTH, height: SCENE_HEIGHT, fill: scopedUrl(layer, 'pictureDayBackdrop') });
+
+    // Soft mottled blotches
+    [[80, 140, 70], [320, 220, 90], [120, 520, 80], [300, 600, 60], [200, 790, 110]].forEach(([x, y, r]) => {
+        addSceneShape(layer, 'circle', { cx: x, cy: y, r: r, fill: '#FFFFFF', opacity: '0.08' });
+    });
+}
+
+// Picture day props - a letter board under the character
+function renderPictureDayProps(layer) {
+    addSceneShape(layer, 'rect', { x: 110, y: 710, width: 180, height: 70, rx: 8, fill: '#2B2B2B', stroke: '#D4AF37', 'stroke-width': '6' });
+    const text = addSceneShape(layer, 'text', {
+        x: 200, y: 754,
+        'text-anchor': 'middle',
+        'font-family': 'sans-serif',
+        'font-size': '24',
+        'font-weight': 'bold',
+        'letter-spacing': '2',
+        fill: '#FFFFFF'
+    });
+    text.textContent = 'PICTURE DAY';
+}
+
+// PARK - blue sky, sunshine, hills, trees and grass
+function renderParkBackground(layer) {
+    addSceneShape(layer, 'rect', {
+        x: 0, y: 0, width: SCENE_WIDTH, height: SCENE_HEIGHT,
+        fill: addSceneGradient(layer, 'parkSky', [['0%', '#6EC6F5'], ['60%', '#E0F6FF']])
+    });
+
+    // Sun (top right) and clouds
+    addSceneShape(layer, 'circle', { cx: 345, cy: 70, r: 38, fill: '#FFE066', filter: scopedUrl(layer, 'softGlow') });
+    addCloud(layer, 30, 110, 1);
+    addCloud(layer, 250, 190, 0.8);
+
+    // Rolling hills behind the grass
+    addSceneShape(layer, 'ellipse', { cx: 80, cy: 600, rx: 200, ry: 90, fill: '#8ED08B' });
+    addSceneShape(layer, 'ellipse', { cx: 340, cy: 610, rx: 180, ry: 80, fill: '#7BC47F' });
+
+    // Trees at the edges
+    addTree(layer, 35, 470);
+    addTree(layer, 368, 490);
+
+    // Grass
+    addSceneShape(layer, 'rect', {
+        x: 0, y: SCENE_FLOOR_Y, width: SCENE_WIDTH, height: SCENE_HEIGHT - SCENE_FLOOR_Y,
+        fill: addSceneGradient(layer, 'parkGrass', [['0%', '#6CC46F'], ['100%', '#3E9B4F']])
+    });
+}
+
+// Park props - flowers along the bottom and a butterfly
+function renderParkProps(layer) {
+    [[30, '#FF69B4'], [75, '#FFD700'], [330, '#9370DB'], [372, '#FF6B6B'], [120, '#FFFFFF'], [285, '#FFB6D9']].forEach(([x, color], i) => {
+        const y = 760 + (i % 2) * 30;
+        addSceneShape(layer, 'line', { x1: x, y1: y, x2: x, y2: y + 60, stroke: '#2E7D32', 'stroke-width': '4' });
+        for (let petal = 0; petal < 5; petal++) {
+            const angle = petal * Math.PI * 2 / 5;
+            addSceneShape(layer, 'circle', { cx: x + Math.cos(angle) * 9, cy: y + Math.sin(angle) * 9, r: 7, fill: color, stroke: '#000000', 'stroke-width': '1' });
+        }
+        addSceneShape(layer, 'circle', { cx: x, cy: y, r: 5, fill: '#FFA500' });
+    });
+
+    // Butterfly (left edge, clear of the character and her hair)
+    addSceneShape(layer, 'ellipse', { cx: 30, cy: 400, rx: 12, ry: 9, fill: '#FF9EC4', stroke: '#000000', 'stroke-width': '1.5', transform: 'rotate(-25 30 400)' });
+    addSceneShape(layer, 'ellipse', { cx: 52, cy: 400, rx: 12, ry: 9, fill: '#FF9EC4', stroke: '#000000', 'stroke-width': '1.5', transform: 'rotate(25 52 400)' });
+    addSceneShape(layer, 'ellipse', { cx: 41, cy: 403, rx: 3, ry: 10, fill: '#2B2B2B' });
+}
+
+// STAGE - velvet curtains, a dark backdrop and a wooden stage with a spotlight
+function renderStageBackground(layer) {
+    addSceneShape(layer, 'rect', {
+        x: 0, y: 0, width: SCENE_WIDTH, height: SCENE_FLOOR_Y,
+        fill: addSceneGradient(layer, 'stageBackdrop', [['0%', '#1A0F2E'], ['100%', '#3D2466']])
+    });
+
+    // Stage floor
+    addSceneShape(layer, 'rect', {
+        x: 0, y: SCENE_FLOOR_Y, width: SCENE_WIDTH, height: SCENE_HEIGHT - SCENE_FLOOR_Y,
+        fill: addSceneGradient(layer, 'stageFloor', [['0%', '#A0673A'], ['100%', '#5E3A1E']])
+    });
+
+    // Spotlight pool on the floor around the character's feet
+    addSceneShape(layer, 'ellipse', { cx: 200, cy: 650, rx: 160, ry: 45, fill: '#FFF6C2', opacity: '0.45', filter: scopedUrl(layer, 'softGlow') });
+
+    // Curtains - folds on each side and a scalloped valance on top
+    const curtain = addSceneGradient(layer, 'stageCurtain', [['0%', '#7A0C1E'], ['50%', '#C2183A'], ['100%', '#7A0C1E']], false);
+    addSceneShape(layer, 'path', { d: 'M 0 0 L 70 0 Q 50 300 80 620 L 0 620 Z', fill: curtain, stroke: '#000000', 'stroke-width': '2' });
+    addSceneShape(layer, 'path', { d: 'M 400 0 L 330 0 Q 350 300 320 620 L 400 620 Z', fill: curtain, stroke: '#000000', 'stroke-width': '2' });
+    for (let x = 0; x < SCENE_WIDTH; x += 50) {
+        addSceneShape(layer, 'path', { d: `M ${x} 0 L ${x + 50} 0 L ${x + 50} 30 Q ${x + 25} 60 ${x} 30 Z`, fill: curtain, stroke: '#000000', 'stroke-width': '2' });
+    }
+}
+
+// Stage props - spotlight beams and footlights along the front of the stage
+function renderStageProps(layer, state) {
+    // Spotlight beams shine straight down the sides of the stage - their inner
+    // edges stop short of the face (getFaceGeometry is in character-renderer.js)
+    const face = getFaceGeometry(state);
+    const left = FACE_CENTER_X - face.rx - STAGE_BEAM_FACE_GAP;
+    const right = FACE_CENTER_X + face.rx + STAGE_BEAM_FACE_GAP;
+    addSceneShape(layer, 'polygon', { points: `20,40 ${Math.min(70, left)},40 ${left},650 0,650`, fill: '#FFF6C2', opacity: '0.15' });
+    addSceneShape(layer, 'polygon', { points: `${Math.max(330, right)},40 380,40 ${SCENE_WIDTH},650 ${right},650`, fill: '#FFF6C2', opacity: '0.15' });
+
+    addSceneShape(layer, 'rect', { x: 0, y: 830, width: SCENE_WIDTH, height: 70, fill: '#3B2412' });
+    for (let x = 25; x < SCENE_WIDTH; x += 50) {
+        addSceneShape(layer, 'ellipse', { cx: x, cy: 832, rx: 14, ry: 7, fill: '#FFE066', filter: scopedUrl(layer, 'softGlow') });
+    }
+}
+
+// EXPORT HELPERS
+
+// True when pictures should be saved without the scene
+function isTransparentExport() {
+    return sceneExportSettings.transparent;
+}
+
+// Changes the transparent export setting - also used by the export dialog (export-dialog.js),
+// so the checkbox in an open Scenes panel is kept in step
+function setTransparentExport(transparent) {
+    sceneExportSettings.transparent = transparent;
+    document.querySelectorAll('.scene-export-toggle input').forEach(checkbox => { checkbox.checked = transparent; });
+}
+
+// A copy of the character SVG with the scene layers removed, for transparent exports
+// The on-screen SVG is left alone
+function createSceneFreeCopy(svg) {
+    const copy = svg.cloneNode(true);
+    copy.querySelectorAll('[data-layer="scene-background"], [data-layer="scene-props"]').forEach(layer => layer.remove());
+    return copy;
+}
+
+// SCENES UI LOADER
+// Scene picker, a props toggle and the transparent export option
+function loadScenes(container) {
+    container.innerHTML = '';
+
+    // Activity header
+    const intro = document.createElement('div');
+    intro.className = 'activity-intro';
+    intro.innerHTML = `<h3>Scenes</h3><p>Where is your character today?</p>`;
+    container.appendChild(intro);
+
+    // SCENE SECTION
+    const sceneSection = document.createElement('div');
+    sceneSection.className = 'customization-section';
+    sceneSection.innerHTML = '<h3>Choose a Scene</h3>';
+
+    const grid = document.createElement('div');
+    grid.className = 'option-grid';
+
+    Object.entries(scenes).forEach(([id, scene]) => {
+        const btn = document.createElement('button');
+        btn.className = 'option-btn';
+        btn.textContent = `${scene.icon} ${scene.name}`;
+        btn.dataset.value = id;
+        btn.onclick = () => updateState('character.scene.background', id);
+        grid.appendChild(btn);
+    });
+
+    // Highlight the current scene, and follow changes (including undo/redo)
+    bindActiveButtons(grid, 'character.scene.background');
+
+    sceneSection.appendChild(grid);
+    container.appendChild(sceneSection);
+
+    // OPTIONS SECTION
+    const optionsSection = document.createElement('div');
+    optionsSection.className = 'customization-section';
+    optionsSection.innerHTML = '<h3>Options</h3>';
+
+    // Props are part of the character, so they follow undo/redo
+    const propsToggle = createSceneToggle('Show props in front', getState('character.scene.props'),
+        checked => updateState('character.scene.props', checked));
+    subscribePanel('character.scene.props', value => { propsToggle.querySelector('input').checked = value; });
+    optionsSection.appendChild(propsToggle);
+
+    // The export setting only affects saved pictures
+    const exportToggle = createSceneToggle('Save pictures with a transparent background',
+        sceneExportSettings.transparent, setTransparentExport);
+    exportToggle.classList.add('scene-export-toggle');
+    optionsSection.appendChild(exportToggle);
+
+    container.appendChild(optionsSection);
+}
+
+// Labeled checkbox - onChange receives the new checked state
+function createSceneToggle(text, checked, onChange) {
+    const label = document.createElement('label');
+    label.className = 'scene-toggle';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    checkbox.onchange = () => onChange(checkbox.checked);
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(' ' + text));
+    return label;
+}
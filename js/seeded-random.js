@@ -0,0 +1,45 @@
+/* ====================================
+   SEEDED RANDOM NUMBERS
+   ====================================
+
+   Math.random() gives different numbers every time. For things that must come
+   out the same again (the "Surprise Me" character for a seed, the character of
+   the day) we use a small seeded generator instead: the same seed always gives
+   the same sequence of numbers, on every computer.
+
+   Example usage:
+   const random = createSeededRandom('warm-up-game');
+   random();                          // 0.1234... - same every time for this seed
+   pickRandom(random, hairColors);    // same color every time for this seed
+*/
+
+/* Turns any text into a 32-bit number (FNV-1a hash)
+   Used to turn seeds like 'monday-class' into a starting number */
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/* Creates a random number generator for a seed (mulberry32)
+   @param {string|number} seed - Anything; it is turned into text and hashed
+   @returns {function} Call it to get the next number from 0 (inclusive) to 1 (exclusive) */
+function createSeededRandom(seed) {
+    let state = hashString(String(seed));
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/* Picks one item from an array using the given generator */
+function pickRandom(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
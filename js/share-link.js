@@ -0,0 +1,233 @@
+/* ====================================
+   SHAREABLE CHARACTER LINKS
+   ====================================
+
+   Packs gameState.character into the URL fragment so a link opens the game
+   with that character already built, e.g.
+
+   https://example.com/hairxyou/#c=1.4.0.0.1.2s.0.0.0.0.0.0.1.0.0
+
+   HOW THE CODE WORKS:
+   - The first token is the codec version (SHARE_LINK_VERSION)
+   - Every other token is one field from shareLinkFields, in order
+   - Catalog values are written as their index in the catalog, in base 36
+     (so 'locs' is just "5" instead of the word)
+   - Colors that aren't in a catalog are written as "_" + 6 hex digits
+   - Numbers (like moisture) are written in base 36, counting from the field's minimum
+
+   Decoding starts from the default character and fills in each field it
+   can read. Unknown or damaged tokens keep the default, and a truncated code
+   just leaves the remaining fields at their defaults.
+
+   ADDING FIELDS:
+   Only ever append to shareLinkFields - older links then simply end early
+   and the new field keeps its default. Reordering or removing fields needs
+   a new SHARE_LINK_VERSION.
+*/
+
+/* Version of the link format - bump when fields are reordered or removed */
+const SHARE_LINK_VERSION = 1;
+
+/* URL fragment key - links look like #c=<code> */
+const SHARE_LINK_PARAM = 'c';
+
+/* The fields packed into a link, in order
+   values returns the catalog for index encoding (read lazily, since the catalogs
+   live in files that load after this one); color allows custom hex colors;
+   number marks numeric fields, with an optional min and max (0 and 100 by default) */
+const shareLinkFields = [
+    { path: 'appearance.skinTone', values: () => skinTones.map(tone => tone.color), color: true },
+    { path: 'appearance.faceShape', values: () => Object.keys(faceShapes) },
+    { path: 'hair.texture', values: () => Object.keys(hairTextures) },
+    /* Older links wrote short, medium and long as 0-2 - those indexes now mean the
+       lengths they were upgraded to (LEGACY_HAIR_LENGTHS in storage.js), and the new lengths follow */
+    { path: 'hair.length', values: () => ['ear', 'shoulder', 'waist', 'twa', 'chin', 'mid-back'] },
+    { path: 'hair.moisture', number: true },
+    { path: 'hair.style', values: () => Object.keys(hairstyles) },
+    { path: 'hair.color', values: () => hairColors.map(c => c.color), color: true },
+    { path: 'outfit.top', values: () => outfits.tops.map(item => item.id) },
+    { path: 'outfit.bottom', values: () => outfits.bottoms.map(item => item.id) },
+    { path: 'outfit.shoes', values: () => outfits.shoes.map(item => item.id) },
+    { path: 'nails.color', values: () => nailColors.map(c => c.color), color: true },
+    { path: 'nails.length', values: () => ['short', 'medium', 'long'] },
+    { path: 'makeup.lipstick', values: () => lipstickColors.map(c => c.color), color: true },
+    { path: 'makeup.eyeshadow', values: () => eyeshadowColors.map(c => c.color), color: true },
+    { path: 'pose', values: () => Object.keys(poses) },
+    { path: 'expression.eyeOpenness', number: true, max: 120 },
+    { path: 'expression.browAngle', number: true, min: -20, max: 20 },
+    { path: 'expression.mouth', values: () => Object.keys(mouthShapes) },
+    { path: 'expression.blush', number: true },
+    { path: 'expression.wink', values: () => ['none', 'left', 'right'] },
+    { path: 'scene.background', values: () => Object.keys(scenes) },
+    { path: 'scene.props', values: () => [false, true] },
+    { path: 'appearance.bodyType', values: () => Object.keys(bodyTypes) },
+    { path: 'appearance.height', values: () => Object.keys(bodyHeights) },
+    { path: 'appearance.eyeColor', values: () => eyeColors.map(c => c.color), color: true },
+    { path: 'appearance.browStyle', values: () => Object.keys(browStyles) },
+    { path: 'appearance.lashStyle', values: () => Object.keys(lashStyles) },
+    { path: 'skin.freckles', number: true },
+    { path: 'skin.beautyMark', values: () => Object.keys(beautyMarkSpots) },
+    { path: 'skin.vitiligo', number: true },
+    { path: 'skin.dimples', values: () => [false, true] },
+    { path: 'outfit.topColor', values: () => ['none'], color: true },
+    { path: 'outfit.bottomColor', values: () => ['none'], color: true },
+    { path: 'outfit.shoesColor', values: () => ['none'], color: true },
+    { path: 'hair.coloring', values: () => Object.keys(hairColorings) },
+    { path: 'hair.accentColor', values: () => hairColors.map(c => c.color), color: true },
+    { path: 'hair.extensionColor', values: () => extensionColors.map(c => c.color), color: true }
+];
+
+/* ====================================
+   ENCODING
+   ====================================
+
+   @param {object} character - Character to pack (usually gameState.character)
+   @returns {string} Compact code like "1.4.0.0.1.2s..."
+*/
+function encodeCharacterCode(character) {
+    const tokens = shareLinkFields.map(field => encodeShareToken(field, readCharacterPath(character, field.path)));
+    return [SHARE_LINK_VERSION.toString(36)].concat(tokens).join('.');
+}
+
+/* Encode a single field value as a token */
+function encodeShareToken(field, value) {
+    // Numbers are written as their distance from the field's minimum, so they're never negative
+    if (field.number) {
+        const min = field.min || 0;
+        return Math.max(0, Math.round(Number(value) || 0) - min).toString(36);
+    }
+
+    // Catalog values are matched case-insensitively so '#ff69b4' still finds '#FF69B4'
+    const index = field.values().findIndex(v => String(v).toLowerCase() === String(value).toLowerCase());
+    if (index !== -1) {
+        return index.toString(36);
+    }
+
+    // Custom colors are written out in full
+    if (field.color && /^#[0-9a-f]{6}$/i.test(value)) {
+        return '_' + value.slice(1).toLowerCase();
+    }
+
+    // Anything else can't be represented - an empty token decodes to the default
+    return '';
+}
+
+/* ====================================
+   DECODING
+   ====================================
+
+   @param {string} code - Code from a link
+   @returns {object|null} A complete character, or null if the code can't be read at all
+*/
+function decodeCharacterCode(code) {
+    const tokens = String(code || '').split('.');
+    const version = parseInt(tokens[0], 36);
+
+    // Unknown version (or no code at all) - the caller keeps its current character
+    if (version !== SHARE_LINK_VERSION) return null;
+
+    const character = createDefaultCharacter();
+    shareLinkFields.forEach((field, i) => {
+        const value = decodeShareToken(field, tokens[i + 1]);
+        if (value !== undefined) {
+            writeCharacterPath(character, field.path, value);
+        }
+    });
+
+    // Hand-edited codes can still produce odd values - let the schema settle them
+    return sanitizeCharacter(character);
+}
+
+/* Decode a single token - returns undefined when the token is missing or damaged */
+function decodeShareToken(field, token) {
+    if (!token) return undefined;
+
+    if (field.color && /^_[0-9a-f]{6}$/i.test(token)) {
+        return '#' + token.slice(1).toUpperCase();
+    }
+
+    // Base 36 only uses 0-9 and a-z - reject anything else instead of half-parsing it
+    if (!/^[0-9a-z]+$/.test(token)) return undefined;
+    const number = parseInt(token, 36);
+
+    // Keep hand-edited links in range (moisture is a percentage)
+    if (field.number) {
+        const min = field.min || 0;
+        const max = field.max === undefined ? 100 : field.max;
+        return Math.min(max, min + number);
+    }
+    return field.values()[number];
+}
+
+/* ====================================
+   URL HANDLING
+   ==================================== */
+
+/* Full link to the current page with the given character in the fragment */
+function buildShareLink(character) {
+    const url = new URL(window.location.href);
+    url.hash = `${SHARE_LINK_PARAM}=${encodeCharacterCode(character)}`;
+    return url.toString();
+}
+
+/* Pull the code out of a fragment like '#c=1.4.0...' - null if there isn't one */
+function readShareCode(hash) {
+    const match = String(hash || '').match(new RegExp(`^#${SHARE_LINK_PARAM}=([0-9a-z._]*)`, 'i'));
+    return match ? match[1] : null;
+}
+
+/* Called from app.js before the first render.
+   If the page was opened from a character link, that character replaces the
+   current one (undo goes back to the autosaved character). Returns true if a
+   character was loaded from the link. */
+function applySharedCharacterFromUrl() {
+    const code = readShareCode(window.location.hash);
+    if (code === null) return false;
+
+    const character = decodeCharacterCode(code);
+
+    // Remove the code from the address bar so a reload doesn't undo later changes
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+
+    if (!character) {
+        showSaveMessage("⚠️ That character link couldn't be read", 'error');
+        return false;
+    }
+
+    updateState('character', character);
+    return true;
+}
+
+/* ====================================
+   UI SETUP
+   ====================================
+
+   Called from app.js once the DOM is ready.
+   Wires up the "Copy link" button and follows links pasted into an open tab.
+*/
+function initializeShareLinks() {
+    const copyBtn = document.getElementById('copyLinkBtn');
+    if (copyBtn) copyBtn.addEventListener('click', copyShareLink);
+
+    // Pasting a character link into the address bar of an open game only changes the hash
+    window.addEventListener('hashchange', () => {
+        if (applySharedCharacterFromUrl()) {
+            showSaveMessage('✅ Character loaded from link!');
+        }
+    });
+}
+
+/* Copy a link to the current character to the clipboard */
+function copyShareLink() {
+    const link = buildShareLink(gameState.character);
+
+    // The clipboard API needs a secure context (https or localhost)
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(link).then(
+            () => showSaveMessage('🔗 Link copied!'),
+            () => prompt('Copy this link to share your character:', link)
+        );
+    } else {
+        prompt('Copy this link to share your character:', link);
+    }
+}
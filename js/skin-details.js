@@ -0,0 +1,229 @@
+// Skin Details Module
+// Freckles, beauty marks, vitiligo and dimples on top of the smooth skin gradient
+// Set in character creation and stored in character.skin:
+// - freckles: density, 0 (none) to 100 (lots)
+// - beautyMark: where the beauty mark is - one of beautyMarkSpots below
+// - vitiligo: how much of the skin has lighter patches, 0 (none) to 100
+// - dimples: true shows dimples when the character smiles
+//
+// Details draw into their own render layers (see registerRenderLayer in character-renderer.js),
+// each just above the skin it sits on:
+// - skin-legs (z 26): above the legs, under the outfit
+// - skin-arms (z 41): above the arms, under the sleeves
+// - skin-face (z 49): above the head, under the eyes, blush and mouth
+// Dimples move with the mouth, so the face layer draws them (see renderDimples)
+
+// Most details there can be at 100 - each part of the body gets its share
+const MAX_FACE_FRECKLES = 40;
+const MAX_LIMB_FRECKLES = 12;
+const MAX_FACE_PATCHES = 8;
+const MAX_LIMB_PATCHES = 5;
+
+// How much lighter the skin is inside vitiligo patches (percent, see getVitiligoColor)
+const VITILIGO_LIGHTEN = 35;
+
+// Mouth shapes that show dimples (see mouthShapes in expressions.js)
+const DIMPLE_MOUTHS = ['smile', 'grin', 'smirk'];
+
+// Where a beauty mark can go
+// position returns the spot for a face shape (see faceShapes), or null for none
+const beautyMarkSpots = {
+    'none': { name: 'No Beauty Mark', position: () => null },
+    'left-cheek': {
+        name: 'Left Cheek',
+        position: face => ({ x: FACE_CENTER_X - face.eyeSpacing - 14, y: face.cheekY + 12 })
+    },
+    'right-cheek': {
+        name: 'Right Cheek',
+        position: face => ({ x: FACE_CENTER_X + face.eyeSpacing + 14, y: face.cheekY + 12 })
+    },
+    'under-eye': {
+        name: 'Under Eye',
+        position: face => ({ x: FACE_CENTER_X + face.eyeSpacing + 24, y: face.eyeY + 26 })
+    },
+    'above-lip': {
+        name: 'Above Lip',
+        position: face => ({ x: FACE_CENTER_X + 16, y: face.mouthY - 12 })
+    },
+    'beside-nose': {
+        name: 'Beside Nose',
+        position: face => ({ x: FACE_CENTER_X - 16, y: face.noseY + 4 })
+    }
+};
+
+// How many details to draw for an amount from 0 to 100
+function countSkinDetails(amount, max) {
+    return Math.round(max * amount / 100);
+}
+
+// Details are placed with a seeded generator so they stay put between renders,
+// and the same character always has the same freckles
+// Each detail takes the same numbers from the generator whatever the amount,
+// so raising it adds details without moving the ones already there
+function createSkinDetailRandom(part) {
+    return createSeededRandom(`skin|${part}`);
+}
+
+// FACE - vitiligo patches, freckles and the beauty mark
+function renderFaceSkinDetails(layer, state) {
+    const face = getFaceGeometry(state);
+    const skin = state.skin;
+
+    // Everything is cut to the head outline, minus the top of the torso -
+    // this layer is above the outfit, and the chin is tucked behind the top
+    const body = getBodyGeometry(state);
+    const defs = getLayerDefs(layer);
+    const mask = createSVGElement('mask', { id: scopedId(layer, 'faceSkinMask') });
+    mask.appendChild(createSVGElement('path', { d: createHeadPath(face), fill: 'white' }));
+    mask.appendChild(createSVGElement('ellipse', {
+        cx: body.cx, cy: body.cy, rx: body.rx + 5, ry: body.ry + 5,   // Same size as the top (see renderOutfit)
+        fill: 'black'
+    }));
+    defs.appendChild(mask);
+
+    const details = createSVGElement('g', { mask: scopedUrl(layer, 'faceSkinMask') });
+    layer.appendChild(details);
+
+    // Vitiligo patches anywhere from the hairline down to the chin
+    const random = createSkinDetailRandom('face-vitiligo');
+    for (let i = 0; i < countSkinDetails(skin.vitiligo, MAX_FACE_PATCHES); i++) {
+        const x = FACE_CENTER_X + (random() * 2 - 1) * face.rx * 0.9;
+        const y = face.top + 50 + random() * (face.bottom - face.top - 50);
+        addVitiligoPatch(details, random, x, y, 10 + random() * 10, getVitiligoColor(state));
+    }
+
+    // Freckles across the nose and cheeks
+    const freckleColor = darkenColor(state.appearance.skinTone, 18);
+    const freckles = createSkinDetailRandom('face-freckles');
+    const freckleCount = countSkinDetails(skin.freckles, MAX_FACE_FRECKLES);
+    for (let i = 0; i < freckleCount; i++) {
+        const x = FACE_CENTER_X + (freckles() * 2 - 1) * (face.eyeSpacing + 32);
+        const y = face.noseY - 12 + freckles() * (face.cheekY - face.noseY + 24);
+        const r = 1.2 + freckles() * 1.3;
+        details.appendChild(createSVGElement('circle', {
+            cx: x.toFixed(1),
+            cy: y.toFixed(1),
+            r: r.toFixed(1),
+            fill: freckleColor,
+            opacity: '0.7'
+        }));
+    }
+
+    // Beauty mark - a small dark dot with a tiny shine
+    const spot = (beautyMarkSpots[skin.beautyMark] || beautyMarkSpots['none']).position(face);
+    if (spot) {
+        details.appendChild(createSVGElement('circle', {
+            cx: spot.x,
+            cy: spot.y,
+            r: '3.5',
+            fill: darkenColor(state.appearance.skinTone, 40)
+        }));
+        details.appendChild(createSVGElement('circle', {
+            cx: spot.x - 1,
+            cy: spot.y - 1,
+            r: '1',
+            fill: 'white',
+            opacity: '0.4'
+        }));
+    }
+}
+
+// ARMS - from the shoulder through the elbow to the wrist
+function renderArmSkinDetails(layer, state) {
+    renderLimbSkinDetails(layer, state, 'arm', ['Shoulder', 'Elbow', 'Wrist'], ARM_WIDTH);
+}
+
+// LEGS - from the hip through the knee to the ankle
+function renderLegSkinDetails(layer, state) {
+    renderLimbSkinDetails(layer, state, 'leg', ['Hip', 'Knee', 'Ankle'], LEG_WIDTH);
+}
+
+// Vitiligo patches and freckles along both limbs of a kind, following the pose
+// Details stay inside the limb (width is its thickness on the average body)
+function renderLimbSkinDetails(layer, state, part, jointNames, width) {
+    const skeleton = getSkeleton(state);
+    const halfWidth = width * skeleton.body.limbWidth / 2;
+    const freckleColor = darkenColor(state.appearance.skinTone, 18);
+
+    ['left', 'right'].forEach(side => {
+        const joints = jointNames.map(name => skeleton.joints[`${side}${name}`]);
+
+        const patches = createSkinDetailRandom(`${side}-${part}-vitiligo`);
+        for (let i = 0; i < countSkinDetails(state.skin.vitiligo, MAX_LIMB_PATCHES); i++) {
+            const size = halfWidth * (0.45 + patches() * 0.2);
+            const point = pointOnLimb(joints, patches(), (patches() * 2 - 1) * (halfWidth - size));
+            addVitiligoPatch(layer, patches, point.x, point.y, size, getVitiligoColor(state));
+        }
+
+        const freckles = createSkinDetailRandom(`${side}-${part}-freckles`);
+        for (let i = 0; i < countSkinDetails(state.skin.freckles, MAX_LIMB_FRECKLES); i++) {
+            const point = pointOnLimb(joints, freckles(), (freckles() * 2 - 1) * (halfWidth - 2));
+            layer.appendChild(createSVGElement('circle', {
+                cx: point.x.toFixed(1),
+                cy: point.y.toFixed(1),
+                r: (1 + freckles()).toFixed(1),
+                fill: freckleColor,
+                opacity: '0.7'
+            }));
+        }
+    });
+}
+
+// A point along a limb of three joints
+// along: 0 (first joint) to 1 (last joint), across: distance sideways from the middle of the limb
+function pointOnLimb(joints, along, across) {
+    const [from, to] = along < 0.5 ? [joints[0], joints[1]] : [joints[1], joints[2]];
+    const point = pointBetween(from, to, along < 0.5 ? along * 2 : along * 2 - 1);
+
+    // Sideways is at right angles to the bone
+    const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+    return {
+        x: point.x - (to.y - from.y) / length * across,
+        y: point.y + (to.x - from.x) / length * across
+    };
+}
+
+// Patches are the character's own skin tone with the pigment gone - always lighter than the skin
+function getVitiligoColor(state) {
+    return lightenColor(state.appearance.skinTone, VITILIGO_LIGHTEN);
+}
+
+// An uneven vitiligo patch - a few overlapping blobs around (x, y)
+function addVitiligoPatch(parent, random, x, y, size, color) {
+    for (let i = 0; i < 3; i++) {
+        const angle = random() * Math.PI * 2;
+        const offset = i === 0 ? 0 : size * 0.5;
+        parent.appendChild(createSVGElement('ellipse', {
+            cx: (x + Math.cos(angle) * offset).toFixed(1),
+            cy: (y + Math.sin(angle) * offset).toFixed(1),
+            rx: (size * (0.6 + random() * 0.4)).toFixed(1),
+            ry: (size * (0.5 + random() * 0.3)).toFixed(1),
+            fill: color,
+            opacity: '0.9'
+        }));
+    }
+}
+
+// DIMPLES - little curves at the corners of a smiling mouth
+// Called by renderFacialFeatures with the mouth being drawn (which may be a reaction)
+function renderDimples(layer, state, mouth, face) {
+    if (!state.skin.dimples || !DIMPLE_MOUTHS.includes(mouth)) return;
+
+    [-1, 1].forEach(direction => {
+        const x = FACE_CENTER_X + direction * 30;
+        const y = face.mouthY - 2;
+        layer.appendChild(createSVGElement('path', {
+            d: `M ${x - direction * 2} ${y - 5} Q ${x + direction * 2} ${y} ${x - direction * 2} ${y + 5}`,
+            stroke: darkenColor(state.appearance.skinTone, 25),
+            'stroke-width': '2',
+            fill: 'none',
+            'stroke-linecap': 'round',
+            opacity: '0.8'
+        }));
+    });
+}
+
+// Skin details follow the skin tone, the pose and the body they sit on
+registerRenderLayer({ id: 'skin-legs', zIndex: 26, deps: ['skin', 'appearance', 'pose'], render: renderLegSkinDetails });
+registerRenderLayer({ id: 'skin-arms', zIndex: 41, deps: ['skin', 'appearance', 'pose'], render: renderArmSkinDetails });
+registerRenderLayer({ id: 'skin-face', zIndex: 49, deps: ['skin', 'appearance'], render: renderFaceSkinDetails });
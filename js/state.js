@@ -8,32 +8,58 @@
    - Update state consistently
    - Save/load state later
    - Debug what's happening in the game
+   - Let any module subscribe to the parts of the state it cares about
 */
 
-/* Main game state object - holds all character data and current activity */
-const gameState = {
-    /* Character properties organized by category */
-    character: {
+/* ====================================
+   DEFAULT CHARACTER
+   ====================================
+
+   Returns a fresh copy of the starting character.
+   Used to build the initial state, and as the fallback whenever
+   saved data is missing, corrupt or from an unknown version.
+*/
+function createDefaultCharacter() {
+    return {
         /* Physical appearance properties */
         appearance: {
             skinTone: '#8D5524',    // Default medium-tan skin tone (hex color)
-            faceShape: 'oval'        // Face shape - could be used for future variations
+            faceShape: 'oval',       // Face shape: oval, round, heart, square, long (see faceShapes)
+            bodyType: 'average',     // Body type: slim, average, curvy, plus (see bodyTypes)
+            height: 'average',       // Height: short, average, tall (see bodyHeights)
+            eyeColor: '#4A2511',     // Iris color (default: dark brown, see eyeColors)
+            browStyle: 'natural',    // Eyebrow shape (see browStyles)
+            lashStyle: 'natural'     // Eyelash style (see lashStyles)
+        },
+
+        /* Skin details drawn over the skin tone (see skin-details.js) */
+        skin: {
+            freckles: 0,             // Freckle density (0-100)
+            beautyMark: 'none',      // Beauty mark spot (see beautyMarkSpots)
+            vitiligo: 0,             // Vitiligo coverage (0-100)
+            dimples: false           // Dimples when smiling
         },
 
         /* Hair properties - most complex part of character */
         hair: {
             texture: '4c',           // Hair texture type: 4c, 4b, 4a, 3c, 3b, 3a
-            length: 'medium',        // Length: short, medium, long (for future use)
+            length: 'shoulder',      // Hair length: twa, ear, chin, shoulder, mid-back, waist
             moisture: 100,           // Hair moisture level (0-100) - affects rendering
             style: 'afro',           // Current hairstyle (see hair-system.js for all styles)
-            color: '#1A1A1A'         // Hair color (default: black)
+            color: '#1A1A1A',        // Hair color (default: black)
+            coloring: 'solid',       // Second color style: solid, ombre, highlights, peekaboo (see hairColorings)
+            accentColor: '#C4A052',  // Second color for ombre ends, highlights and peekaboo (default: blonde)
+            extensionColor: 'none'   // Colored extension hair in braids, twists and locs, or 'none'
         },
 
         /* Outfit/clothing properties */
         outfit: {
             top: 'tshirt-pink',      // ID of top clothing item
             bottom: 'jeans',         // ID of bottom clothing item
-            shoes: 'sneakers'        // ID of shoes item - rendered on feet
+            shoes: 'sneakers',       // ID of shoes item - rendered on feet
+            topColor: 'none',        // Custom color for the top, or 'none' for the item's own color
+            bottomColor: 'none',     // Custom color for the bottom, or 'none'
+            shoesColor: 'none'       // Custom color for the shoes, or 'none'
         },
 
         /* Nail polish properties */
@@ -46,25 +72,85 @@ const gameState = {
         makeup: {
             lipstick: 'none',        // Lipstick color or 'none'
             eyeshadow: 'none'        // Eyeshadow color or 'none'
+        },
+
+        /* Body pose - arms and legs follow it (see poses.js for all poses) */
+        pose: 'standing',
+
+        /* Facial expression - the face is drawn from these (see expressions.js for presets) */
+        expression: {
+            eyeOpenness: 100,        // 0 = closed, 100 = normal, 120 = wide open
+            browAngle: 0,            // Degrees - positive raises the inner ends
+            mouth: 'smile',          // Mouth shape (see mouthShapes in expressions.js)
+            blush: 30,               // Cheek blush intensity (0-100)
+            wink: 'none'             // Closed eye for a wink: none, left or right
+        },
+
+        /* Scene drawn behind the character (see scenes.js for all scenes) */
+        scene: {
+            background: 'none',      // Scene ID or 'none' for a plain background
+            props: true              // Show the scene's props in front of the character
         }
-    },
+    };
+}
+
+/* Main game state object - holds all character data and current activity */
+const gameState = {
+    /* Character properties organized by category */
+    character: createDefaultCharacter(),
 
     /* Current activity being shown - corresponds to activity IDs in activities.js */
     currentActivity: null
 };
 
+/* ====================================
+   STORE INTERNALS
+   ====================================
+
+   gameState works like a small store:
+   - updateState() is the only way state should change
+   - subscribe() lets any module react when a part of the state changes
+   - batch() groups several updates so subscribers and the renderer run once
+   - The character is re-rendered at most once per animation frame
+*/
+
+/* Registered listeners - each is { path, callback } (see subscribe below) */
+const stateSubscribers = [];
+
+/* How many batch() calls are currently running (batches can nest) */
+let batchDepth = 0;
+
+/* Paths changed during the current batch - announced when the batch ends */
+let pendingChangedPaths = [];
+
+/* True while a render is waiting for the next animation frame */
+let renderScheduled = false;
+
 /* ====================================
    STATE UPDATE FUNCTION
    ====================================
 
    Updates a nested property in gameState using dot notation.
-   Automatically triggers character re-render after update.
+   Records an undo step, then notifies subscribers and schedules a re-render.
 
    Example usage:
    updateState('character.hair.color', '#FF0000')
    updateState('character.appearance.skinTone', '#D4A574')
+
+   Options:
+   - history: false skips the undo step (used when undo/redo restores a character)
+
+   Character values are checked against the schema in character-schema.js.
+   A typo in the path or a value that can't be used throws an Error
+   and leaves the state untouched; fixable values (like '#abc') are coerced.
 */
-function updateState(path, value) {
+function updateState(path, value, options = {}) {
+    // Check (and possibly coerce) the value before anything changes
+    // validateStateValue is defined in character-schema.js
+    if (typeof validateStateValue === 'function') {
+        value = validateStateValue(path, value);
+    }
+
     // Split the path into individual keys
     // Example: 'character.hair.color' becomes ['character', 'hair', 'color']
     const keys = path.split('.');
@@ -75,16 +161,83 @@ function updateState(path, value) {
     // Navigate to the parent of the property we want to update
     // Stop before the last key since we'll set that separately
     for (let i = 0; i < keys.length - 1; i++) {
+        if (!hasStateKey(current, keys[i])) {
+            throw new Error(`Can't set "${path}": "${keys.slice(0, i + 1).join('.')}" doesn't exist`);
+        }
         current = current[keys[i]];
     }
 
+    const lastKey = keys[keys.length - 1];
+
+    // Remember the character as it was before this change so it can be undone
+    // Setting a property to the value it already has doesn't create an undo step
+    // recordHistory is defined in history.js
+    if (keys[0] === 'character' && options.history !== false && typeof recordHistory === 'function'
+        && JSON.stringify(current[lastKey]) !== JSON.stringify(value)) {
+        recordHistory(path);
+    }
+
     // Set the final property to the new value
-    current[keys[keys.length - 1]] = value;
+    current[lastKey] = value;
+
+    // Inside a batch, just remember the change - it's announced when the batch ends
+    if (batchDepth > 0) {
+        pendingChangedPaths.push(path);
+        return;
+    }
+
+    notifySubscribers([path]);
+}
+
+/* ====================================
+   BATCH FUNCTION
+   ====================================
 
-    // Automatically re-render the character to reflect the change
-    // Check if renderCharacter function exists first (it's defined in character-renderer.js)
-    if (typeof renderCharacter === 'function') {
-        renderCharacter();
+   Runs several updates as one transaction:
+   - Subscribers are called once at the end, not after every update
+   - The character is rendered once
+   - All the changes become a single undo step
+   - If any update throws (e.g. a value the schema rejects), every change made
+     by the batch is rolled back - nothing is announced or recorded - and the
+     error is rethrown
+
+   Example usage:
+   batch(() => {
+       updateState('character.outfit.top', 'dress-red');
+       updateState('character.outfit.shoes', 'heels-red');
+   }, 'Red outfit');
+*/
+function batch(updateFn, label = 'Multiple changes') {
+    batchDepth++;
+    // beginHistoryGroup/endHistoryGroup are defined in history.js
+    if (typeof beginHistoryGroup === 'function') {
+        beginHistoryGroup(label);
+    }
+
+    // Where to roll back to if an update fails (createHistoryCheckpoint is in history.js)
+    const characterBefore = JSON.parse(JSON.stringify(gameState.character));
+    const pendingBefore = pendingChangedPaths.length;
+    const historyBefore = typeof createHistoryCheckpoint === 'function' ? createHistoryCheckpoint() : null;
+
+    try {
+        updateFn();
+    } catch (error) {
+        gameState.character = characterBefore;
+        pendingChangedPaths.length = pendingBefore;
+        if (historyBefore) restoreHistoryCheckpoint(historyBefore);
+        throw error;
+    } finally {
+        if (typeof endHistoryGroup === 'function') {
+            endHistoryGroup();
+        }
+        batchDepth--;
+
+        // Only the outermost batch announces the changes
+        if (batchDepth === 0 && pendingChangedPaths.length > 0) {
+            const changedPaths = pendingChangedPaths;
+            pendingChangedPaths = [];
+            notifySubscribers(changedPaths);
+        }
     }
 }
 
@@ -93,12 +246,14 @@ function updateState(path, value) {
    ====================================
 
    Retrieves a nested property from gameState using dot notation.
+   Missing paths return fallback (undefined by default) instead of throwing.
 
    Example usage:
    const currentHairColor = getState('character.hair.color')
    const skinTone = getState('character.appearance.skinTone')
+   const style = getState('character.hair.styel', 'afro')  // typo - returns 'afro'
 */
-function getState(path) {
+function getState(path, fallback = undefined) {
     // Split the path into individual keys
     const keys = path.split('.');
 
@@ -107,9 +262,98 @@ function getState(path) {
 
     // Navigate through each key to get to the final value
     for (let key of keys) {
+        if (!hasStateKey(current, key)) return fallback;
         current = current[key];
     }
 
     // Return the value at that path
     return current;
 }
+
+/* Read a value like 'hair.color' from a character object (not the live state)
+   Used when building characters that aren't live yet (share links, the randomizer) */
+function readCharacterPath(character, path) {
+    return path.split('.').reduce((obj, key) => (hasStateKey(obj, key) ? obj[key] : undefined), character);
+}
+
+/* Write a value like 'hair.color' into a character object (not the live state) */
+function writeCharacterPath(character, path, value) {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((obj, key) => obj[key], character);
+    parent[keys[keys.length - 1]] = value;
+}
+
+/* True when obj is an object that has key as its own property
+   (so 'character.hair.toString' doesn't find a function on the prototype) */
+function hasStateKey(obj, key) {
+    return obj !== null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+/* ====================================
+   SUBSCRIBE FUNCTION
+   ====================================
+
+   Calls callback whenever the state at path (or anything inside it, or any
+   object containing it) changes. The callback receives the new value at path
+   and the list of paths that changed.
+
+   Returns a function that removes the subscription.
+
+   Example usage:
+   const unsubscribe = subscribe('character.nails.color', color => {
+       console.log('Nails are now', color);
+   });
+*/
+function subscribe(path, callback) {
+    const subscriber = { path: path, callback: callback };
+    stateSubscribers.push(subscriber);
+
+    return function unsubscribe() {
+        const index = stateSubscribers.indexOf(subscriber);
+        if (index !== -1) {
+            stateSubscribers.splice(index, 1);
+        }
+    };
+}
+
+/* Tell subscribers about changed paths and schedule a render
+   Called by updateState() directly, or once at the end of a batch() */
+function notifySubscribers(changedPaths) {
+    // Copy the list - a callback may subscribe or unsubscribe while we loop
+    for (let subscriber of stateSubscribers.slice()) {
+        if (changedPaths.some(changed => pathsOverlap(changed, subscriber.path))) {
+            subscriber.callback(getState(subscriber.path), changedPaths);
+        }
+    }
+
+    // Any character change needs a redraw
+    if (changedPaths.some(changed => changed.split('.')[0] === 'character')) {
+        scheduleRender();
+    }
+}
+
+/* True when one path is the same as, inside, or contains the other
+   'character.hair' overlaps 'character.hair.color' and 'character' but not 'character.nails' */
+function pathsOverlap(a, b) {
+    return a === b || a.startsWith(b + '.') || b.startsWith(a + '.');
+}
+
+/* ====================================
+   RENDER SCHEDULING
+   ====================================
+
+   Re-renders the character on the next animation frame.
+   Any number of changes before that frame share a single render.
+*/
+function scheduleRender() {
+    if (renderScheduled) return;
+    renderScheduled = true;
+
+    requestAnimationFrame(() => {
+        renderScheduled = false;
+        // renderCharacter is defined in character-renderer.js
+        if (typeof renderCharacter === 'function') {
+            renderCharacter();
+        }
+    });
+}
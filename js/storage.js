@@ -0,0 +1,184 @@
+/* ====================================
+   CHARACTER PERSISTENCE
+   ====================================
+
+   This file autosaves gameState.character to localStorage and restores
+   it when the page loads, so a character survives closing the tab.
+
+   Saves are wrapped in a small envelope that records the schema version:
+   { version: 1, savedAt: 1700000000000, character: { ... } }
+
+   When the character shape changes (new outfit slots, accessories, ...),
+   bump SAVE_SCHEMA_VERSION and add a migration below. Old saves are
+   upgraded one version at a time, then merged over the defaults so any
+   field the save doesn't know about yet gets its default value.
+*/
+
+/* localStorage key for the autosaved character */
+const STORAGE_KEY = 'hairxyou.character';
+
+/* Current version of the saved character format */
+const SAVE_SCHEMA_VERSION = 2;
+
+/* Hair lengths before version 2, and the lengths from hairLengths they became */
+const LEGACY_HAIR_LENGTHS = { short: 'ear', medium: 'shoulder', long: 'waist' };
+
+/* Migrations - saveMigrations[n] upgrades a version n character to version n + 1
+   Each migration receives a plain character object and returns the upgraded one.
+*/
+const saveMigrations = {
+    /* Version 2: hair.length went from short/medium/long to real lengths (TWA to waist) */
+    1: character => {
+        const hair = character.hair;
+        if (!isPlainObject(hair) || !Object.prototype.hasOwnProperty.call(LEGACY_HAIR_LENGTHS, hair.length)) {
+            return character;
+        }
+        return { ...character, hair: { ...hair, length: LEGACY_HAIR_LENGTHS[hair.length] } };
+    }
+};
+
+/* ====================================
+   SAVE FUNCTION
+   ====================================
+
+   Writes the current character to localStorage.
+   Subscribed to 'character' below, so it runs after every character change
+   (once per batch).
+*/
+function saveCharacterToStorage() {
+    const envelope = {
+        version: SAVE_SCHEMA_VERSION,
+        savedAt: Date.now(),
+        character: gameState.character
+    };
+
+    // localStorage can throw (private browsing, storage full, disabled by policy)
+    // Losing an autosave should never break the game, so just log it
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(envelope));
+    } catch (error) {
+        console.warn('HairXYou: could not autosave character', error);
+    }
+}
+
+/* ====================================
+   LOAD FUNCTION
+   ====================================
+
+   Reads the saved character from localStorage.
+   Returns a complete character object, or null if there is nothing usable.
+*/
+function loadCharacterFromStorage() {
+    let raw;
+    try {
+        raw = localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+        console.warn('HairXYou: could not read saved character', error);
+        return null;
+    }
+
+    // Nothing saved yet - first visit
+    if (!raw) return null;
+
+    try {
+        const envelope = JSON.parse(raw);
+        return upgradeSavedCharacter(envelope.version, envelope.character);
+    } catch (error) {
+        // Corrupt JSON or a save we can't understand - start from defaults
+        console.warn('HairXYou: ignoring unreadable saved character', error);
+        return null;
+    }
+}
+
+/* ====================================
+   RESTORE FUNCTION
+   ====================================
+
+   Called from app.js before the first render.
+   Replaces the default character with the saved one if there is one.
+   Returns true if a saved character was restored.
+*/
+function restoreSavedCharacter() {
+    const saved = loadCharacterFromStorage();
+    if (!saved) return false;
+
+    gameState.character = saved;
+    return true;
+}
+
+/* ====================================
+   MIGRATION HELPERS
+   ====================================
+
+   Turns a character saved with any known version into a current one.
+   Throws if the data can't be upgraded, so callers can fall back to defaults.
+
+   @param {number} version - Schema version the character was saved with
+   @param {object} character - The saved character data
+   @returns {object} A complete, current-version character
+*/
+function upgradeSavedCharacter(version, character) {
+    // Fill in anything the save didn't have and drop anything it shouldn't
+    const merged = mergeWithDefaults(createDefaultCharacter(), migrateSavedCharacter(version, character));
+
+    // Replace values the schema doesn't allow (e.g. a hairstyle that was removed)
+    // sanitizeCharacter is defined in character-schema.js
+    return typeof sanitizeCharacter === 'function' ? sanitizeCharacter(merged) : merged;
+}
+
+/* Runs the migrations only, without filling in defaults.
+   Imports use this so they can report problems with the data as it was given.
+   Throws if the version is unknown or newer than this game. */
+function migrateSavedCharacter(version, character) {
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Unknown save version: ${version}`);
+    }
+    // Saves from a newer version of the game may use fields we can't read
+    if (version > SAVE_SCHEMA_VERSION) {
+        throw new Error(`Save version ${version} is newer than this game (${SAVE_SCHEMA_VERSION})`);
+    }
+    if (!isPlainObject(character)) {
+        throw new Error('Saved character is not an object');
+    }
+
+    // Run each migration in order until we reach the current version
+    let upgraded = character;
+    for (let v = version; v < SAVE_SCHEMA_VERSION; v++) {
+        const migrate = saveMigrations[v];
+        if (typeof migrate !== 'function') {
+            throw new Error(`Missing migration from save version ${v}`);
+        }
+        upgraded = migrate(upgraded);
+    }
+    return upgraded;
+}
+
+/* Recursively copies saved values over a defaults object.
+   Only keys that exist in the defaults are kept, and a saved value is only
+   used when it has the same type as the default - so a corrupt save can't
+   put a number where a color string should be. */
+function mergeWithDefaults(defaults, saved) {
+    const result = {};
+
+    for (let [key, defaultValue] of Object.entries(defaults)) {
+        const savedValue = isPlainObject(saved) ? saved[key] : undefined;
+
+        if (isPlainObject(defaultValue)) {
+            result[key] = mergeWithDefaults(defaultValue, savedValue);
+        } else if (savedValue !== undefined && typeof savedValue === typeof defaultValue) {
+            result[key] = savedValue;
+        } else {
+            result[key] = defaultValue;
+        }
+    }
+
+    return result;
+}
+
+/* True for {} style objects (not arrays or null) */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/* Autosave whenever anything about the character changes */
+subscribe('character', saveCharacterToStorage);